@@ -0,0 +1,182 @@
+// Summaries of the API routes for the OpenAPI document (utils/openapi.js), keyed by "METHOD /path" with
+// the path relative to the version root (/api/v1, /api/v2). A string is the summary; an object can add
+// a `description`, mark Server-Sent Events responses with `stream: true`, and CSV/NDJSON file
+// responses or request bodies with `download: true` / `upload: true`. `npm test` fails when a mounted
+// route has no entry here.
+export const routeDocs = {
+  // Games
+  "GET /categories": "Get all game categories",
+  "GET /categories/:id": "Get a category with its deck of cards",
+  "GET /difficulties": "Get all difficulty levels",
+  "GET /scores": {
+    summary: "Get scores",
+    description:
+      "?from and ?to limit the list to days (UTC, both included). " +
+      "With ?scope=friends (authenticated), only yours and your friends' scores.",
+  },
+  "GET /scores/me": "Get your own scores",
+  "GET /scores/:id/replay": {
+    summary: "Get the replay of a score to play the game back",
+    description: "Only verified replays of public scores; flips carry `t`, milliseconds since the first flip.",
+  },
+  "POST /scores": {
+    summary: "Submit the score of a completed game session",
+    description:
+      "Guests may submit scores too; theirs expire unless claimed by an account. " +
+      "Scores whose replay doesn't confirm their time and moves are kept off public views.",
+  },
+  "GET /stats": "Get overall game statistics",
+  "GET /debug/stats": {
+    summary: "Inspect the score collection",
+    description: "Only mounted when NODE_ENV=development.",
+  },
+
+  // Auth
+  "POST /auth/register": "Register a new user",
+  "POST /auth/login": "Log in a user",
+  "POST /auth/guest": "Get a guest token to play without an account",
+  "POST /auth/claim-guest": "Add the scores of a guest token to your account",
+  "POST /auth/refresh": "Rotate a refresh token and get a new access token",
+  "POST /auth/logout": "Log out the current device",
+  "POST /auth/logout-all": "Log out all devices",
+  "POST /auth/forgot-password": "Send a password reset email",
+  "POST /auth/reset-password": "Set a new password with a reset token",
+  "POST /auth/verify-email": "Verify an email address with a verification token",
+  "POST /auth/resend-verification": "Send a new verification email",
+  "GET /auth/me": "Get your profile",
+  "GET /auth/me/export": {
+    summary: "Download all of your data as JSON",
+    description:
+      "Profile, scores with their replays, game sessions, achievements, friends, matches, tournaments " +
+      "and season placings.",
+  },
+  "GET /auth/me/stats": "Get your own statistics and progress",
+  "PATCH /auth/me": "Update your username or email",
+  "PUT /auth/me/password": "Change your password",
+  "DELETE /auth/me": "Delete your account, anonymizing or deleting its scores",
+
+  // Game sessions
+  "POST /games":
+    "Start a game session, the daily challenge with { daily: true }, or a knockout tournament round with { tournamentId }",
+  "GET /games/:id": "Get the state of a game session",
+  "POST /games/:id/flips": "Record a card flip in a game session",
+
+  // Leaderboard
+  "GET /leaderboard": {
+    summary: "Get the best entry per player, ranked by score, time or moves",
+    description:
+      "Ranks the current season unless another ?period is given. " +
+      "With ?scope=friends (authenticated), only you and your friends.",
+  },
+  "GET /leaderboard/stream": {
+    summary: "Live updates of one all-time leaderboard",
+    description:
+      'Pass ?token=<access token> (EventSource can\'t send headers) to also get "rank-change" events; ' +
+      "the token is required for ?scope=friends.",
+    stream: true,
+  },
+  "GET /leaderboard/rank/:userId": "Get a player's rank and the entries around it",
+
+  // Admin
+  "GET /admin/scores": "List scores for moderation, including hidden ones",
+  "POST /admin/scores/:id/flag": "Flag a score",
+  "POST /admin/scores/:id/unflag": "Clear the flag of a score",
+  "POST /admin/scores/:id/hide": "Hide a score from public views",
+  "POST /admin/scores/:id/unhide": "Show a hidden score again",
+  "GET /admin/scores/review": {
+    summary: "List scores held by the scoring-integrity pass",
+    description: "Each score lists its reason codes, e.g. time_outlier or submission_burst, with a description.",
+  },
+  "POST /admin/scores/:id/approve": "Publish a score held for review",
+  "POST /admin/scores/:id/reject": "Reject a score held for review, keeping it off public views",
+  "DELETE /admin/scores/:id": "Delete a score",
+  "POST /admin/scores/recompute": "Rescore all scores with the current formula",
+  "POST /admin/users/:id/ban": "Ban a user",
+  "POST /admin/users/:id/unban": "Unban a user",
+  "PUT /admin/users/:id/role": "Change a user's role, e.g. to tournament organizer",
+  "GET /admin/export/scores": {
+    summary: "Download scores, hidden ones included, as CSV or NDJSON",
+    description: "Takes the category, difficulty and date (?from, ?to) filters of GET /scores.",
+    download: true,
+  },
+  "GET /admin/export/users": {
+    summary: "Download accounts as CSV or NDJSON, without password hashes",
+    download: true,
+  },
+  "POST /admin/import/scores": {
+    summary: "Import scores from a CSV or NDJSON export",
+    description:
+      "Send the file as the request body. Invalid rows are skipped and reported by line, scores already " +
+      "stored or repeated in the file are counted as duplicates. ?dryRun=true only validates.",
+    upload: true,
+  },
+  "DELETE /admin/users/:id/scores": "Purge all scores of a banned user",
+  "GET /admin/audit-log": "List admin actions",
+  "GET /admin/categories": "List all categories, including inactive ones",
+  "POST /admin/categories": "Create a category",
+  "PATCH /admin/categories/:slug": "Update a category",
+  "DELETE /admin/categories/:slug": "Delete a category without scores",
+  "GET /admin/difficulties": "List all difficulties, including inactive ones",
+  "POST /admin/difficulties": "Create a difficulty",
+  "PATCH /admin/difficulties/:slug": "Update a difficulty",
+  "DELETE /admin/difficulties/:slug": "Delete a difficulty without scores",
+
+  // Daily challenge
+  "GET /daily": "Get today's daily challenge",
+  "GET /daily/me": "Get your daily challenge attempt and board",
+  "GET /daily/leaderboard": "Get the leaderboard of a daily challenge",
+  "GET /daily/history": "Get past daily challenges and their winners",
+
+  // Achievements and players
+  "GET /achievements": "Get the achievement catalog",
+  "GET /users/:id/achievements": "Get a player's unlocked achievements",
+  "GET /users/:id/stats": "Get a player's statistics and progress",
+
+  // Matches
+  "POST /matches": "Create a multiplayer match lobby",
+  "POST /matches/join": "Join a match lobby with its code",
+  "GET /matches/me": "Get your finished matches",
+  "GET /matches/:id": "Get the state of a match",
+  "POST /matches/:id/start": "Start a match (host only)",
+  "POST /matches/:id/flips": "Flip a card on your turn",
+  "POST /matches/:id/leave": "Leave a lobby or forfeit a match",
+  "GET /matches/:id/events": {
+    summary: "Live match events",
+    description: "Pass the access token as ?token=, since EventSource can't send headers.",
+    stream: true,
+  },
+
+  // Seasons
+  "GET /seasons": "Get all seasons, most recent first",
+  "GET /seasons/:id/standings": {
+    summary: "Get the archived final standings of a past season",
+    description: "The top players of every category and difficulty, snapshotted when the season ended.",
+  },
+
+  // Tournaments
+  "GET /tournaments": "Get tournaments, optionally by status",
+  "GET /tournaments/:id": {
+    summary: "Get a tournament with its players, bracket and results",
+    description: "Running timed tournaments include the live standings.",
+  },
+  "POST /tournaments": {
+    summary: "Create a tournament",
+    description:
+      "A timed tournament ranks the best score of each registered player on its category and difficulty " +
+      "within the window. A knockout tournament splits the window into rounds; paired players play the same " +
+      "board (POST /games with { tournamentId }) and the better score advances.",
+  },
+  "POST /tournaments/:id/register": "Register for a tournament before it starts",
+  "DELETE /tournaments/:id/register": "Withdraw from a tournament before it starts",
+
+  // Friends
+  "GET /friends": "Get your friends",
+  "GET /friends/requests": "Get your incoming and outgoing friend requests",
+  "POST /friends/requests": "Send a friend request by user id or username",
+  "POST /friends/requests/:id/accept": "Accept a friend request",
+  "POST /friends/requests/:id/decline": "Decline a friend request",
+  "GET /friends/blocked": "Get the users you blocked",
+  "POST /friends/:userId/block": "Block a user",
+  "DELETE /friends/:userId/block": "Unblock a user",
+  "DELETE /friends/:userId": "Remove a friend or cancel a friend request",
+}
@@ -0,0 +1,12 @@
+// API versions, mounted under /api/<version>. Bare /api paths are an alias of `aliasVersion`, so clients
+// written before versioning keep working. A version with `deprecatedAt` answers with Deprecation and
+// Sunset headers and a Link to its successor; `compactEnvelope` drops the redundant `message` and
+// `cached` fields from successful responses. `offsetPagination` keeps score lists paged by ?page
+// (with full counts) unless a ?cursor is sent; otherwise they're paged by cursor.
+export const apiVersions = {
+  v1: { deprecatedAt: "2026-11-01", sunsetAt: "2027-05-01", successor: "v2", offsetPagination: true },
+  v2: { compactEnvelope: true },
+}
+
+export const aliasVersion = "v1"
+export const latestVersion = "v2"
@@ -0,0 +1,60 @@
+// Placeholder deck for a built-in category; real cards are managed through the admin API
+const placeholderDeck = (categoryId, categoryName, size = 12) =>
+  Array.from({ length: size }, (_, i) => ({
+    cardId: `${categoryId}-${i + 1}`,
+    name: `${categoryName} #${i + 1}`,
+  }))
+
+// Built-in categories and difficulties, inserted the first time the app runs against an empty database
+export const defaultCategories = [
+  {
+    slug: "heroes",
+    name: "Heroes",
+    description: "Superhero Funko Pops",
+    cards: placeholderDeck("heroes", "Heroes"),
+  },
+  {
+    slug: "movies",
+    name: "Movies",
+    description: "Movie character Funko Pops",
+    cards: placeholderDeck("movies", "Movies"),
+  },
+  {
+    slug: "musicians",
+    name: "Musicians",
+    description: "Music artist Funko Pops",
+    cards: placeholderDeck("musicians", "Musicians"),
+  },
+  {
+    slug: "videogames",
+    name: "Video Games",
+    description: "Video game character Funko Pops",
+    cards: placeholderDeck("videogames", "Video Games"),
+  },
+]
+
+export const defaultDifficulties = [
+  { slug: "easy", name: "Easy", description: "Perfect for beginners", rows: 3, columns: 4, pairs: 6 },
+  { slug: "medium", name: "Medium", description: "Good challenge", rows: 4, columns: 4, pairs: 8 },
+  { slug: "hard", name: "Hard", description: "For experts", rows: 4, columns: 6, pairs: 12 },
+]
+
+// How long a started game can stay unfinished before it expires (2 hours)
+export const GAME_SESSION_TTL_MS = 2 * 60 * 60 * 1000
+
+// Allowed difference (in seconds) between the client's timer and the server's recorded time
+export const TIME_TOLERANCE_SECONDS = 5
+
+// Fastest average pace (milliseconds per flip) a real player can keep up; quicker runs are rejected
+export const MIN_FLIP_INTERVAL_MS = 250
+
+// Most flips an uploaded replay may hold (two per move, with unverified scores capped at 1000 moves)
+export const MAX_REPLAY_FLIPS = 2000
+
+// Entries archived per category x difficulty board when a season ends
+export const SEASON_STANDINGS_SIZE = 10
+
+// Tournaments: default and largest field, and the shortest window a tournament (or one knockout round) may have
+export const TOURNAMENT_DEFAULT_PLAYERS = 32
+export const TOURNAMENT_MAX_PLAYERS = 256
+export const TOURNAMENT_MIN_ROUND_MS = 15 * 60 * 1000
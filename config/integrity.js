@@ -0,0 +1,18 @@
+// Reason codes of the scoring-integrity pass (utils/integrity.js), stored on held scores
+export const integrityReasons = {
+  time_outlier: "Time far below the usual times for this category and difficulty",
+  below_min_moves: "Fewer moves than the board has pairs",
+  submission_burst: "Many submissions from one player in a short time",
+  history_jump: "Sudden improvement over the player's own best time",
+}
+
+// Thresholds of the integrity checks
+export const integrityRules = {
+  outlierZScore: 3, // Flag times this many standard deviations below the mean...
+  outlierMinSamples: 30, // ...once a category/difficulty has this many public scores
+  outlierSampleSize: 1000, // Most recent scores the distribution is taken from
+  burstWindowMs: 10 * 60 * 1000,
+  burstMaxScores: 20, // Submissions per player within the window before the next one is held
+  historyMinScores: 5, // Earlier scores in the category/difficulty needed to judge a jump
+  historyJumpRatio: 0.5, // Flag times under half the player's best so far
+}
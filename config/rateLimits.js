@@ -0,0 +1,19 @@
+// Request limits per route group. `ip` and `account` are the maximum number of requests per window
+// for each client IP and each account (user, guest, or the email a login is attempted for); leave
+// one out to skip that key. Every value can be overridden with RATE_LIMIT_<GROUP>_<FIELD>, e.g.
+// RATE_LIMIT_LOGIN_ACCOUNT=5 or RATE_LIMIT_SCORES_WINDOW_MS=30000.
+export const rateLimitGroups = {
+  api: { windowMs: 60 * 1000, ip: 300 }, // Every /api request
+  auth: { windowMs: 15 * 60 * 1000, ip: 30 }, // Register, guest tokens, refresh, email flows
+  login: { windowMs: 15 * 60 * 1000, ip: 20, account: 10 },
+  scores: { windowMs: 60 * 1000, ip: 30, account: 10 }, // POST /api/scores
+  export: { windowMs: 60 * 60 * 1000, ip: 20, account: 5 }, // GET /api/auth/me/export
+}
+
+// Progressive lockout after repeated failed logins: `threshold` failures in a row lock the account
+// for `baseMs`, doubling with every further failure up to `maxMs`. Read on use, after dotenv ran.
+export const getLoginLockout = () => ({
+  threshold: Number.parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: Number.parseInt(process.env.LOGIN_LOCKOUT_BASE_MS) || 60 * 1000,
+  maxMs: Number.parseInt(process.env.LOGIN_LOCKOUT_MAX_MS) || 60 * 60 * 1000,
+})
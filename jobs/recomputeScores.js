@@ -0,0 +1,74 @@
+import { fileURLToPath } from "url"
+import mongoose from "mongoose"
+import connectDB from "../config/database.js"
+import Score from "../models/Score.js"
+import { CURRENT_SCORING_VERSION, calculateScore } from "../utils/scoring.js"
+import { getPairsByDifficulty } from "../utils/catalog.js"
+
+const BATCH_SIZE = 500
+
+// Rescore every Score document not yet produced by the given formula version.
+// Documents saved before versioning have no scoringVersion and are included too. Documents whose
+// difficulty is no longer in the catalog can't be rescored: they keep their score and version and
+// are counted as skipped.
+export const recomputeScores = async ({ version = CURRENT_SCORING_VERSION, batchSize = BATCH_SIZE } = {}) => {
+  const pairsByDifficulty = await getPairsByDifficulty()
+
+  const cursor = Score.find({ scoringVersion: { $ne: version } })
+    .select("category difficulty time moves")
+    .lean()
+    .cursor()
+
+  let scanned = 0
+  let updated = 0
+  let skipped = 0
+  let batch = []
+
+  const flush = async () => {
+    if (batch.length === 0) return
+    const result = await Score.bulkWrite(batch, { ordered: false })
+    updated += result.modifiedCount
+    batch = []
+  }
+
+  for await (const doc of cursor) {
+    scanned++
+    const pairs = pairsByDifficulty[doc.difficulty]
+    if (pairs === undefined) {
+      skipped++
+      continue
+    }
+    const score = calculateScore({ ...doc, pairs }, version)
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { score, scoringVersion: version } },
+      },
+    })
+    if (batch.length >= batchSize) {
+      await flush()
+    }
+  }
+  await flush()
+
+  return { version, scanned, updated, skipped }
+}
+
+// Log line for a finished recompute
+export const describeRecompute = ({ version, scanned, updated, skipped }) =>
+  `✅ Rescored ${updated} of ${scanned} scores with formula v${version}` +
+  (skipped > 0 ? ` (${skipped} skipped: difficulty not in the catalog)` : "")
+
+// Allow running as a one-off job: node jobs/recomputeScores.js [version]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const version = process.argv[2] ? Number.parseInt(process.argv[2]) : CURRENT_SCORING_VERSION
+
+  connectDB()
+    .then(() => recomputeScores({ version }))
+    .then((result) => console.log(describeRecompute(result)))
+    .catch((error) => {
+      console.error("❌ Score recompute failed:", error.message)
+      process.exitCode = 1
+    })
+    .finally(() => mongoose.connection.close())
+}
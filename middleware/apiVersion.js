@@ -0,0 +1,34 @@
+import { apiVersions } from "../config/apiVersions.js"
+
+// v2 envelope: successful responses without the human-readable `message` and the `cached` marker
+const compactEnvelope = (body) => {
+  if (!body || typeof body !== "object" || body.success !== true) return body
+  const { message, cached, ...rest } = body
+  return rest
+}
+
+// Tag requests with the API version they came in through (req.apiVersion) and apply its policies
+export const apiVersion = (version) => {
+  const config = apiVersions[version]
+  if (!config) {
+    throw new Error(`Unknown API version: ${version}`)
+  }
+
+  return (req, res, next) => {
+    req.apiVersion = version
+    res.set("API-Version", version)
+
+    if (config.deprecatedAt) {
+      res.set("Deprecation", `@${Math.floor(new Date(config.deprecatedAt).getTime() / 1000)}`)
+      res.set("Sunset", new Date(config.sunsetAt).toUTCString())
+      res.set("Link", `</api/${config.successor}>; rel="successor-version"`)
+    }
+
+    if (config.compactEnvelope) {
+      const json = res.json.bind(res)
+      res.json = (body) => json(compactEnvelope(body))
+    }
+
+    next()
+  }
+}
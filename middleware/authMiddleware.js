@@ -1,5 +1,51 @@
 import jwt from "jsonwebtoken"
 import User from "../models/User.js"
+import RefreshToken from "../models/RefreshToken.js"
+import Guest from "../models/Guest.js"
+
+// Resolve the user behind an access token. Returns { user, auth }, or { status, error } when the
+// token can't be used. Shared by protect and endpoints that take the token elsewhere (e.g. SSE).
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+  if (decoded.type === "guest") {
+    return { status: 401, error: "Not authorized, please sign in to use this feature" }
+  }
+
+  // Access tokens are bound to a refresh token; once it is rotated out or revoked
+  // (logout, logout-all, reuse detection) the access token stops working too
+  const session = decoded.rid ? await RefreshToken.findById(decoded.rid).select("family revokedAt").lean() : null
+  if (!session || session.revokedAt) {
+    return { status: 401, error: "Not authorized, token revoked" }
+  }
+
+  const user = await User.findById(decoded.id).select("-password")
+  if (!user) {
+    return { status: 401, error: "Not authorized, user not found" }
+  }
+  if (user.banned) {
+    return { status: 403, error: "This account has been banned" }
+  }
+
+  return { user, auth: { refreshTokenId: session._id, family: session.family } }
+}
+
+// Resolve the guest behind a guest token. Returns { guest } or { status, error }.
+const authenticateGuestToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+  if (decoded.type !== "guest") {
+    return { status: 401, error: "Not authorized, not a guest token" }
+  }
+
+  const guest = await Guest.findById(decoded.gid)
+  if (!guest) {
+    return { status: 401, error: "Not authorized, guest not found" }
+  }
+  if (guest.claimedBy) {
+    return { status: 401, error: "Guest scores were claimed, please sign in" }
+  }
+
+  return { guest }
+}
 
 const protect = async (req, res, next) => {
   let token
@@ -7,8 +53,13 @@ const protect = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
     try {
       token = req.headers.authorization.split(" ")[1]
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      req.user = await User.findById(decoded.id).select("-password")
+      const result = await authenticateToken(token)
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error })
+      }
+
+      req.user = result.user
+      req.auth = result.auth
       next()
     } catch (error) {
       console.error("Not authorized, token failed:", error.message)
@@ -21,4 +72,67 @@ const protect = async (req, res, next) => {
   }
 }
 
-export { protect }
+// Like protect, but also accepts guest tokens (POST /api/auth/guest): sets req.user for
+// accounts or req.guest for guests. Use on the solo game and score routes only.
+const protectPlayer = async (req, res, next) => {
+  const header = req.headers.authorization
+  if (!header || !header.startsWith("Bearer")) {
+    return res.status(401).json({ success: false, error: "Not authorized, no token" })
+  }
+
+  try {
+    const token = header.split(" ")[1]
+    const isGuest = jwt.decode(token)?.type === "guest"
+    const result = isGuest ? await authenticateGuestToken(token) : await authenticateToken(token)
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error })
+    }
+
+    req.user = result.user
+    req.guest = result.guest
+    req.auth = result.auth
+    next()
+  } catch (error) {
+    console.error("Not authorized, token failed:", error.message)
+    res.status(401).json({ success: false, error: "Not authorized, token failed" })
+  }
+}
+
+// Restrict a route to the given roles (use after protect), e.g. authorize("admin")
+const authorize = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: "Not authorized for this action" })
+    }
+    next()
+  }
+  middleware.roles = roles // Read by the OpenAPI generator
+  return middleware
+}
+
+// Block unverified accounts, only when REQUIRE_EMAIL_VERIFICATION=true (use after protect).
+// Guests have no email; their scores are marked and expire unless claimed.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && req.user && !req.user.emailVerified) {
+    return res.status(403).json({ success: false, error: "Please verify your email address first" })
+  }
+  next()
+}
+
+// Public views that accept ?scope=friends need to know who "me" is for that scope only
+const protectFriendsScope = (req, res, next) => {
+  if (req.query.scope === "friends") {
+    return protect(req, res, next)
+  }
+  next()
+}
+
+export {
+  protect,
+  protectPlayer,
+  authorize,
+  requireVerifiedEmail,
+  protectFriendsScope,
+  authenticateToken,
+  authenticateGuestToken,
+}
@@ -0,0 +1,77 @@
+import { rateLimitGroups } from "../config/rateLimits.js"
+import { getRateLimitStore } from "../utils/rateLimitStore.js"
+
+// Effective limits of a group: config defaults, overridden by RATE_LIMIT_<GROUP>_<FIELD> env vars
+export const getRateLimit = (group) => {
+  const defaults = rateLimitGroups[group]
+  const fromEnv = (field, envName) => {
+    const value = Number.parseInt(process.env[`RATE_LIMIT_${group.toUpperCase()}_${envName}`])
+    return Number.isNaN(value) ? defaults[field] : value
+  }
+  return { windowMs: fromEnv("windowMs", "WINDOW_MS"), ip: fromEnv("ip", "IP"), account: fromEnv("account", "ACCOUNT") }
+}
+
+// The account a request counts against: the authenticated user or guest, or the email being logged into
+const accountKey = (req) => {
+  if (req.user) return `user:${req.user._id}`
+  if (req.guest) return `guest:${req.guest._id}`
+  if (typeof req.body?.email === "string") return `email:${req.body.email.trim().toLowerCase()}`
+  return null
+}
+
+// Limit a route group per client IP and per account (see config/rateLimits.js). Sends the
+// RateLimit-* headers for the tightest limit, and 429 with Retry-After once one is used up.
+// For per-account limits on protected routes, use it after protect/protectPlayer.
+export const rateLimit = (group) => {
+  if (!rateLimitGroups[group]) {
+    throw new Error(`Unknown rate limit group: ${group}`)
+  }
+
+  const middleware = async (req, res, next) => {
+    const limits = getRateLimit(group)
+    const keys = []
+    if (limits.ip) {
+      keys.push({ key: `${group}:ip:${req.ip}`, max: limits.ip })
+    }
+    const account = limits.account ? accountKey(req) : null
+    if (account) {
+      keys.push({ key: `${group}:account:${account}`, max: limits.account })
+    }
+    if (keys.length === 0) return next()
+
+    let results
+    try {
+      const store = getRateLimitStore()
+      results = await Promise.all(
+        keys.map(async ({ key, max }) => ({ max, ...(await store.increment(key, limits.windowMs)) })),
+      )
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error("Rate limit store error:", error)
+      return next()
+    }
+
+    const tightest = results.reduce((a, b) => (b.max - b.count < a.max - a.count ? b : a))
+    const resetSeconds = Math.max(Math.ceil((tightest.resetAt - Date.now()) / 1000), 0)
+
+    res.set({
+      "RateLimit-Policy": results.map(({ max }) => `${max};w=${Math.round(limits.windowMs / 1000)}`).join(", "),
+      "RateLimit-Limit": String(tightest.max),
+      "RateLimit-Remaining": String(Math.max(tightest.max - tightest.count, 0)),
+      "RateLimit-Reset": String(resetSeconds),
+    })
+
+    if (tightest.count > tightest.max) {
+      res.set("Retry-After", String(resetSeconds))
+      return res.status(429).json({
+        success: false,
+        error: "Too many requests, please try again later",
+        retryAfter: resetSeconds,
+      })
+    }
+
+    next()
+  }
+  middleware.rateLimitGroup = group // Read by the OpenAPI generator
+  return middleware
+}
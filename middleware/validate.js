@@ -0,0 +1,163 @@
+import mongoose from "mongoose"
+
+// Declarative request validation. A schema describes the params, query and body of a route:
+//
+//   validate({
+//     params: { id: { type: "objectId" } },
+//     query: { limit: { type: "integer", min: 1, max: 100, default: 10, clamp: true } },
+//     body: { playerName: { type: "string", required: true, trim: true, maxLength: 50 } },
+//   })
+//
+// Field rules:
+//   type        "string" | "integer" | "number" | "boolean" | "objectId" | "email" | "object" | "array" | "date"
+//               (default "string"; dates are ISO 8601 strings, coerced to Date)
+//   required    true, or a function of the raw part (e.g. (body) => !body.daily)
+//   default     value used when the field is missing
+//   min / max   numeric bounds; with clamp: true values above max are lowered instead of rejected
+//   minLength / maxLength, trim, lowercase, enum, pattern (RegExp) for strings
+//   check       async (value) => error message, or nothing when the value is fine
+//
+// Query strings and form bodies arrive as strings, so values are coerced to their type. The coerced
+// values replace the originals on req; fields the schema doesn't describe are left untouched.
+// Any problem answers 400 with the uniform envelope built by sendValidationError.
+
+const EMAIL_PATTERN = /.+@.+\..+/
+
+const coerce = {
+  string: (value) => (typeof value === "string" ? value : undefined),
+  email: (value) => (typeof value === "string" && EMAIL_PATTERN.test(value.trim()) ? value : undefined),
+  integer: (value) => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value
+    return Number.isInteger(number) ? number : undefined
+  },
+  number: (value) => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value
+    return typeof number === "number" && Number.isFinite(number) ? number : undefined
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return value
+    if (value === "true" || value === "1") return true
+    if (value === "false" || value === "0") return false
+    return undefined
+  },
+  objectId: (value) => (typeof value === "string" && mongoose.isValidObjectId(value) ? value : undefined),
+  object: (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : undefined),
+  array: (value) => (Array.isArray(value) ? value : undefined),
+  date: (value) => (typeof value === "string" && !Number.isNaN(Date.parse(value)) ? new Date(value) : undefined),
+}
+
+const typeNames = {
+  string: "a string",
+  email: "a valid email address",
+  integer: "an integer",
+  number: "a number",
+  boolean: "true or false",
+  objectId: "a valid id",
+  object: "an object",
+  array: "a list",
+  date: "a date (ISO 8601)",
+}
+
+// Validate one value against its rule; returns { value } or { message }
+const validateField = async (field, raw, rule, part) => {
+  const type = rule.type || "string"
+  const missing = raw === undefined || raw === null || raw === ""
+
+  if (missing) {
+    const required = typeof rule.required === "function" ? rule.required(part) : rule.required
+    if (required) {
+      return { message: `${field} is required` }
+    }
+    return { value: rule.default }
+  }
+
+  let value = coerce[type](raw)
+  if (value === undefined) {
+    return { message: `${field} must be ${typeNames[type]}` }
+  }
+
+  if (typeof value === "string") {
+    if (rule.trim || type === "email") value = value.trim()
+    if (rule.lowercase || type === "email") value = value.toLowerCase()
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { message: `${field} must be at least ${rule.minLength} characters` }
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { message: `${field} must be at most ${rule.maxLength} characters` }
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { message: rule.patternMessage || `${field} has an invalid format` }
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      return { message: `${field} must be at least ${rule.min}` }
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      if (!rule.clamp) {
+        return { message: `${field} must be at most ${rule.max}` }
+      }
+      value = rule.max
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { message: `Invalid ${field}. Valid options: ${rule.enum.join(", ")}` }
+  }
+
+  if (rule.check) {
+    const message = await rule.check(value)
+    if (message) {
+      return { message }
+    }
+  }
+
+  return { value }
+}
+
+// Answer 400 with the uniform validation envelope. `errors` is a list of { location, field, message }.
+export const sendValidationError = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: errors.map((error) => error.message).join("; "),
+    errors,
+  })
+}
+
+export const validate = (schema) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const errors = []
+      const results = {}
+
+      for (const location of ["params", "query", "body"]) {
+        if (!schema[location]) continue
+        const part = req[location] && typeof req[location] === "object" ? req[location] : {}
+        results[location] = { ...part }
+
+        for (const [field, rule] of Object.entries(schema[location])) {
+          const result = await validateField(field, part[field], rule, part)
+          if (result.message) {
+            errors.push({ location, field, message: result.message })
+          } else if (result.value !== undefined) {
+            results[location][field] = result.value
+          }
+        }
+      }
+
+      if (errors.length > 0) {
+        return sendValidationError(res, errors)
+      }
+
+      for (const [location, values] of Object.entries(results)) {
+        req[location] = values
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+  middleware.schema = schema // Read by the OpenAPI generator
+  return middleware
+}
@@ -0,0 +1,46 @@
+import mongoose from "mongoose"
+
+// Append-only record of every admin action
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      index: true, // e.g. "score.hide", "user.ban"
+    },
+    targetType: {
+      type: String,
+      required: true,
+      enum: ["score", "user", "category", "difficulty", "system"],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "auditlogs",
+  },
+)
+
+auditLogSchema.index({ createdAt: -1 }) // Most recent actions first
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema, "auditlogs")
+
+export default AuditLog
@@ -0,0 +1,77 @@
+import mongoose from "mongoose"
+
+const cardSchema = new mongoose.Schema(
+  {
+    cardId: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 50,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 100,
+    },
+    imageUrl: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    franchise: {
+      type: String,
+      trim: true,
+      maxLength: 100,
+      default: null,
+    },
+  },
+  { _id: false },
+)
+
+const categorySchema = new mongoose.Schema(
+  {
+    slug: {
+      // Public id used by the API and stored on scores (e.g. "heroes")
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, "Slug may only contain lowercase letters, numbers and dashes"],
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 50,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: 200,
+      default: "",
+    },
+    active: {
+      // Inactive categories are hidden from players but keep their scores
+      type: Boolean,
+      default: true,
+    },
+    cards: {
+      type: [cardSchema],
+      default: [],
+      validate: {
+        validator: (cards) => new Set(cards.map((card) => card.cardId)).size === cards.length,
+        message: "Card ids must be unique within a deck",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    collection: "categories",
+  },
+)
+
+const Category = mongoose.model("Category", categorySchema, "categories")
+
+export default Category
@@ -0,0 +1,66 @@
+import mongoose from "mongoose"
+
+const dailyChallengeSchema = new mongoose.Schema(
+  {
+    date: {
+      // UTC day the challenge belongs to, e.g. "2026-10-19"
+      type: String,
+      required: true,
+      unique: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    seed: {
+      type: Number,
+      required: true,
+    },
+    // The board is stored when the challenge is created so it never changes, even if the deck does
+    layout: {
+      type: [String],
+      required: true,
+    },
+    cards: {
+      type: [
+        {
+          _id: false,
+          cardId: String,
+          name: String,
+          imageUrl: String,
+          franchise: String,
+        },
+      ],
+      default: [],
+    },
+    // Filled in once the day is over (see finalizeDailyChallenge)
+    finalizedAt: {
+      type: Date,
+      default: null,
+    },
+    participants: {
+      type: Number,
+      default: 0,
+    },
+    winner: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      playerName: String,
+      score: Number,
+      time: Number,
+      moves: Number,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "dailychallenges",
+  },
+)
+
+const DailyChallenge = mongoose.model("DailyChallenge", dailyChallengeSchema, "dailychallenges")
+
+export default DailyChallenge
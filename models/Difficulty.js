@@ -0,0 +1,63 @@
+import mongoose from "mongoose"
+
+const difficultySchema = new mongoose.Schema(
+  {
+    slug: {
+      // Public id used by the API and stored on scores (e.g. "easy")
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, "Slug may only contain lowercase letters, numbers and dashes"],
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 50,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: 200,
+      default: "",
+    },
+    rows: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 10,
+    },
+    columns: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 10,
+    },
+    pairs: {
+      type: Number,
+      required: true,
+      min: 2,
+      validate: {
+        // The grid has to hold exactly every card of every pair
+        validator: function (pairs) {
+          return this.rows * this.columns === pairs * 2
+        },
+        message: "rows x columns must equal pairs x 2",
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "difficulties",
+  },
+)
+
+const Difficulty = mongoose.model("Difficulty", difficultySchema, "difficulties")
+
+export default Difficulty
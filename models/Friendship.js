@@ -0,0 +1,57 @@
+import mongoose from "mongoose"
+
+// One document per pair of users, whichever of them acted first: a pending request,
+// an accepted friendship, or a block by one or both of them
+const friendshipSchema = new mongoose.Schema(
+  {
+    users: {
+      // Both user ids, sorted so the pair has a single document
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      required: true,
+      validate: {
+        validator: (users) => users.length === 2,
+        message: "A friendship links exactly two users",
+      },
+    },
+    pairKey: {
+      // "<smaller id>:<larger id>", enforces the single document per pair
+      type: String,
+      required: true,
+      unique: true,
+    },
+    requesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "blocked"],
+      default: "pending",
+    },
+    blockedBy: {
+      // Users who blocked the other one; the document is removed once both unblock
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "friendships",
+  },
+)
+
+friendshipSchema.index({ users: 1, status: 1 }) // A user's friends, requests and blocks
+
+const Friendship = mongoose.model("Friendship", friendshipSchema, "friendships")
+
+export default Friendship
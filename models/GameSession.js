@@ -0,0 +1,126 @@
+import mongoose from "mongoose"
+
+const flipSchema = new mongoose.Schema(
+  {
+    index: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    at: {
+      type: Date,
+      required: true,
+      default: Date.now, // Server time, never the client's clock
+    },
+  },
+  { _id: false },
+)
+
+const gameSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      // Set for accounts; guest sessions have guestId instead until the guest is claimed
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.guestId
+      },
+      index: true,
+    },
+    guestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Guest",
+      default: undefined,
+      index: true,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    seed: {
+      type: Number,
+      required: true,
+    },
+    layout: {
+      type: [String], // Card id at each board position
+      required: true,
+    },
+    cards: {
+      // Snapshot of the deck cards on this board, so later deck edits don't change a running game
+      type: [
+        {
+          _id: false,
+          cardId: String,
+          name: String,
+          imageUrl: String,
+          franchise: String,
+        },
+      ],
+      default: [],
+    },
+    flips: {
+      type: [flipSchema],
+      default: [],
+    },
+    dailyChallenge: {
+      // Date key of the daily challenge this session is the (single) attempt at, if any
+      type: String,
+      default: undefined,
+    },
+    tournamentId: {
+      // Knockout tournament this session is the (single) attempt of a round at, if any
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tournament",
+      default: undefined,
+    },
+    tournamentRound: {
+      type: Number,
+      default: undefined,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "submitted", "rejected", "expired"],
+      default: "active",
+      index: true,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    scoreId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Score",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "gamesessions",
+    optimisticConcurrency: true, // Reject concurrent flips on the same session
+  },
+)
+
+gameSessionSchema.index({ userId: 1, createdAt: -1 }) // User's recent sessions
+gameSessionSchema.index(
+  { userId: 1, dailyChallenge: 1 },
+  { unique: true, partialFilterExpression: { dailyChallenge: { $type: "string" } } },
+) // One attempt per user and daily challenge
+gameSessionSchema.index(
+  { userId: 1, tournamentId: 1, tournamentRound: 1 },
+  { unique: true, partialFilterExpression: { tournamentId: { $type: "objectId" } } },
+) // One attempt per user and knockout round
+
+// TTL index: unfinished sessions are removed once they expire (expiresAt is cleared on submission)
+gameSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const GameSession = mongoose.model("GameSession", gameSessionSchema, "gamesessions")
+
+export default GameSession
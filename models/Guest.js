@@ -0,0 +1,42 @@
+import mongoose from "mongoose"
+
+// Anonymous player tied to a device, until the scores are claimed by an account
+const guestSchema = new mongoose.Schema(
+  {
+    deviceIdHash: {
+      // SHA-256 of the client-generated device id; the raw id is never stored
+      type: String,
+      required: true,
+      index: true,
+    },
+    claimedBy: {
+      // Account the guest's scores were merged into; the guest token stops working then
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      // Pushed back on every visit; the guest and its unclaimed scores expire together
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "guests",
+  },
+)
+
+guestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const Guest = mongoose.model("Guest", guestSchema, "guests")
+
+export default Guest
@@ -0,0 +1,164 @@
+import mongoose from "mongoose"
+
+const matchPlayerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    pairs: {
+      // Pairs found by this player
+      type: Number,
+      default: 0,
+    },
+    forfeited: {
+      // Left a running match; skipped in the turn order from then on
+      type: Boolean,
+      default: false,
+    },
+    connected: {
+      type: Boolean,
+      default: false,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+const matchFlipSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    index: {
+      type: Number,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// Head-to-head game: 2-4 players share one board and take turns, the server keeps the state
+const matchSchema = new mongoose.Schema(
+  {
+    code: {
+      // Short join code shared with friends
+      type: String,
+      required: true,
+      unique: true,
+    },
+    hostId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    maxPlayers: {
+      type: Number,
+      min: 2,
+      max: 4,
+      default: 2,
+    },
+    seed: {
+      type: Number,
+      required: true,
+    },
+    layout: {
+      type: [String], // Never sent to clients; only revealed cards are
+      required: true,
+    },
+    cards: {
+      type: [
+        {
+          _id: false,
+          cardId: String,
+          name: String,
+          imageUrl: String,
+          franchise: String,
+        },
+      ],
+      default: [],
+    },
+    players: {
+      type: [matchPlayerSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["lobby", "playing", "finished", "abandoned"],
+      default: "lobby",
+      index: true,
+    },
+    turnIndex: {
+      // Index in `players` of the player whose turn it is
+      type: Number,
+      default: 0,
+    },
+    turnStartedAt: {
+      type: Date,
+      default: null,
+    },
+    pendingIndex: {
+      // First card flipped in the current turn, if any
+      type: Number,
+      default: null,
+    },
+    matched: {
+      type: [Number],
+      default: [],
+    },
+    flips: {
+      type: [matchFlipSchema],
+      default: [],
+    },
+    winnerIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      // Unfinished matches are cleaned up; cleared once a match finishes so results are kept
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "matches",
+    optimisticConcurrency: true, // Reject concurrent flips on the same match
+  },
+)
+
+matchSchema.index({ "players.userId": 1, finishedAt: -1 }) // A player's match history
+matchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const Match = mongoose.model("Match", matchSchema, "matches")
+
+export default Match
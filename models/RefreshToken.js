@@ -0,0 +1,57 @@
+import mongoose from "mongoose"
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      // SHA-256 of the token; the raw token is only ever sent to the client
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      // Shared by every token rotated from the same login, so the whole chain can be revoked
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      // Set when the token was rotated; presenting it again means it was stolen
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "refreshtokens",
+  },
+)
+
+// TTL index: expired refresh tokens are removed automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema, "refreshtokens")
+
+export default RefreshToken
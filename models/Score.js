@@ -1,5 +1,16 @@
 import mongoose from "mongoose"
 
+// Recorded run a score can be played back from (see utils/replay.js)
+const replaySchema = new mongoose.Schema(
+  {
+    seed: Number,
+    layout: [String], // Card id at each board position, dealt from the seed
+    cards: [{ _id: false, cardId: String, name: String, imageUrl: String, franchise: String }],
+    flips: [{ _id: false, index: Number, t: Number }], // t: milliseconds since the first flip
+  },
+  { _id: false },
+)
+
 const scoreSchema = new mongoose.Schema(
   {
     playerName: {
@@ -16,16 +27,21 @@ const scoreSchema = new mongoose.Schema(
       required: false, // Make it optional for now, in case you want to keep old scores or allow guest scores
       index: true, // Index for faster user-specific score queries
     },
+    guestId: {
+      // Guest who played the score; kept after the guest is claimed by an account
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Guest",
+      required: false,
+      index: true,
+    },
     category: {
       type: String,
-      required: true,
-      enum: ["heroes", "movies", "musicians", "videogames"],
+      required: true, // Validated against the Category collection by the routes
       index: true, // Index for category filtering
     },
     difficulty: {
       type: String,
-      required: true,
-      enum: ["easy", "medium", "hard"],
+      required: true, // Validated against the Difficulty collection by the routes
       index: true, // Index for difficulty filtering
     },
     time: {
@@ -45,11 +61,98 @@ const scoreSchema = new mongoose.Schema(
       default: 0,
       index: true, // Index for sorting by score
     },
+    scoringVersion: {
+      // Version of the scoring formula (utils/scoring.js) that produced `score`
+      type: Number,
+      default: 1,
+      index: true, // Index for finding scores to recompute
+    },
+    sessionId: {
+      // Game session the score was computed from (absent for legacy, unverified scores)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GameSession",
+      required: false,
+    },
+    seasonId: {
+      // Season the score was played in (absent for scores from before seasons)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Season",
+      required: false,
+    },
+    dailyChallenge: {
+      // Date key ("2026-10-19") when the score is a daily challenge attempt
+      type: String,
+      default: undefined,
+    },
+    tournamentId: {
+      // Knockout tournament and round the score was played in (timed tournaments need no tag)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tournament",
+      default: undefined,
+    },
+    tournamentRound: {
+      type: Number,
+      default: undefined,
+    },
+    replay: {
+      type: replaySchema,
+      default: undefined,
+      select: false, // Only loaded for playback (GET /api/scores/:id/replay)
+    },
+    replayStatus: {
+      // "verified": the replay confirms time and moves; "invalid": it doesn't, so the score isn't public;
+      // "none": legacy score submitted without a replay
+      type: String,
+      enum: ["none", "verified", "invalid"],
+      default: "none",
+    },
+    replayError: {
+      type: String,
+      default: undefined,
+    },
+    reviewStatus: {
+      // Set by the scoring-integrity pass (utils/integrity.js): "pending" scores wait for a moderator
+      // and aren't public until "approved"; "rejected" ones stay hidden
+      type: String,
+      enum: ["none", "pending", "approved", "rejected"],
+      default: "none",
+    },
+    integrityFlags: {
+      // Reason codes of a held score (config/integrity.js)
+      type: [String],
+      default: undefined,
+    },
+    flagged: {
+      // Marked for moderator attention; still public until hidden
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    flagReason: {
+      type: String,
+      default: null,
+      maxLength: 500,
+    },
+    hidden: {
+      // Hidden by a moderator: excluded from public scores, leaderboards and stats
+      type: Boolean,
+      default: false,
+    },
+    userBanned: {
+      // Mirrors the owner's ban so public queries don't need to join users
+      type: Boolean,
+      default: false,
+    },
     date: {
       type: Date,
       default: Date.now,
       index: true, // Index for date-based queries
     },
+    expiresAt: {
+      // Set on unclaimed guest scores only; removed when the guest is claimed
+      type: Date,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -60,15 +163,54 @@ const scoreSchema = new mongoose.Schema(
 // Compound indexes for better query performance
 scoreSchema.index({ category: 1, difficulty: 1, time: 1 }) // Category + difficulty + time
 scoreSchema.index({ playerName: 1, createdAt: -1 }) // Player history
-scoreSchema.index({ time: 1, moves: 1 }) // Leaderboard sorting
+scoreSchema.index({ time: 1, moves: 1, _id: 1 }) // Leaderboard sorting, keyset pagination of score lists
 scoreSchema.index({ createdAt: -1 }) // Recent scores
 scoreSchema.index({ category: 1, time: 1 }) // Category leaderboards
 scoreSchema.index({ difficulty: 1, time: 1 }) // Difficulty leaderboards
 scoreSchema.index({ userId: 1, createdAt: -1 }) // NEW INDEX: For user's personal score history
+scoreSchema.index({ category: 1, difficulty: 1, score: -1 }) // Leaderboard ranked by score
+scoreSchema.index({ category: 1, difficulty: 1, moves: 1 }) // Leaderboard ranked by moves
+scoreSchema.index({ sessionId: 1 }, { unique: true, sparse: true }) // One score per game session
+// One ranked daily challenge score per user. Scores of deleted accounts keep their daily ranking but
+// lose their userId, so they're left out (they'd all collide on a missing userId).
+scoreSchema.index(
+  { dailyChallenge: 1, userId: 1 },
+  {
+    name: "dailyChallenge_1_userId_1_owned",
+    unique: true,
+    partialFilterExpression: { dailyChallenge: { $type: "string" }, userId: { $exists: true } },
+  },
+)
+
+scoreSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }) // Unclaimed guest scores expire
+scoreSchema.index({ reviewStatus: 1, createdAt: -1 }) // Review queue
+scoreSchema.index({ seasonId: 1, category: 1, difficulty: 1, score: -1 }) // Season leaderboards
+scoreSchema.index({ tournamentId: 1, tournamentRound: 1 }, { sparse: true }) // Knockout round results
+
+// Filter for scores that may be shown publicly (old documents lack the moderation, replay and review fields)
+export const publicScoreFilter = () => ({
+  hidden: { $ne: true },
+  userBanned: { $ne: true },
+  replayStatus: { $ne: "invalid" },
+  reviewStatus: { $nin: ["pending", "rejected"] },
+})
 
 // TTL index for cleaning up old scores (optional - keeps last 1 year)
 // scoreSchema.index({ createdAt: 1 }, { expireAfterSeconds: 31536000 })
 
 const Score = mongoose.model("Score", scoreSchema, "scores")
 
+// Drop the daily index built before the userId condition was added (same keys, default name), which
+// would keep rejecting a second anonymized score of the same day. Run once the database is connected.
+export const dropLegacyScoreIndexes = async () => {
+  const indexes = await Score.collection.indexes()
+  const legacy = indexes.find(
+    (index) => index.name === "dailyChallenge_1_userId_1" && !index.partialFilterExpression?.userId,
+  )
+  if (legacy) {
+    await Score.collection.dropIndex(legacy.name)
+    console.log(`🧹 Dropped legacy index ${legacy.name} on scores`)
+  }
+}
+
 export default Score
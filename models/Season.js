@@ -0,0 +1,41 @@
+import mongoose from "mongoose"
+
+// A leaderboard season: one calendar quarter (see utils/seasons.js). Scores are tagged with the
+// season they were played in, and the final standings are archived once it ends.
+const seasonSchema = new mongoose.Schema(
+  {
+    slug: {
+      // e.g. "2026-q4"
+      type: String,
+      required: true,
+      unique: true,
+      match: /^\d{4}-q[1-4]$/,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    // Set once the final standings are archived (see closeSeason)
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "seasons",
+  },
+)
+
+const Season = mongoose.model("Season", seasonSchema, "seasons")
+
+export default Season
@@ -0,0 +1,53 @@
+import mongoose from "mongoose"
+
+// Final top standings of one category x difficulty board of a closed season
+const seasonStandingSchema = new mongoose.Schema(
+  {
+    seasonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Season",
+      required: true,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    players: {
+      // Everyone ranked on the board, not just the archived top entries
+      type: Number,
+      default: 0,
+    },
+    entries: {
+      type: [
+        {
+          _id: false,
+          rank: Number,
+          scoreId: { type: mongoose.Schema.Types.ObjectId, ref: "Score" },
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          playerName: String,
+          guest: Boolean,
+          score: Number,
+          time: Number,
+          moves: Number,
+          attempts: Number,
+        },
+      ],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "seasonstandings",
+  },
+)
+
+seasonStandingSchema.index({ seasonId: 1, category: 1, difficulty: 1 }, { unique: true }) // One board per season
+seasonStandingSchema.index({ "entries.userId": 1 }) // Anonymizing deleted accounts
+
+const SeasonStanding = mongoose.model("SeasonStanding", seasonStandingSchema, "seasonstandings")
+
+export default SeasonStanding
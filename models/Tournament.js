@@ -0,0 +1,185 @@
+import mongoose from "mongoose"
+import { TOURNAMENT_DEFAULT_PLAYERS, TOURNAMENT_MAX_PLAYERS } from "../config/game.js"
+
+const tournamentPlayerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// One knockout pairing: both players get the same board; a single player is a bye
+const pairingSchema = new mongoose.Schema(
+  {
+    players: {
+      // Higher seed first; it advances when neither player finishes a game
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      required: true,
+    },
+    seed: Number,
+    layout: {
+      type: [String], // Never sent to clients; revealed when a player starts their game
+      default: undefined,
+    },
+    cards: {
+      type: [
+        {
+          _id: false,
+          cardId: String,
+          name: String,
+          imageUrl: String,
+          franchise: String,
+        },
+      ],
+      default: undefined,
+    },
+    // Filled in when the round ends
+    results: {
+      type: [
+        {
+          _id: false,
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          scoreId: { type: mongoose.Schema.Types.ObjectId, ref: "Score" },
+          score: Number,
+          time: Number,
+          moves: Number,
+        },
+      ],
+      default: undefined,
+    },
+    winnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { _id: false },
+)
+
+const roundSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    pairings: {
+      type: [pairingSchema],
+      default: [],
+    },
+  },
+  { _id: false },
+)
+
+// A community event on one category and difficulty (see utils/tournaments.js). "timed" ranks the best
+// score of each registered player within the window; "knockout" splits the window into bracket rounds.
+const tournamentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 100,
+    },
+    description: {
+      type: String,
+      default: "",
+      maxLength: 500,
+    },
+    format: {
+      type: String,
+      enum: ["timed", "knockout"],
+      default: "timed",
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      // Registration closes when the tournament starts
+      type: Date,
+      required: true,
+      index: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    maxPlayers: {
+      type: Number,
+      min: 2,
+      max: TOURNAMENT_MAX_PLAYERS,
+      default: TOURNAMENT_DEFAULT_PLAYERS,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    players: {
+      type: [tournamentPlayerSchema],
+      default: [],
+    },
+    rounds: {
+      // Knockout only: the bracket is drawn when the tournament starts, then one round at a time
+      type: [roundSchema],
+      default: [],
+    },
+    // Filled in once the tournament is over (see syncTournament)
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    results: {
+      type: [
+        {
+          _id: false,
+          rank: Number,
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          playerName: String,
+          scoreId: { type: mongoose.Schema.Types.ObjectId, ref: "Score" }, // Timed: the best score
+          score: Number,
+          time: Number,
+          moves: Number,
+          attempts: Number,
+          eliminatedInRound: Number, // Knockout: null for the champion
+        },
+      ],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "tournaments",
+  },
+)
+
+tournamentSchema.index({ "players.userId": 1, startsAt: -1 }) // A player's tournaments
+
+const Tournament = mongoose.model("Tournament", tournamentSchema, "tournaments")
+
+export default Tournament
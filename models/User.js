@@ -1,5 +1,6 @@
 import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
+import { getLoginLockout } from "../config/rateLimits.js"
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,6 +25,33 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ["player", "organizer", "admin"], // Organizers can create tournaments
+      default: "player",
+    },
+    banned: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    bannedAt: {
+      type: Date,
+      default: null,
+    },
+    banReason: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
     joinDate: {
       type: Date,
       default: Date.now,
@@ -32,6 +60,16 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    failedLoginAttempts: {
+      // Consecutive failed logins, reset by a successful login or a password reset
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      // Logins are refused until then (progressive lockout, see config/rateLimits.js)
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt timestamps
@@ -54,6 +92,28 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password)
 }
 
+// Whether logins are currently refused because of too many failed attempts
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date())
+}
+
+// Count a failed login; from the threshold on, lock the account for a period that doubles with
+// every further failure
+userSchema.methods.registerFailedLogin = async function () {
+  const { threshold, baseMs, maxMs } = getLoginLockout()
+  this.failedLoginAttempts += 1
+  if (this.failedLoginAttempts >= threshold) {
+    const lockMs = Math.min(baseMs * 2 ** (this.failedLoginAttempts - threshold), maxMs)
+    this.lockUntil = new Date(Date.now() + lockMs)
+  }
+  await this.save()
+}
+
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0
+  this.lockUntil = null
+}
+
 const User = mongoose.model("User", userSchema)
 
 export default User
@@ -0,0 +1,36 @@
+import mongoose from "mongoose"
+
+const userAchievementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    achievementId: {
+      // Id of a rule in utils/achievements.js
+      type: String,
+      required: true,
+    },
+    scoreId: {
+      // Score whose submission unlocked the achievement
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Score",
+      default: null,
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: "userachievements",
+  },
+)
+
+userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true }) // Each achievement unlocks once
+userAchievementSchema.index({ achievementId: 1 }) // Unlock counts per achievement
+
+const UserAchievement = mongoose.model("UserAchievement", userAchievementSchema, "userachievements")
+
+export default UserAchievement
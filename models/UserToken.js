@@ -0,0 +1,43 @@
+import mongoose from "mongoose"
+
+// Single-use tokens sent by email (password reset, email verification)
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["password-reset", "email-verification"],
+    },
+    tokenHash: {
+      // SHA-256 of the token; the raw token only appears in the email link
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "usertokens",
+  },
+)
+
+// TTL index: expired tokens are removed automatically
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const UserToken = mongoose.model("UserToken", userTokenSchema, "usertokens")
+
+export default UserToken
@@ -0,0 +1,34 @@
+import express from "express"
+import UserAchievement from "../models/UserAchievement.js"
+import { achievements, formatAchievement } from "../utils/achievements.js"
+
+const router = express.Router()
+
+// GET /api/achievements - Achievement catalog with how many players unlocked each one
+router.get("/", async (req, res) => {
+  try {
+    const counts = await UserAchievement.aggregate([{ $group: { _id: "$achievementId", count: { $sum: 1 } } }])
+    const countById = Object.fromEntries(counts.map((entry) => [entry._id, entry.count]))
+
+    const data = achievements.map((achievement) => ({
+      ...formatAchievement(achievement),
+      unlockedBy: countById[achievement.id] || 0,
+    }))
+
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      message: "Achievements retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching achievements:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch achievements",
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,632 @@
+import express from "express"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import User from "../models/User.js"
+import AuditLog from "../models/AuditLog.js"
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+import {
+  paginationQuery,
+  categoryFilter,
+  difficultyFilter,
+  dateRangeQuery,
+  catalogIdField,
+  categoryBody,
+  difficultyBody,
+} from "../utils/validators.js"
+import { logAdminAction } from "../utils/audit.js"
+import { revokeAllForUser } from "../utils/tokens.js"
+import { recomputeScores, describeRecompute } from "../jobs/recomputeScores.js"
+import { CURRENT_SCORING_VERSION } from "../utils/scoring.js"
+import { invalidateCatalog, formatCategory, formatDifficulty } from "../utils/catalog.js"
+import { integrityReasons } from "../config/integrity.js"
+import { applyScoreFilters } from "../utils/leaderboard.js"
+import { archiveScoreBoards, findPlayerBoards } from "../utils/seasons.js"
+import {
+  transferFormats,
+  scoreExportFields,
+  userExportFields,
+  streamExport,
+  importScores,
+} from "../utils/dataTransfer.js"
+
+const router = express.Router()
+
+// Every admin route requires an authenticated admin
+router.use(protect, authorize("admin"))
+
+// Reject malformed ids before they reach a query
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return sendValidationError(res, [{ location: "params", field: "id", message: "id must be a valid id" }])
+  }
+  next()
+})
+
+const sendServerError = (res, message, error) => {
+  console.error(`${message}:`, error)
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  })
+}
+
+// GET /api/admin/scores - List scores including hidden ones, with moderation filters
+const validateScoresList = validate({
+  query: {
+    category: categoryFilter,
+    difficulty: difficultyFilter,
+    userId: { type: "objectId" },
+    flagged: { type: "boolean" },
+    hidden: { type: "boolean" },
+    ...paginationQuery(),
+  },
+})
+
+router.get("/scores", validateScoresList, async (req, res) => {
+  try {
+    const { category, difficulty, userId, flagged, hidden, limit: limitNum, page: pageNum } = req.query
+
+    const filter = {}
+    if (category && category !== "all") filter.category = category
+    if (difficulty && difficulty !== "all") filter.difficulty = difficulty
+    if (userId) filter.userId = userId
+    if (flagged !== undefined) filter.flagged = flagged
+    if (hidden !== undefined) filter.hidden = hidden
+
+    const [scores, totalCount] = await Promise.all([
+      Score.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Score.countDocuments(filter),
+    ])
+
+    res.json({
+      success: true,
+      data: scores,
+      count: scores.length,
+      totalCount,
+      page: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      message: "Scores retrieved successfully",
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to fetch scores", error)
+  }
+})
+
+// GET /api/admin/scores/review - Scores held by the scoring-integrity pass, most recent first
+// (?status=pending|approved|rejected, default pending; ?reason=<code> for one reason code)
+const validateReviewQueue = validate({
+  query: {
+    status: { enum: ["pending", "approved", "rejected"], default: "pending" },
+    reason: { enum: Object.keys(integrityReasons) },
+    category: categoryFilter,
+    difficulty: difficultyFilter,
+    ...paginationQuery(),
+  },
+})
+
+router.get("/scores/review", validateReviewQueue, async (req, res) => {
+  try {
+    const { status, reason, category, difficulty, limit: limitNum, page: pageNum } = req.query
+
+    const filter = { reviewStatus: status }
+    if (reason) filter.integrityFlags = reason
+    if (category && category !== "all") filter.category = category
+    if (difficulty && difficulty !== "all") filter.difficulty = difficulty
+
+    const [scores, totalCount] = await Promise.all([
+      Score.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Score.countDocuments(filter),
+    ])
+
+    res.json({
+      success: true,
+      data: scores.map((score) => ({
+        ...score,
+        integrityReasons: (score.integrityFlags || []).map((code) => ({ code, description: integrityReasons[code] })),
+      })),
+      count: scores.length,
+      totalCount,
+      page: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      message: "Review queue retrieved successfully",
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to fetch review queue", error)
+  }
+})
+
+// Build a handler that sets moderation fields on one score and audits the change
+const moderateScore = (action, buildUpdate) => {
+  return async (req, res) => {
+    try {
+      const update = buildUpdate(req)
+      const score = await Score.findByIdAndUpdate(req.params.id, update, { new: true }).lean()
+      if (!score) {
+        return res.status(404).json({ success: false, error: "Score not found" })
+      }
+
+      // Archived standings of a closed season follow the score's new visibility
+      await archiveScoreBoards([score])
+      await logAdminAction(req, action, { targetType: "score", targetId: score._id, details: update })
+
+      res.json({ success: true, data: score, message: `Score updated (${action})` })
+    } catch (error) {
+      sendServerError(res, "Failed to update score", error)
+    }
+  }
+}
+
+// Body of the moderation actions that take a reason (flag, reject, ban)
+const validateReason = validate({ body: { reason: { type: "string", trim: true, maxLength: 500 } } })
+
+// POST /api/admin/scores/:id/flag - Mark a score for review (body: { reason })
+router.post(
+  "/scores/:id/flag",
+  validateReason,
+  moderateScore("score.flag", (req) => ({ flagged: true, flagReason: req.body.reason || null })),
+)
+
+// POST /api/admin/scores/:id/unflag - Clear a score's flag
+router.post(
+  "/scores/:id/unflag",
+  moderateScore("score.unflag", () => ({ flagged: false, flagReason: null })),
+)
+
+// POST /api/admin/scores/:id/hide - Remove a score from public views
+router.post(
+  "/scores/:id/hide",
+  moderateScore("score.hide", () => ({ hidden: true })),
+)
+
+// POST /api/admin/scores/:id/unhide - Make a hidden score public again
+router.post(
+  "/scores/:id/unhide",
+  moderateScore("score.unhide", () => ({ hidden: false })),
+)
+
+// POST /api/admin/scores/:id/approve - Publish a score held for review
+router.post(
+  "/scores/:id/approve",
+  moderateScore("score.approve", () => ({ reviewStatus: "approved", flagged: false, flagReason: null })),
+)
+
+// POST /api/admin/scores/:id/reject - Keep a score held for review off public views (body: { reason })
+router.post(
+  "/scores/:id/reject",
+  validateReason,
+  moderateScore("score.reject", (req) => ({
+    reviewStatus: "rejected",
+    flagged: true,
+    flagReason: req.body.reason || null,
+  })),
+)
+
+// DELETE /api/admin/scores/:id - Permanently delete a score
+router.delete("/scores/:id", async (req, res) => {
+  try {
+    const score = await Score.findByIdAndDelete(req.params.id).lean()
+    if (!score) {
+      return res.status(404).json({ success: false, error: "Score not found" })
+    }
+
+    await archiveScoreBoards([score])
+    await logAdminAction(req, "score.delete", { targetType: "score", targetId: score._id, details: { score } })
+
+    res.json({ success: true, message: "Score deleted successfully" })
+  } catch (error) {
+    sendServerError(res, "Failed to delete score", error)
+  }
+})
+
+// POST /api/admin/scores/recompute - Rescore all scores with the current formula (runs in the background)
+let recomputeRunning = false
+router.post("/scores/recompute", async (req, res) => {
+  if (recomputeRunning) {
+    return res.status(409).json({ success: false, error: "A score recompute is already running" })
+  }
+
+  try {
+    await logAdminAction(req, "scores.recompute", {
+      targetType: "system",
+      details: { version: CURRENT_SCORING_VERSION },
+    })
+
+    recomputeRunning = true
+    recomputeScores()
+      .then((result) => console.log(describeRecompute(result)))
+      .catch((error) => console.error("❌ Score recompute failed:", error))
+      .finally(() => {
+        recomputeRunning = false
+      })
+
+    res.status(202).json({
+      success: true,
+      message: `Recompute with scoring formula v${CURRENT_SCORING_VERSION} started`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to start score recompute", error)
+  }
+})
+
+// POST /api/admin/users/:id/ban - Ban a user (body: { reason }); their scores leave public views
+router.post("/users/:id/ban", validateReason, async (req, res) => {
+  try {
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, error: "You can't ban yourself" })
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { banned: true, bannedAt: new Date(), banReason: req.body.reason || null },
+      { new: true },
+    ).select("-password")
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+
+    await Promise.all([Score.updateMany({ userId: user._id }, { userBanned: true }), revokeAllForUser(user._id)])
+    await archiveScoreBoards(await findPlayerBoards(user._id))
+    await logAdminAction(req, "user.ban", {
+      targetType: "user",
+      targetId: user._id,
+      details: { reason: user.banReason },
+    })
+
+    res.json({ success: true, data: user, message: `User ${user.username} banned` })
+  } catch (error) {
+    sendServerError(res, "Failed to ban user", error)
+  }
+})
+
+// POST /api/admin/users/:id/unban - Lift a ban; remaining scores become public again
+router.post("/users/:id/unban", async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { banned: false, bannedAt: null, banReason: null },
+      { new: true },
+    ).select("-password")
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+
+    await Score.updateMany({ userId: user._id }, { userBanned: false })
+    await archiveScoreBoards(await findPlayerBoards(user._id))
+    await logAdminAction(req, "user.unban", { targetType: "user", targetId: user._id })
+
+    res.json({ success: true, data: user, message: `User ${user.username} unbanned` })
+  } catch (error) {
+    sendServerError(res, "Failed to unban user", error)
+  }
+})
+
+// PUT /api/admin/users/:id/role - Change a user's role (body: { role }), e.g. make them a tournament organizer
+const validateRole = validate({
+  body: { role: { type: "string", required: true, enum: User.schema.path("role").enumValues } },
+})
+
+router.put("/users/:id/role", validateRole, async (req, res) => {
+  try {
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, error: "You can't change your own role" })
+    }
+
+    const user = await User.findById(req.params.id).select("-password")
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+
+    const previousRole = user.role
+    user.role = req.body.role
+    await user.save()
+    await logAdminAction(req, "user.role", {
+      targetType: "user",
+      targetId: user._id,
+      details: { from: previousRole, to: user.role },
+    })
+
+    res.json({
+      success: true,
+      data: user,
+      message: `User ${user.username} now has the ${user.role} role`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to change user role", error)
+  }
+})
+
+// DELETE /api/admin/users/:id/scores - Purge every score of a banned user
+router.delete("/users/:id/scores", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("username banned")
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+    if (!user.banned) {
+      return res.status(400).json({ success: false, error: "Only scores of banned users can be purged" })
+    }
+
+    // Collected before the scores are gone
+    const boards = await findPlayerBoards(user._id)
+    const result = await Score.deleteMany({ userId: user._id })
+    await archiveScoreBoards(boards)
+    await logAdminAction(req, "user.purgeScores", {
+      targetType: "user",
+      targetId: user._id,
+      details: { deletedCount: result.deletedCount },
+    })
+
+    res.json({
+      success: true,
+      data: { deletedCount: result.deletedCount },
+      message: `Purged ${result.deletedCount} scores of ${user.username}`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to purge user scores", error)
+  }
+})
+
+// A download that fails midway can't answer with JSON anymore: the connection is cut instead
+const sendExportError = (res, message, error) => {
+  if (!res.headersSent) {
+    return sendServerError(res, message, error)
+  }
+  console.error(`${message}:`, error)
+  res.destroy(error)
+}
+
+const formatQuery = { type: "string", enum: transferFormats, default: "csv" }
+
+// GET /api/admin/export/scores - Download scores (hidden ones included) as CSV or NDJSON, oldest first.
+// Takes the category, difficulty and date filters of GET /api/scores.
+const validateScoresExport = validate({
+  query: {
+    format: formatQuery,
+    category: categoryFilter,
+    difficulty: difficultyFilter,
+    ...dateRangeQuery,
+    userId: { type: "objectId" },
+    hidden: { type: "boolean" },
+  },
+})
+
+router.get("/export/scores", validateScoresExport, async (req, res) => {
+  try {
+    const { format, userId, hidden } = req.query
+    const filter = applyScoreFilters({}, req.query)
+    if (userId) filter.userId = userId
+    if (hidden !== undefined) filter.hidden = hidden
+
+    await logAdminAction(req, "scores.export", { targetType: "score", details: req.query })
+    const cursor = Score.find(filter).sort({ createdAt: 1 }).lean().cursor()
+    await streamExport(res, cursor, { format, fields: scoreExportFields, filename: "scores" })
+  } catch (error) {
+    sendExportError(res, "Failed to export scores", error)
+  }
+})
+
+// GET /api/admin/export/users - Download accounts as CSV or NDJSON, without password hashes
+router.get("/export/users", validate({ query: { format: formatQuery } }), async (req, res) => {
+  try {
+    const { format } = req.query
+    const select = userExportFields.filter((field) => field !== "id").join(" ")
+
+    await logAdminAction(req, "users.export", { targetType: "user", details: { format } })
+    const cursor = User.find().select(select).sort({ createdAt: 1 }).lean().cursor()
+    await streamExport(res, cursor, { format, fields: userExportFields, filename: "users" })
+  } catch (error) {
+    sendExportError(res, "Failed to export users", error)
+  }
+})
+
+// POST /api/admin/import/scores - Import scores from an export, sent as the request body (text/csv or
+// application/x-ndjson; ?format overrides the content type). ?dryRun=true only validates.
+// Answers with a report: inserted, duplicates and invalid rows, with the errors of each row.
+const readImportFile = express.text({ type: ["text/csv", "application/x-ndjson", "text/plain"], limit: "10mb" })
+const validateImport = validate({
+  query: { format: { type: "string", enum: transferFormats }, dryRun: { type: "boolean", default: false } },
+})
+
+router.post("/import/scores", readImportFile, validateImport, async (req, res) => {
+  try {
+    if (typeof req.body !== "string" || req.body.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Send the file as the request body, with Content-Type text/csv or application/x-ndjson",
+      })
+    }
+
+    const format = req.query.format || (req.is("text/csv") ? "csv" : "ndjson")
+    const report = await importScores(req.body, { format, dryRun: req.query.dryRun })
+    if (!report.dryRun) {
+      const { rows, inserted, duplicates, invalid } = report
+      await logAdminAction(req, "scores.import", {
+        targetType: "score",
+        details: { format, rows, inserted, duplicates, invalid },
+      })
+    }
+
+    res.status(report.inserted > 0 && !report.dryRun ? 201 : 200).json({
+      success: true,
+      data: report,
+      message: `${report.dryRun ? "Checked" : "Imported"} ${report.rows} rows: ${report.inserted} ${
+        report.dryRun ? "to insert" : "inserted"
+      }, ${report.duplicates} duplicates, ${report.invalid} invalid`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to import scores", error)
+  }
+})
+
+// GET /api/admin/audit-log - Most recent admin actions
+const validateAuditLog = validate({
+  query: { action: { type: "string", trim: true }, actorId: { type: "objectId" }, ...paginationQuery() },
+})
+
+router.get("/audit-log", validateAuditLog, async (req, res) => {
+  try {
+    const { action, actorId, limit: limitNum, page: pageNum } = req.query
+
+    const filter = {}
+    if (action) filter.action = action
+    if (actorId) filter.actorId = actorId
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate("actorId", "username")
+      .lean()
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      page: pageNum,
+      message: "Audit log retrieved successfully",
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to fetch audit log", error)
+  }
+})
+
+// Register list/create/update/delete routes for a catalog model (categories, difficulties).
+// Documents are addressed by their public id (slug); scores reference that id in `scoreField`.
+const registerCatalogRoutes = ({ path, Model, label, fields, body, scoreField, format }) => {
+  const validateCreate = validate({ body: body({ create: true }) })
+  const validateUpdate = validate({ params: { slug: { ...catalogIdField, required: true } }, body: body() })
+
+  const pick = (body) => {
+    return Object.fromEntries(fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]))
+  }
+
+  const sendSaveError = (res, error) => {
+    // Rules that depend on several fields (e.g. rows x columns = pairs x 2) are checked by the model
+    if (error.name === "ValidationError") {
+      return sendValidationError(
+        res,
+        Object.values(error.errors).map((fieldError) => ({
+          location: "body",
+          field: fieldError.path,
+          message: fieldError.message,
+        })),
+      )
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: `A ${label} with that id already exists` })
+    }
+    sendServerError(res, `Failed to save ${label}`, error)
+  }
+
+  // GET /api/admin/<path> - List all, including inactive ones
+  router.get(`/${path}`, async (req, res) => {
+    try {
+      const docs = await Model.find().sort({ slug: 1 }).lean()
+      res.json({
+        success: true,
+        data: docs.map((doc) => ({ ...format(doc), active: doc.active })),
+        count: docs.length,
+        message: `${label} list retrieved successfully`,
+      })
+    } catch (error) {
+      sendServerError(res, `Failed to fetch ${label} list`, error)
+    }
+  })
+
+  // POST /api/admin/<path> - Create (body: { id, ...fields })
+  router.post(`/${path}`, validateCreate, async (req, res) => {
+    try {
+      const doc = await Model.create({ slug: req.body.id, ...pick(req.body) })
+      invalidateCatalog()
+      await logAdminAction(req, `${label}.create`, { targetType: label, details: { id: doc.slug } })
+      res.status(201).json({ success: true, data: format(doc), message: `${label} created successfully` })
+    } catch (error) {
+      sendSaveError(res, error)
+    }
+  })
+
+  // PATCH /api/admin/<path>/:slug - Update fields (set active: false to retire it without losing scores)
+  router.patch(`/${path}/:slug`, validateUpdate, async (req, res) => {
+    try {
+      const doc = await Model.findOne({ slug: req.params.slug })
+      if (!doc) {
+        return res.status(404).json({ success: false, error: `${label} not found` })
+      }
+
+      const update = pick(req.body)
+      doc.set(update)
+      await doc.save()
+      invalidateCatalog()
+      await logAdminAction(req, `${label}.update`, {
+        targetType: label,
+        details: { id: doc.slug, fields: Object.keys(update) },
+      })
+
+      res.json({
+        success: true,
+        data: { ...format(doc), active: doc.active },
+        message: `${label} updated successfully`,
+      })
+    } catch (error) {
+      sendSaveError(res, error)
+    }
+  })
+
+  // DELETE /api/admin/<path>/:slug - Delete, only while no scores reference it
+  router.delete(`/${path}/:slug`, async (req, res) => {
+    try {
+      const inUse = await Score.exists({ [scoreField]: req.params.slug })
+      if (inUse) {
+        return res.status(409).json({
+          success: false,
+          error: `Scores reference this ${label}; deactivate it with PATCH { active: false } instead`,
+        })
+      }
+
+      const doc = await Model.findOneAndDelete({ slug: req.params.slug })
+      if (!doc) {
+        return res.status(404).json({ success: false, error: `${label} not found` })
+      }
+      invalidateCatalog()
+      await logAdminAction(req, `${label}.delete`, { targetType: label, details: { id: doc.slug } })
+
+      res.json({ success: true, message: `${label} deleted successfully` })
+    } catch (error) {
+      sendServerError(res, `Failed to delete ${label}`, error)
+    }
+  })
+}
+
+registerCatalogRoutes({
+  path: "categories",
+  Model: Category,
+  label: "category",
+  fields: ["name", "description", "active", "cards"],
+  body: categoryBody,
+  scoreField: "category",
+  format: (doc) => formatCategory(doc, { withCards: true }),
+})
+
+registerCatalogRoutes({
+  path: "difficulties",
+  Model: Difficulty,
+  label: "difficulty",
+  fields: ["name", "description", "active", "rows", "columns", "pairs"],
+  body: difficultyBody,
+  scoreField: "difficulty",
+  format: formatDifficulty,
+})
+
+export default router
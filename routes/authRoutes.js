@@ -1,33 +1,109 @@
 import express from "express"
+import mongoose from "mongoose"
 import User from "../models/User.js"
-import jwt from "jsonwebtoken"
+import RefreshToken from "../models/RefreshToken.js"
+import UserToken from "../models/UserToken.js"
+import Score from "../models/Score.js"
+import GameSession from "../models/GameSession.js"
+import UserAchievement from "../models/UserAchievement.js"
+import Friendship from "../models/Friendship.js"
+import SeasonStanding from "../models/SeasonStanding.js"
+import Tournament from "../models/Tournament.js"
+import Match from "../models/Match.js"
 import { protect } from "../middleware/authMiddleware.js"
+import { rateLimit } from "../middleware/rateLimit.js"
+import { validate } from "../middleware/validate.js"
+import {
+  hashToken,
+  issueTokens,
+  revokeFamily,
+  revokeAllForUser,
+  createUserToken,
+  consumeUserToken,
+} from "../utils/tokens.js"
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/mailer.js"
+import { buildPlayerStats, statsBuckets } from "../utils/playerStats.js"
+import { findOrCreateGuest, generateGuestToken, claimGuest } from "../utils/guests.js"
+import { passwordField, usernameField } from "../utils/validators.js"
+import { buildAccountExport } from "../utils/dataTransfer.js"
+import { leaveMatch } from "../utils/matchEngine.js"
 
 const router = express.Router()
 
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000 // 1 hour
+
+// Send a fresh verification email; failures are logged so they never break the calling request
+const sendVerification = async (user) => {
+  try {
+    const token = await createUserToken(user._id, "email-verification", EMAIL_VERIFICATION_TTL_MS)
+    await sendVerificationEmail(user, token)
+  } catch (error) {
+    console.error("Error sending verification email:", error)
+  }
+}
+
+// Merge the scores of the guest token sent along with register/login. Failures never block signing in;
+// the result ({ claimedScores } or { error }) is returned to the client, undefined without a token.
+const claimGuestOnSignIn = async (guestToken, user) => {
+  if (!guestToken) return undefined
+  try {
+    return await claimGuest(guestToken, user)
+  } catch (error) {
+    console.error("Error claiming guest scores:", error)
+    return { error: "Failed to claim guest scores" }
+  }
+}
+
+// Request schemas (see middleware/validate.js)
+const requiredString = { type: "string", required: true }
+const guestTokenField = { type: "string" }
+
+const registerSchema = validate({
+  body: {
+    username: { ...usernameField, required: true },
+    email: { type: "email", required: true },
+    password: passwordField,
+    guestToken: guestTokenField,
+  },
+})
+const loginSchema = validate({
+  body: { email: { type: "email", required: true }, password: requiredString, guestToken: guestTokenField },
+})
+const guestSchema = validate({ body: { deviceId: { type: "string", required: true, minLength: 8, maxLength: 128 } } })
+const claimGuestSchema = validate({ body: { guestToken: { ...guestTokenField, required: true } } })
+const refreshTokenSchema = validate({ body: { refreshToken: requiredString } })
+const emailSchema = validate({ body: { email: { type: "email", required: true } } })
+const resetPasswordSchema = validate({ body: { token: requiredString, password: passwordField } })
+const tokenSchema = validate({ body: { token: requiredString } })
+const statsSchema = validate({ query: { bucket: { type: "string", enum: statsBuckets, default: "day" } } })
+const updateProfileSchema = validate({
+  body: {
+    username: {
+      ...usernameField,
+      required: (body) => body.email === undefined,
+    },
+    email: { type: "email" },
+  },
+})
+const changePasswordSchema = validate({ body: { currentPassword: requiredString, newPassword: passwordField } })
+const deleteAccountSchema = validate({
+  query: { scores: { type: "string", enum: ["anonymize", "delete"], default: "anonymize" } },
+  body: { password: requiredString },
+})
+
 // NEW: Log all requests hitting this router
 router.use((req, res, next) => {
   console.log(`[AuthRoutes] Request received: ${req.method} ${req.path}`)
   next()
 })
 
-// Helper function to generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "1h", // Token expires in 1 hour
-  })
-}
-
-// @desc    Register new user
+// @desc    Register new user (send guestToken to claim the scores played as a guest)
 // @route   POST /api/auth/register
 // @access  Public
-router.post("/register", async (req, res) => {
+router.post("/register", rateLimit("auth"), registerSchema, async (req, res) => {
   console.log("[AuthRoutes] Handling /register POST request") // NEW: Specific log for register
-  const { username, email, password } = req.body
-
-  if (!username || !email || !password) {
-    return res.status(400).json({ success: false, error: "Please enter all fields" })
-  }
+  const { username, email, password, guestToken } = req.body
 
   // Check if user exists
   const userExists = await User.findOne({ $or: [{ email }, { username }] })
@@ -43,6 +119,10 @@ router.post("/register", async (req, res) => {
     })
 
     if (user) {
+      await sendVerification(user)
+
+      const guestClaim = await claimGuestOnSignIn(guestToken, user)
+      const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(user._id, req)
       res.status(201).json({
         success: true,
         message: "User registered successfully",
@@ -50,7 +130,11 @@ router.post("/register", async (req, res) => {
           _id: user._id,
           username: user.username,
           email: user.email,
-          token: generateToken(user._id),
+          emailVerified: user.emailVerified,
+          token,
+          refreshToken,
+          refreshTokenExpiresAt,
+          guestClaim,
         },
       })
     } else {
@@ -62,26 +146,40 @@ router.post("/register", async (req, res) => {
   }
 })
 
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token (send guestToken to claim the scores played as a guest)
 // @route   POST /api/auth/login
 // @access  Public
-router.post("/login", async (req, res) => {
+router.post("/login", rateLimit("login"), loginSchema, async (req, res) => {
   console.log("[AuthRoutes] Handling /login POST request") // NEW: Specific log for login
-  const { email, password } = req.body
-
-  if (!email || !password) {
-    return res.status(400).json({ success: false, error: "Please enter all fields" })
-  }
+  const { email, password, guestToken } = req.body
 
   try {
     // Check for user email
     const user = await User.findOne({ email })
 
+    // Locked accounts are refused before the password is checked, so guessing can't continue
+    if (user && user.isLocked()) {
+      const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+      res.set("Retry-After", String(retryAfter))
+      return res.status(429).json({
+        success: false,
+        error: "Too many failed login attempts, please try again later",
+        retryAfter,
+      })
+    }
+
     if (user && (await user.matchPassword(password))) {
+      if (user.banned) {
+        return res.status(403).json({ success: false, error: "This account has been banned" })
+      }
+
       // Update lastLogin timestamp
       user.lastLogin = new Date()
+      user.resetLoginAttempts()
       await user.save()
 
+      const guestClaim = await claimGuestOnSignIn(guestToken, user)
+      const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(user._id, req)
       res.json({
         success: true,
         message: "Logged in successfully",
@@ -89,10 +187,16 @@ router.post("/login", async (req, res) => {
           _id: user._id,
           username: user.username,
           email: user.email,
-          token: generateToken(user._id),
+          token,
+          refreshToken,
+          refreshTokenExpiresAt,
+          guestClaim,
         },
       })
     } else {
+      if (user) {
+        await user.registerFailedLogin()
+      }
       res.status(401).json({ success: false, error: "Invalid credentials" })
     }
   } catch (error) {
@@ -101,6 +205,234 @@ router.post("/login", async (req, res) => {
   }
 })
 
+// @desc    Get a guest token for playing without an account, tied to a client-generated device id
+// @route   POST /api/auth/guest
+// @access  Public
+router.post("/guest", rateLimit("auth"), guestSchema, async (req, res) => {
+  const { deviceId } = req.body
+
+  try {
+    const guest = await findOrCreateGuest(deviceId)
+
+    res.json({
+      success: true,
+      message: "Guest token issued. Scores expire unless claimed by registering or logging in",
+      data: {
+        guestId: guest._id,
+        token: generateGuestToken(guest._id),
+        expiresAt: guest.expiresAt,
+      },
+    })
+  } catch (error) {
+    console.error("Error issuing guest token:", error)
+    res.status(500).json({ success: false, error: "Server error issuing guest token" })
+  }
+})
+
+// @desc    Claim the scores of a guest token for the signed-in account
+// @route   POST /api/auth/claim-guest
+// @access  Private
+router.post("/claim-guest", protect, claimGuestSchema, async (req, res) => {
+  const { guestToken } = req.body
+
+  try {
+    const result = await claimGuest(guestToken, req.user)
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error })
+    }
+
+    res.json({
+      success: true,
+      message: `${result.claimedScores} guest score(s) added to your account`,
+      data: result,
+    })
+  } catch (error) {
+    console.error("Error claiming guest scores:", error)
+    res.status(500).json({ success: false, error: "Server error claiming guest scores" })
+  }
+})
+
+// @desc    Exchange a refresh token for a new access token and a rotated refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+router.post("/refresh", rateLimit("auth"), refreshTokenSchema, async (req, res) => {
+  const { refreshToken } = req.body
+
+  try {
+    const tokenHash = hashToken(refreshToken)
+
+    // Atomically claim the token so two concurrent refreshes can't both rotate it
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() },
+    )
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash })
+      if (existing && existing.replacedBy) {
+        // A rotated-out token was presented again: assume it leaked and kill the whole family
+        await revokeFamily(existing.family)
+        console.warn(`[AuthRoutes] Refresh token reuse detected for user ${existing.userId}`)
+        return res.status(401).json({ success: false, error: "Refresh token reuse detected, please log in again" })
+      }
+      return res.status(401).json({ success: false, error: "Invalid or expired refresh token" })
+    }
+
+    const user = await User.findById(current.userId).select("-password")
+    if (!user) {
+      return res.status(401).json({ success: false, error: "Invalid or expired refresh token" })
+    }
+    // Same check as protect; the token was claimed above, so it stays revoked
+    if (user.banned) {
+      return res.status(403).json({ success: false, error: "This account has been banned" })
+    }
+
+    const tokens = await issueTokens(user._id, req, current.family)
+    current.replacedBy = tokens.refreshTokenId
+    await current.save()
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+      },
+    })
+  } catch (error) {
+    console.error("Error during token refresh:", error)
+    res.status(500).json({ success: false, error: "Server error during token refresh" })
+  }
+})
+
+// @desc    Log out the current device (revokes its refresh token family)
+// @route   POST /api/auth/logout
+// @access  Public (requires a refresh token, so it still works once the access token expired)
+router.post("/logout", refreshTokenSchema, async (req, res) => {
+  const { refreshToken } = req.body
+
+  try {
+    const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) })
+    if (existing) {
+      await revokeFamily(existing.family)
+    }
+
+    // Unknown tokens are not an error: the device is logged out either way
+    res.json({ success: true, message: "Logged out successfully" })
+  } catch (error) {
+    console.error("Error during logout:", error)
+    res.status(500).json({ success: false, error: "Server error during logout" })
+  }
+})
+
+// @desc    Log out all devices (revokes every refresh token of the user)
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post("/logout-all", protect, async (req, res) => {
+  try {
+    const result = await revokeAllForUser(req.user._id)
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      data: { revokedSessions: result.modifiedCount },
+    })
+  } catch (error) {
+    console.error("Error during logout of all devices:", error)
+    res.status(500).json({ success: false, error: "Server error during logout" })
+  }
+})
+
+// @desc    Send a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post("/forgot-password", rateLimit("auth"), emailSchema, async (req, res) => {
+  const { email } = req.body
+
+  try {
+    const user = await User.findOne({ email })
+    if (user) {
+      const token = await createUserToken(user._id, "password-reset", PASSWORD_RESET_TTL_MS)
+      await sendPasswordResetEmail(user, token)
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    res.json({
+      success: true,
+      message: "If an account exists for that email, a password reset link has been sent",
+    })
+  } catch (error) {
+    console.error("Error during forgot password:", error)
+    res.status(500).json({ success: false, error: "Server error during password reset request" })
+  }
+})
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires a reset token)
+router.post("/reset-password", rateLimit("auth"), resetPasswordSchema, async (req, res) => {
+  const { token, password } = req.body
+
+  try {
+    const userToken = await consumeUserToken(token, "password-reset")
+    const user = userToken ? await User.findById(userToken.userId) : null
+    if (!user) {
+      return res.status(400).json({ success: false, error: "Invalid or expired reset token" })
+    }
+
+    user.password = password
+    user.resetLoginAttempts() // Proving access to the email unlocks the account
+    await user.save()
+
+    // A password reset logs out every device that might have been using the old password
+    await revokeAllForUser(user._id)
+
+    res.json({ success: true, message: "Password reset successfully, please log in" })
+  } catch (error) {
+    console.error("Error during password reset:", error)
+    res.status(500).json({ success: false, error: "Server error during password reset" })
+  }
+})
+
+// @desc    Verify an email address with a verification token
+// @route   POST /api/auth/verify-email
+// @access  Public (requires a verification token)
+router.post("/verify-email", rateLimit("auth"), tokenSchema, async (req, res) => {
+  const { token } = req.body
+
+  try {
+    const userToken = await consumeUserToken(token, "email-verification")
+    const user = userToken ? await User.findById(userToken.userId) : null
+    if (!user) {
+      return res.status(400).json({ success: false, error: "Invalid or expired verification token" })
+    }
+
+    user.emailVerified = true
+    user.emailVerifiedAt = new Date()
+    await user.save()
+
+    res.json({ success: true, message: "Email verified successfully" })
+  } catch (error) {
+    console.error("Error during email verification:", error)
+    res.status(500).json({ success: false, error: "Server error during email verification" })
+  }
+})
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post("/resend-verification", protect, rateLimit("auth"), async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ success: false, error: "Email is already verified" })
+  }
+
+  await sendVerification(req.user)
+  res.json({ success: true, message: "Verification email sent" })
+})
+
 // @desc    Get user profile
 // @route   GET /api/auth/me
 // @access  Private
@@ -114,10 +446,233 @@ router.get("/me", protect, async (req, res) => {
       _id: req.user._id,
       username: req.user.username,
       email: req.user.email,
+      emailVerified: req.user.emailVerified,
+      role: req.user.role,
       joinDate: req.user.joinDate,
       lastLogin: req.user.lastLogin,
     },
   })
 })
 
+// @desc    Get the authenticated user's statistics (includes hidden scores)
+// @route   GET /api/auth/me/stats
+// @access  Private
+router.get("/me/stats", protect, statsSchema, async (req, res) => {
+  const { bucket } = req.query
+
+  try {
+    const stats = await buildPlayerStats(req.user._id, { bucket })
+    res.set("Cache-Control", "private, max-age=60") // Cache for 1 minute (user-specific)
+    res.json({
+      success: true,
+      message: "User statistics retrieved",
+      data: { userId: req.user._id, username: req.user.username, ...stats },
+    })
+  } catch (error) {
+    console.error("Error fetching user statistics:", error)
+    res.status(500).json({ success: false, error: "Server error while fetching statistics" })
+  }
+})
+
+// @desc    Download everything stored about the authenticated user (profile, scores with replays,
+//          game sessions, achievements, friends, matches, tournaments and season placings) as JSON
+// @route   GET /api/auth/me/export
+// @access  Private
+router.get("/me/export", protect, rateLimit("export"), async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user)
+    const filename = `funko-memory-${req.user.username.replace(/[^\w.-]/g, "_")}.json`
+    res.set({ "Cache-Control": "private, no-store", "Content-Disposition": `attachment; filename="${filename}"` })
+    res.json({
+      success: true,
+      message: "Account data exported",
+      data,
+    })
+  } catch (error) {
+    console.error("Error exporting account data:", error)
+    res.status(500).json({ success: false, error: "Server error while exporting account data" })
+  }
+})
+
+// @desc    Update username and/or email
+// @route   PATCH /api/auth/me
+// @access  Private
+router.patch("/me", protect, updateProfileSchema, async (req, res) => {
+  const { username, email } = req.body
+
+  try {
+    const user = await User.findById(req.user._id)
+    const emailChanged = email !== undefined && email !== user.email
+
+    // Same uniqueness check as /register, ignoring the user's own account
+    const conflicts = []
+    if (username !== undefined) conflicts.push({ username })
+    if (emailChanged) conflicts.push({ email })
+    const userExists = conflicts.length > 0 && (await User.findOne({ _id: { $ne: user._id }, $or: conflicts }))
+    if (userExists) {
+      return res.status(400).json({ success: false, error: "User with that email or username already exists" })
+    }
+
+    if (username !== undefined) {
+      user.username = username
+    }
+    if (emailChanged) {
+      // A new address has to be verified again
+      user.email = email
+      user.emailVerified = false
+      user.emailVerifiedAt = null
+    }
+
+    await user.save()
+
+    if (emailChanged) {
+      await sendVerification(user)
+    }
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+    })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, error: error.message })
+    }
+    console.error("Error updating profile:", error)
+    res.status(500).json({ success: false, error: "Server error during profile update" })
+  }
+})
+
+// @desc    Change password (requires the current password)
+// @route   PUT /api/auth/me/password
+// @access  Private
+router.put("/me/password", protect, changePasswordSchema, async (req, res) => {
+  const { currentPassword, newPassword } = req.body
+
+  try {
+    // req.user has no password hash, so load the full document
+    const user = await User.findById(req.user._id)
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({ success: false, error: "Current password is incorrect" })
+    }
+
+    user.password = newPassword
+    await user.save()
+
+    // Keep this device logged in, log out every other one
+    await RefreshToken.updateMany(
+      { userId: user._id, family: { $ne: req.auth.family }, revokedAt: null },
+      { revokedAt: new Date() },
+    )
+
+    res.json({ success: true, message: "Password changed successfully" })
+  } catch (error) {
+    console.error("Error changing password:", error)
+    res.status(500).json({ success: false, error: "Server error during password change" })
+  }
+})
+
+// Leave every lobby or running match of a user, like POST /api/matches/:id/leave
+const leaveOpenMatches = async (userId) => {
+  const matches = await Match.find({ "players.userId": userId, status: { $in: ["lobby", "playing"] } })
+  for (const match of matches) {
+    await leaveMatch(match, userId)
+  }
+}
+
+// Replace a user's id and name in their matches. One stand-in id per account keeps the players of a
+// match apart (turns, winners, flips) without pointing back to the deleted account.
+const anonymizeMatches = (userId) => {
+  const standInId = new mongoose.Types.ObjectId()
+  return Promise.all([
+    Match.updateMany({ hostId: userId }, { $set: { hostId: standInId } }),
+    Match.updateMany(
+      { "players.userId": userId },
+      {
+        $set: {
+          "players.$[player].userId": standInId,
+          "players.$[player].username": "Deleted player",
+          "flips.$[flip].userId": standInId,
+          "winnerIds.$[winner]": standInId,
+        },
+      },
+      { arrayFilters: [{ "player.userId": userId }, { "flip.userId": userId }, { winner: userId }] },
+    ),
+  ])
+}
+
+// @desc    Delete account. ?scores=anonymize (default) keeps scores under an anonymous name,
+//          ?scores=delete removes them
+// @route   DELETE /api/auth/me
+// @access  Private (requires the current password)
+router.delete("/me", protect, deleteAccountSchema, async (req, res) => {
+  const { password } = req.body
+  const scoresOption = req.query.scores
+
+  try {
+    const user = await User.findById(req.user._id)
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({ success: false, error: "Password is incorrect" })
+    }
+
+    // Everything else goes first: the score rewrite can't be undone, so it only runs once these succeeded
+    await Promise.all([
+      GameSession.deleteMany({ userId: user._id }),
+      RefreshToken.deleteMany({ userId: user._id }),
+      UserToken.deleteMany({ userId: user._id }),
+      UserAchievement.deleteMany({ userId: user._id }),
+      Friendship.deleteMany({ users: user._id }),
+      // Archived season standings keep the placing, not the name
+      SeasonStanding.updateMany(
+        { "entries.userId": user._id },
+        { $set: { "entries.$[entry].playerName": "Deleted player" }, $unset: { "entries.$[entry].userId": 1 } },
+        { arrayFilters: [{ "entry.userId": user._id }] },
+      ),
+      // Upcoming tournaments lose the registration; started ones keep the bracket and placings, not the name
+      Tournament.updateMany({ startsAt: { $gt: new Date() } }, { $pull: { players: { userId: user._id } } }).then(() =>
+        Tournament.updateMany(
+          { "players.userId": user._id },
+          { $set: { "players.$[player].username": "Deleted player" } },
+          { arrayFilters: [{ "player.userId": user._id }] },
+        ),
+      ),
+      // Separate update: only finished tournaments have results to apply the array filter to
+      Tournament.updateMany(
+        { "results.userId": user._id },
+        { $set: { "results.$[result].playerName": "Deleted player" } },
+        { arrayFilters: [{ "result.userId": user._id }] },
+      ),
+      // Open matches are left (or forfeited) first; every match then keeps the placings under a stand-in id
+      leaveOpenMatches(user._id).then(() => anonymizeMatches(user._id)),
+    ])
+
+    const scoresResult =
+      scoresOption === "delete"
+        ? await Score.deleteMany({ userId: user._id })
+        : await Score.updateMany(
+            { userId: user._id },
+            { $set: { playerName: "Deleted player" }, $unset: { userId: 1, guestId: 1 } },
+          )
+
+    await user.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Account deleted successfully",
+      data: {
+        scores: scoresOption,
+        scoresAffected: scoresOption === "delete" ? scoresResult.deletedCount : scoresResult.modifiedCount,
+      },
+    })
+  } catch (error) {
+    console.error("Error deleting account:", error)
+    res.status(500).json({ success: false, error: "Server error during account deletion" })
+  }
+})
+
 export default router
@@ -0,0 +1,157 @@
+import express from "express"
+import DailyChallenge from "../models/DailyChallenge.js"
+import GameSession from "../models/GameSession.js"
+import Score, { publicScoreFilter } from "../models/Score.js"
+import { protect, protectFriendsScope } from "../middleware/authMiddleware.js"
+import { findDifficulty } from "../utils/catalog.js"
+import {
+  getDateKey,
+  getChallengeEnd,
+  getOrCreateDailyChallenge,
+  finalizeDailyChallenge,
+} from "../utils/dailyChallenge.js"
+import { bestPerPlayerPipeline, formatLeaderboardEntry } from "../utils/leaderboard.js"
+import { getScopeUserIds } from "../utils/friends.js"
+import { validate } from "../middleware/validate.js"
+import { paginationQuery, scopeQuery, dateKeyField } from "../utils/validators.js"
+
+const router = express.Router()
+
+// Shape a challenge for API responses. The board itself is only revealed once the player's attempt
+// is over (cards show up one flip at a time while it runs), so it can't be studied beforehand.
+const formatChallenge = (challenge, { withBoard = false } = {}) => ({
+  date: challenge.date,
+  category: challenge.category,
+  difficulty: challenge.difficulty,
+  pairs: challenge.layout.length / 2,
+  endsAt: getChallengeEnd(challenge.date),
+  ...(withBoard && { seed: challenge.seed, layout: challenge.layout, cards: challenge.cards }),
+  ...(challenge.finalizedAt && { participants: challenge.participants, winner: challenge.winner || null }),
+})
+
+// GET /api/daily - Today's challenge: category, difficulty and board size
+router.get("/", async (req, res) => {
+  try {
+    const challenge = await getOrCreateDailyChallenge()
+    const difficulty = await findDifficulty(challenge.difficulty)
+    const participants = await Score.countDocuments({ ...publicScoreFilter(), dailyChallenge: challenge.date })
+
+    res.set("Cache-Control", "public, max-age=60") // Cache for 1 minute
+    res.json({
+      success: true,
+      data: {
+        ...formatChallenge(challenge),
+        rows: difficulty?.rows,
+        columns: difficulty?.columns,
+        participants,
+      },
+      message: "Daily challenge retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching daily challenge:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch daily challenge",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// GET /api/daily/me - Whether the authenticated user attempted today's challenge, and their result
+router.get("/me", protect, async (req, res) => {
+  try {
+    const challenge = await getOrCreateDailyChallenge()
+    const [session, score] = await Promise.all([
+      GameSession.findOne({ userId: req.user._id, dailyChallenge: challenge.date }).lean(),
+      Score.findOne({ userId: req.user._id, dailyChallenge: challenge.date }).lean(),
+    ])
+
+    res.set("Cache-Control", "private, no-store")
+    res.json({
+      success: true,
+      data: {
+        challenge: formatChallenge(challenge, { withBoard: Boolean(session) && session.status !== "active" }),
+        attempted: Boolean(session),
+        sessionId: session?._id || null,
+        sessionStatus: session?.status || null,
+        score: score
+          ? { id: score._id, time: score.time, moves: score.moves, score: score.score, hidden: score.hidden }
+          : null,
+      },
+      message: "Daily challenge status retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching daily challenge status:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch daily challenge status",
+    })
+  }
+})
+
+// GET /api/daily/leaderboard - Ranking for one day's challenge (?date=YYYY-MM-DD, defaults to today)
+// ?scope=friends (authenticated) ranks only you and your friends
+const validateLeaderboard = validate({
+  query: { date: dateKeyField, scope: scopeQuery, limit: paginationQuery({ defaultLimit: 10 }).limit },
+})
+
+router.get("/leaderboard", validateLeaderboard, protectFriendsScope, async (req, res) => {
+  try {
+    const date = req.query.date || getDateKey()
+    const { scope, limit: limitNum } = req.query
+    const filter = { ...publicScoreFilter(), dailyChallenge: date }
+    const userIds = await getScopeUserIds(scope, req.user)
+    if (userIds) {
+      filter.userId = { $in: userIds }
+    }
+    const entries = await Score.aggregate([...bestPerPlayerPipeline(filter, "score"), { $limit: limitNum }])
+
+    res.set("Cache-Control", scope === "friends" ? "private, no-store" : "public, max-age=60") // Cache for 1 minute
+    res.json({
+      success: true,
+      data: entries.map(formatLeaderboardEntry),
+      count: entries.length,
+      message: `Daily challenge leaderboard for ${date} retrieved successfully`,
+      filters: { date, scope, limit: limitNum },
+    })
+  } catch (error) {
+    console.error("Error fetching daily leaderboard:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch daily leaderboard",
+    })
+  }
+})
+
+// GET /api/daily/history - Past challenges with their winners, most recent first
+router.get("/history", validate({ query: paginationQuery({ defaultLimit: 7, maxLimit: 60 }) }), async (req, res) => {
+  try {
+    const { limit: limitNum, page: pageNum } = req.query
+
+    const challenges = await DailyChallenge.find({ date: { $lt: getDateKey() } })
+      .sort({ date: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean()
+
+    // Days that ended since the last request get their winner computed now
+    const finalized = await Promise.all(challenges.map(finalizeDailyChallenge))
+
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data: finalized.map((challenge) => formatChallenge(challenge, { withBoard: true })),
+      count: finalized.length,
+      page: pageNum,
+      message: "Daily challenge history retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching daily challenge history:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch daily challenge history",
+    })
+  }
+})
+
+export default router
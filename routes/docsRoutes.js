@@ -0,0 +1,39 @@
+import express from "express"
+import { apiRoutes } from "./index.js"
+import { buildOpenApiSpec } from "../utils/openapi.js"
+
+const router = express.Router()
+
+// The routes don't change at runtime, so each version's document is built once, on first request
+const specs = new Map()
+
+// GET /api/<version>/openapi.json - OpenAPI 3 document of an API version
+router.get("/openapi.json", (req, res) => {
+  if (!specs.has(req.apiVersion)) {
+    specs.set(req.apiVersion, buildOpenApiSpec(apiRoutes, req.apiVersion))
+  }
+  res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+  res.json(specs.get(req.apiVersion))
+})
+
+// GET /api/<version>/docs - Interactive API docs (Swagger UI, loaded from a CDN)
+router.get("/docs", (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Funko Memory Game API</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: "${req.baseUrl}/openapi.json", dom_id: "#swagger-ui" })
+    </script>
+  </body>
+</html>`)
+})
+
+export default router
@@ -0,0 +1,335 @@
+import express from "express"
+import mongoose from "mongoose"
+import Friendship from "../models/Friendship.js"
+import User from "../models/User.js"
+import { protect } from "../middleware/authMiddleware.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+import { friendshipPair, findFriendship } from "../utils/friends.js"
+import { usernameField, objectIdParam } from "../utils/validators.js"
+
+const router = express.Router()
+
+router.use(protect)
+
+// Load the other user of /:userId routes into req.otherUser (banned accounts look like 404s)
+router.param("userId", async (req, res, next, userId) => {
+  try {
+    if (!mongoose.isValidObjectId(userId)) {
+      return sendValidationError(res, [{ location: "params", field: "userId", message: "userId must be a valid id" }])
+    }
+    if (req.user._id.equals(userId)) {
+      return res.status(400).json({ success: false, error: "You can't do that with your own account" })
+    }
+    req.otherUser = await User.findById(userId).select("username banned").lean()
+    if (!req.otherUser || req.otherUser.banned) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// The id of the other user of a friendship, seen from `userId`
+const otherUserId = (friendship, userId) => friendship.users.find((id) => !id.equals(userId))
+
+// Shape friendships for API responses, with the other user's name
+const formatFriendships = async (friendships, userId) => {
+  const otherIds = friendships.map((friendship) => otherUserId(friendship, userId))
+  const users = await User.find({ _id: { $in: otherIds } })
+    .select("username")
+    .lean()
+  const usernames = new Map(users.map((user) => [String(user._id), user.username]))
+
+  return friendships.map((friendship) => {
+    const otherId = otherUserId(friendship, userId)
+    return {
+      id: friendship._id,
+      userId: otherId,
+      username: usernames.get(String(otherId)) || null,
+      status: friendship.status,
+      since: friendship.acceptedAt || friendship.createdAt,
+    }
+  })
+}
+
+// GET /api/friends - Your friends
+router.get("/", async (req, res) => {
+  try {
+    const friendships = await Friendship.find({ users: req.user._id, status: "accepted" })
+      .sort({ acceptedAt: -1 })
+      .lean()
+
+    res.set("Cache-Control", "private, no-store")
+    res.json({
+      success: true,
+      data: await formatFriendships(friendships, req.user._id),
+      count: friendships.length,
+      message: "Friends retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching friends:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch friends",
+    })
+  }
+})
+
+// GET /api/friends/requests - Pending friend requests you received and sent
+router.get("/requests", async (req, res) => {
+  try {
+    const requests = await Friendship.find({ users: req.user._id, status: "pending" }).sort({ createdAt: -1 }).lean()
+    const formatted = await formatFriendships(requests, req.user._id)
+
+    res.set("Cache-Control", "private, no-store")
+    res.json({
+      success: true,
+      data: {
+        incoming: formatted.filter((request, i) => requests[i].recipientId.equals(req.user._id)),
+        outgoing: formatted.filter((request, i) => requests[i].requesterId.equals(req.user._id)),
+      },
+      message: "Friend requests retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching friend requests:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch friend requests",
+    })
+  }
+})
+
+// POST /api/friends/requests - Send a friend request. Body: { userId } or { username }
+// Sending one to someone who already asked you accepts theirs instead.
+const validateFriendRequest = validate({
+  body: {
+    userId: { type: "objectId", required: (body) => !body.username },
+    username: usernameField,
+  },
+})
+
+router.post("/requests", validateFriendRequest, async (req, res) => {
+  try {
+    const { userId, username } = req.body
+
+    const recipient = userId
+      ? await User.findById(userId).select("username banned")
+      : await User.findOne({ username }).select("username banned")
+
+    if (!recipient || recipient.banned) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+    if (recipient._id.equals(req.user._id)) {
+      return res.status(400).json({ success: false, error: "You can't send a friend request to yourself" })
+    }
+
+    const existing = await findFriendship(req.user._id, recipient._id)
+    if (existing?.status === "blocked") {
+      return res.status(403).json({ success: false, error: "You can't send a friend request to this user" })
+    }
+    if (existing?.status === "accepted") {
+      return res.status(409).json({ success: false, error: "You are already friends" })
+    }
+    if (existing?.status === "pending") {
+      if (existing.requesterId.equals(req.user._id)) {
+        return res.status(409).json({ success: false, error: "Friend request already sent" })
+      }
+
+      existing.status = "accepted"
+      existing.acceptedAt = new Date()
+      await existing.save()
+      return res.json({
+        success: true,
+        data: (await formatFriendships([existing], req.user._id))[0],
+        message: `You are now friends with ${recipient.username}`,
+      })
+    }
+
+    const friendship = await Friendship.create({
+      ...friendshipPair(req.user._id, recipient._id),
+      requesterId: req.user._id,
+      recipientId: recipient._id,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: (await formatFriendships([friendship], req.user._id))[0],
+      message: `Friend request sent to ${recipient.username}`,
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: "Friend request already exists" })
+    }
+    console.error("Error sending friend request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to send friend request",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// Find a pending request addressed to the authenticated user
+const findIncomingRequest = (id, userId) => Friendship.findOne({ _id: id, recipientId: userId, status: "pending" })
+
+const requestSchema = validate({ params: { id: objectIdParam } })
+
+// POST /api/friends/requests/:id/accept - Accept a friend request you received
+router.post("/requests/:id/accept", requestSchema, async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req.params.id, req.user._id)
+    if (!request) {
+      return res.status(404).json({ success: false, error: "Friend request not found" })
+    }
+
+    request.status = "accepted"
+    request.acceptedAt = new Date()
+    await request.save()
+
+    res.json({
+      success: true,
+      data: (await formatFriendships([request], req.user._id))[0],
+      message: "Friend request accepted",
+    })
+  } catch (error) {
+    console.error("Error accepting friend request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to accept friend request",
+    })
+  }
+})
+
+// POST /api/friends/requests/:id/decline - Decline a friend request you received
+router.post("/requests/:id/decline", requestSchema, async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req.params.id, req.user._id)
+    if (!request) {
+      return res.status(404).json({ success: false, error: "Friend request not found" })
+    }
+
+    await request.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Friend request declined",
+    })
+  } catch (error) {
+    console.error("Error declining friend request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to decline friend request",
+    })
+  }
+})
+
+// GET /api/friends/blocked - Users you blocked
+router.get("/blocked", async (req, res) => {
+  try {
+    const blocks = await Friendship.find({ blockedBy: req.user._id }).sort({ updatedAt: -1 }).lean()
+
+    res.set("Cache-Control", "private, no-store")
+    res.json({
+      success: true,
+      data: (await formatFriendships(blocks, req.user._id)).map(({ userId, username }) => ({ userId, username })),
+      count: blocks.length,
+      message: "Blocked users retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching blocked users:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch blocked users",
+    })
+  }
+})
+
+// POST /api/friends/:userId/block - Block a user: ends any friendship or request and stops new ones
+router.post("/:userId/block", async (req, res) => {
+  try {
+    const { users, pairKey } = friendshipPair(req.user._id, req.otherUser._id)
+
+    await Friendship.findOneAndUpdate(
+      { pairKey },
+      {
+        $set: { status: "blocked", acceptedAt: null },
+        $addToSet: { blockedBy: req.user._id },
+        $setOnInsert: { users, requesterId: req.user._id, recipientId: req.otherUser._id },
+      },
+      { upsert: true },
+    )
+
+    res.json({
+      success: true,
+      message: `${req.otherUser.username} has been blocked`,
+    })
+  } catch (error) {
+    console.error("Error blocking user:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to block user",
+    })
+  }
+})
+
+// DELETE /api/friends/:userId/block - Unblock a user (the pair stays blocked if they blocked you too)
+router.delete("/:userId/block", async (req, res) => {
+  try {
+    const friendship = await Friendship.findOneAndUpdate(
+      { pairKey: friendshipPair(req.user._id, req.otherUser._id).pairKey, blockedBy: req.user._id },
+      { $pull: { blockedBy: req.user._id } },
+      { new: true },
+    )
+    if (!friendship) {
+      return res.status(404).json({ success: false, error: "User is not blocked" })
+    }
+
+    if (friendship.blockedBy.length === 0) {
+      await friendship.deleteOne()
+    }
+
+    res.json({
+      success: true,
+      message: `${req.otherUser.username} has been unblocked`,
+    })
+  } catch (error) {
+    console.error("Error unblocking user:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to unblock user",
+    })
+  }
+})
+
+// DELETE /api/friends/:userId - Remove a friend, or cancel a friend request you sent
+router.delete("/:userId", async (req, res) => {
+  try {
+    const friendship = await findFriendship(req.user._id, req.otherUser._id)
+    const removable =
+      friendship &&
+      (friendship.status === "accepted" ||
+        (friendship.status === "pending" && friendship.requesterId.equals(req.user._id)))
+    if (!removable) {
+      return res.status(404).json({ success: false, error: "Friend not found" })
+    }
+
+    await friendship.deleteOne()
+
+    res.json({
+      success: true,
+      message:
+        friendship.status === "accepted"
+          ? `${req.otherUser.username} was removed from your friends`
+          : "Friend request cancelled",
+    })
+  } catch (error) {
+    console.error("Error removing friend:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove friend",
+    })
+  }
+})
+
+export default router
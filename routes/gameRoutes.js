@@ -1,42 +1,56 @@
 import express from "express"
-import Score from "../models/Score.js"
-import { protect } from "../middleware/authMiddleware.js"
+import Score, { publicScoreFilter } from "../models/Score.js"
+import GameSession from "../models/GameSession.js"
+import { protect, protectPlayer, requireVerifiedEmail, protectFriendsScope } from "../middleware/authMiddleware.js"
+import { rateLimit } from "../middleware/rateLimit.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+import { TIME_TOLERANCE_SECONDS } from "../config/game.js"
+import { apiVersions } from "../config/apiVersions.js"
+import {
+  getCategories,
+  getDifficulties,
+  findCategory,
+  resolveGameOptions,
+  formatCategory,
+  formatDifficulty,
+} from "../utils/catalog.js"
+import { evaluateFlips, computeElapsedSeconds, isTooFast } from "../utils/gameBoard.js"
+import { CURRENT_SCORING_VERSION, calculateScore } from "../utils/scoring.js"
+import { evaluateAchievements } from "../utils/achievements.js"
+import { publishScore } from "../utils/leaderboardFeed.js"
+import { getScopeUserIds } from "../utils/friends.js"
+import { getGuestExpiry, touchGuest, playerOwner } from "../utils/guests.js"
+import { findPage, decodeCursor } from "../utils/pagination.js"
+import { replayError, dealReplayBoard, replayFromSession, verifyReplay } from "../utils/replay.js"
+import { checkScoreIntegrity } from "../utils/integrity.js"
+import { getCurrentSeason } from "../utils/seasons.js"
+import { applyScoreFilters } from "../utils/leaderboard.js"
+import {
+  paginationQuery,
+  categoryField,
+  difficultyField,
+  categoryFilter,
+  difficultyFilter,
+  scopeQuery,
+  objectIdParam,
+  dateRangeQuery,
+} from "../utils/validators.js"
 
 const router = express.Router()
 
-// Cache for static data (in production, use Redis)
-let categoriesCache = null
-let difficultiesCache = null
-
-// Game categories and difficulties
-const gameCategories = [
-  { id: "heroes", name: "Heroes", description: "Superhero Funko Pops" },
-  { id: "movies", name: "Movies", description: "Movie character Funko Pops" },
-  { id: "musicians", name: "Musicians", description: "Music artist Funko Pops" },
-  { id: "videogames", name: "Video Games", description: "Video game character Funko Pops" },
-]
-
-const gameDifficulties = [
-  { id: "easy", name: "Easy", description: "Perfect for beginners" },
-  { id: "medium", name: "Medium", description: "Good challenge" },
-  { id: "hard", name: "Hard", description: "For experts" },
-]
-
-// GET /api/categories - Get all categories (cached)
-router.get("/categories", (req, res) => {
+// GET /api/categories - Get all active categories (served from the in-memory catalog cache)
+router.get("/categories", async (req, res) => {
   try {
-    if (!categoriesCache) {
-      categoriesCache = {
-        success: true,
-        data: gameCategories,
-        count: gameCategories.length,
-        message: "Game categories retrieved successfully",
-        cached: true,
-      }
-    }
+    const categories = (await getCategories()).map((category) => formatCategory(category))
 
-    res.set("Cache-Control", "public, max-age=3600") // Cache for 1 hour
-    res.json(categoriesCache)
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data: categories,
+      count: categories.length,
+      message: "Game categories retrieved successfully",
+      cached: true,
+    })
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -45,21 +59,41 @@ router.get("/categories", (req, res) => {
   }
 })
 
-// GET /api/difficulties - Get all difficulties (cached)
-router.get("/difficulties", (req, res) => {
+// GET /api/categories/:id - Get one category with its deck of cards
+router.get("/categories/:id", validate({ params: { id: { type: "string", maxLength: 50 } } }), async (req, res) => {
   try {
-    if (!difficultiesCache) {
-      difficultiesCache = {
-        success: true,
-        data: gameDifficulties,
-        count: gameDifficulties.length,
-        message: "Difficulty levels retrieved successfully",
-        cached: true,
-      }
+    const category = await findCategory(req.params.id)
+    if (!category) {
+      return res.status(404).json({ success: false, error: "Category not found" })
     }
 
-    res.set("Cache-Control", "public, max-age=3600") // Cache for 1 hour
-    res.json(difficultiesCache)
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data: formatCategory(category, { withCards: true }),
+      message: "Game category retrieved successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch category",
+    })
+  }
+})
+
+// GET /api/difficulties - Get all active difficulties (served from the in-memory catalog cache)
+router.get("/difficulties", async (req, res) => {
+  try {
+    const difficulties = (await getDifficulties()).map(formatDifficulty)
+
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data: difficulties,
+      count: difficulties.length,
+      message: "Difficulty levels retrieved successfully",
+      cached: true,
+    })
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -68,37 +102,72 @@ router.get("/difficulties", (req, res) => {
   }
 })
 
+// Score lists are sorted fastest first; _id breaks ties so cursors address every score exactly
+const scoresSort = { time: 1, moves: 1, _id: 1 }
+
+const scoresQuery = {
+  limit: paginationQuery().limit, // Max 100 results
+  page: { type: "integer", min: 1 },
+  cursor: { type: "string", check: (value) => (decodeCursor(value, scoresSort) ? null : "Invalid cursor") },
+  count: { type: "boolean", default: false },
+  category: categoryFilter,
+  difficulty: difficultyFilter,
+  ...dateRangeQuery,
+}
+
+// One page of a score list. Pages by ?cursor (the nextCursor/prevCursor of the previous page), with
+// the total only on ?count=true; or by ?page with the full count, for clients from before cursors
+// and by default on API versions with offsetPagination.
+const findScoresPage = async (req, filter, select) => {
+  const { limit, page, cursor, count } = req.query
+  if (page !== undefined || (!cursor && apiVersions[req.apiVersion]?.offsetPagination)) {
+    const pageNum = page || 1
+    const [items, totalCount] = await Promise.all([
+      Score.find(filter)
+        .sort(scoresSort)
+        .skip((pageNum - 1) * limit)
+        .limit(limit)
+        .lean()
+        .select(select),
+      Score.countDocuments(filter),
+    ])
+    return { items, pagination: { totalCount, page: pageNum, totalPages: Math.ceil(totalCount / limit) } }
+  }
+
+  const [{ items, nextCursor, prevCursor }, totalCount] = await Promise.all([
+    findPage(Score, filter, { sort: scoresSort, limit, cursor, select }),
+    count ? Score.countDocuments(filter) : undefined,
+  ])
+  return { items, pagination: { nextCursor, prevCursor, ...(count && { totalCount }) } }
+}
+
 // GET /api/scores - Get all scores from MongoDB (with caching)
-router.get("/scores", async (req, res) => {
+// ?scope=friends (authenticated) limits the list to you and your friends
+const validateScoresList = validate({ query: { ...scoresQuery, scope: scopeQuery } })
+
+router.get("/scores", validateScoresList, protectFriendsScope, async (req, res) => {
   try {
-    const { category, difficulty, limit = 50, page = 1 } = req.query
-    const limitNum = Math.min(Number.parseInt(limit), 100) // Max 100 results
-    const skip = (Number.parseInt(page) - 1) * limitNum
-
-    // Build filter object
-    const filter = {}
-    if (category && category !== "all") {
-      filter.category = category
-    }
-    if (difficulty && difficulty !== "all") {
-      filter.difficulty = difficulty
-    }
+    const { category, difficulty, from, to, scope, limit: limitNum } = req.query
 
-    // Get scores from MongoDB with optimized query
-    const scores = await Score.find(filter)
-      .sort({ time: 1, moves: 1 }) // Use indexed fields for sorting
-      .limit(limitNum)
-      .skip(skip)
-      .lean() // Returns plain JavaScript objects (faster)
-      .select("playerName category difficulty time moves date createdAt") // Only select needed fields
+    // Build filter object (hidden scores and banned players are never public)
+    const filter = applyScoreFilters(publicScoreFilter(), req.query)
+    const userIds = await getScopeUserIds(scope, req.user)
+    if (userIds) {
+      filter.userId = { $in: userIds }
+    }
 
-    // Get total count for pagination
-    const totalCount = await Score.countDocuments(filter)
+    // Get scores from MongoDB with optimized query (indexed sort, only the needed fields)
+    const { items: scores, pagination } = await findScoresPage(
+      req,
+      filter,
+      "playerName userId guestId category difficulty time moves date createdAt",
+    )
 
     // Format the response
     const formattedScores = scores.map((score) => ({
       id: score._id,
       playerName: score.playerName,
+      guest: Boolean(score.guestId && !score.userId), // Unclaimed guest score
       category: score.category,
       difficulty: score.difficulty,
       time: score.time,
@@ -106,18 +175,16 @@ router.get("/scores", async (req, res) => {
       date: score.date.toISOString().split("T")[0],
     }))
 
-    // Set cache headers
-    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    // Set cache headers (friends lists differ per user)
+    res.set("Cache-Control", scope === "friends" ? "private, no-store" : "public, max-age=300") // Cache for 5 minutes
 
     res.json({
       success: true,
       data: formattedScores,
       count: formattedScores.length,
-      totalCount,
-      page: Number.parseInt(page),
-      totalPages: Math.ceil(totalCount / limitNum),
+      ...pagination,
       message: `Scores retrieved from MongoDB successfully`,
-      filters: { category, difficulty, limit: limitNum },
+      filters: { category, difficulty, from, to, scope, limit: limitNum },
     })
   } catch (error) {
     console.error("Error fetching scores:", error)
@@ -130,29 +197,18 @@ router.get("/scores", async (req, res) => {
 })
 
 // NEW ROUTE: GET /api/scores/me - Get scores for the authenticated user
-router.get("/scores/me", protect, async (req, res) => {
+router.get("/scores/me", protect, validate({ query: scoresQuery }), async (req, res) => {
   try {
     const userId = req.user._id // Get userId from the authenticated user
-    const { category, difficulty, limit = 50, page = 1 } = req.query
-    const limitNum = Math.min(Number.parseInt(limit), 100)
-    const skip = (Number.parseInt(page) - 1) * limitNum
+    const { category, difficulty, from, to, limit: limitNum } = req.query
 
-    const filter = { userId: userId } // Filter by the authenticated user's ID
-    if (category && category !== "all") {
-      filter.category = category
-    }
-    if (difficulty && difficulty !== "all") {
-      filter.difficulty = difficulty
-    }
-
-    const scores = await Score.find(filter)
-      .sort({ time: 1, moves: 1 })
-      .limit(limitNum)
-      .skip(skip)
-      .lean()
-      .select("playerName category difficulty time moves date createdAt")
+    const filter = applyScoreFilters({ userId: userId }, req.query) // Filter by the authenticated user's ID
 
-    const totalCount = await Score.countDocuments(filter)
+    const { items: scores, pagination } = await findScoresPage(
+      req,
+      filter,
+      "playerName category difficulty time moves date createdAt replayStatus",
+    )
 
     const formattedScores = scores.map((score) => ({
       id: score._id,
@@ -161,6 +217,7 @@ router.get("/scores/me", protect, async (req, res) => {
       difficulty: score.difficulty,
       time: score.time,
       moves: score.moves,
+      replayStatus: score.replayStatus || "none", // "invalid" scores are only visible to their owner
       date: score.date.toISOString().split("T")[0],
     }))
 
@@ -170,11 +227,9 @@ router.get("/scores/me", protect, async (req, res) => {
       success: true,
       data: formattedScores,
       count: formattedScores.length,
-      totalCount,
-      page: Number.parseInt(page),
-      totalPages: Math.ceil(totalCount / limitNum),
+      ...pagination,
       message: `User-specific scores retrieved successfully`,
-      filters: { category, difficulty, limit: limitNum, userId: userId },
+      filters: { category, difficulty, from, to, limit: limitNum, userId: userId },
     })
   } catch (error) {
     console.error("Error fetching user scores:", error)
@@ -186,119 +241,290 @@ router.get("/scores/me", protect, async (req, res) => {
   }
 })
 
+// GET /api/scores/:id/replay - The verified replay of a public score, to play the game back
+router.get("/scores/:id/replay", validate({ params: { id: objectIdParam } }), async (req, res) => {
+  try {
+    const score = await Score.findOne({ _id: req.params.id, ...publicScoreFilter(), replayStatus: "verified" })
+      .select("playerName userId guestId category difficulty time moves score date replay")
+      .lean()
+    if (!score || !score.replay) {
+      return res.status(404).json({ success: false, error: "No verified replay for this score" })
+    }
+
+    res.set("Cache-Control", "public, max-age=3600") // Replays never change; cache for 1 hour
+    res.json({
+      success: true,
+      data: {
+        scoreId: score._id,
+        playerName: score.playerName,
+        guest: Boolean(score.guestId && !score.userId),
+        category: score.category,
+        difficulty: score.difficulty,
+        time: score.time,
+        moves: score.moves,
+        score: score.score,
+        date: score.date.toISOString().split("T")[0],
+        seed: score.replay.seed,
+        layout: score.replay.layout,
+        cards: score.replay.cards,
+        flips: score.replay.flips,
+      },
+      message: "Replay retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching replay:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch replay",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// Check a completed game session and compute its time and moves from the recorded flips.
+// The client's own time/moves claims are only cross-checked against the server's values.
+const verifyGameSession = async (sessionId, owner, claims) => {
+  const session = await GameSession.findOne({ _id: sessionId, ...owner })
+  if (!session) {
+    return { status: 404, error: "Game session not found" }
+  }
+  if (session.status === "submitted") {
+    return { status: 409, error: "A score was already submitted for this game session" }
+  }
+  if (session.status !== "completed") {
+    return { status: 400, error: `Game session is ${session.status}, only completed games can be submitted` }
+  }
+
+  // Faster than anyone can play: scripted, so the session can't be submitted again either
+  if (isTooFast(session.flips.map((flip) => new Date(flip.at).getTime()))) {
+    session.status = "rejected"
+    await session.save()
+    return { status: 400, error: "The recorded game was played faster than humanly possible" }
+  }
+
+  const { moves } = evaluateFlips(session.layout, session.flips)
+  const time = computeElapsedSeconds(session.flips)
+
+  const timeMismatch = claims.time !== undefined && Math.abs(claims.time - time) > TIME_TOLERANCE_SECONDS
+  const movesMismatch = claims.moves !== undefined && claims.moves !== moves
+  if (timeMismatch || movesMismatch) {
+    session.status = "rejected"
+    await session.save()
+    return { status: 400, error: "Submitted time or moves do not match the recorded game" }
+  }
+
+  return { session, category: session.category, difficulty: session.difficulty, time, moves }
+}
+
 // POST /api/scores - Submit a new game score to MongoDB
-router.post("/scores", protect, async (req, res) => {
+// Scores come from a completed game session (see POST /api/games). Unverified scores with
+// client-reported time/moves are only accepted when ALLOW_UNVERIFIED_SCORES=true.
+// Guests (guest token) can submit too: their scores are marked and expire unless claimed.
+// Every score carries a replay: the session's recorded flips, or for unverified scores an uploaded
+// { seed, flips: [{ index, t }] }. Scores whose replay doesn't confirm time and moves stay off public views.
+const isUnverifiedScore = (body) => !body.sessionId
+const submitScoreBody = {
+  playerName: { type: "string", required: true, trim: true, minLength: 1, maxLength: 50 },
+  sessionId: { type: "objectId", required: () => process.env.ALLOW_UNVERIFIED_SCORES !== "true" },
+  // Only needed for unverified scores; with a session they come from the recorded game
+  category: categoryField({ required: isUnverifiedScore }),
+  difficulty: difficultyField({ required: isUnverifiedScore }),
+  time: { type: "number", min: 1, required: isUnverifiedScore },
+  moves: { type: "integer", min: 1, required: isUnverifiedScore },
+  replay: { type: "object", check: replayError }, // Ignored with a session, which has its own
+}
+const validateScore = validate({ body: submitScoreBody })
+
+router.post("/scores", protectPlayer, rateLimit("scores"), requireVerifiedEmail, validateScore, async (req, res) => {
   try {
-    const { playerName, category, difficulty, time, moves } = req.body
+    const { playerName, sessionId } = req.body
+    let { category, difficulty, time, moves } = req.body
+    let session = null
+    let pairs
+    let replay = null
 
-    // Get userId from the authenticated user (set by 'protect' middleware)
-    const userId = req.user._id
+    // Get userId from the authenticated user (set by 'protectPlayer' middleware; null for guests)
+    const userId = req.user ? req.user._id : null
+    const guestId = req.guest ? req.guest._id : null
 
     if (process.env.NODE_ENV === "development") {
       console.log("📝 POST /api/scores - RECEIVED SCORE DATA:", req.body)
     }
 
-    // Basic validation
-    if (!playerName || !category || !difficulty || time === undefined || moves === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: playerName, category, difficulty, time, moves",
-      })
-    }
-
-    // Validate ranges
-    if (time < 1 || time > 3600) {
-      // 1 second to 1 hour
-      return res.status(400).json({
-        success: false,
-        error: "Invalid time value",
-      })
-    }
+    if (sessionId) {
+      const result = await verifyGameSession(sessionId, playerOwner(req), { time, moves })
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error })
+      }
+      ;({ session, category, difficulty, time, moves } = result)
+      pairs = session.layout.length / 2
+      replay = replayFromSession(session)
+    } else {
+      // Unverified scores (ALLOW_UNVERIFIED_SCORES=true): keep client-reported values plausible
+      const rangeErrors = []
+      if (time > 3600) {
+        // 1 second to 1 hour
+        rangeErrors.push({ location: "body", field: "time", message: "time must be at most 3600" })
+      }
+      if (moves > 1000) {
+        // Reasonable move limit
+        rangeErrors.push({ location: "body", field: "moves", message: "moves must be at most 1000" })
+      }
+      if (rangeErrors.length > 0) {
+        return sendValidationError(res, rangeErrors)
+      }
 
-    if (moves < 1 || moves > 1000) {
-      // Reasonable move limit
-      return res.status(400).json({
-        success: false,
-        error: "Invalid moves value",
-      })
-    }
+      // Category and difficulty were checked against the catalog by the schema
+      const options = await resolveGameOptions(category, difficulty)
+      if (options.error) {
+        return sendValidationError(res, [{ location: "body", field: options.field, message: options.error }])
+      }
+      pairs = options.difficulty.pairs
+
+      // Check for a recent duplicate from the same player (rate limits cap the overall volume)
+      const tenSecondsAgo = new Date(Date.now() - 10000)
+      const recentDuplicate = await Score.findOne({
+        ...playerOwner(req),
+        category,
+        difficulty,
+        createdAt: { $gte: tenSecondsAgo },
+        time: { $gte: time - 5, $lte: time + 5 },
+        moves: { $gte: moves - 2, $lte: moves + 2 },
+      }).lean()
+
+      if (recentDuplicate) {
+        if (process.env.NODE_ENV === "development") {
+          console.log("🚫 DUPLICATE DETECTED - Rejecting similar score")
+        }
+        return res.status(409).json({
+          success: false,
+          error: "Duplicate score detected",
+          message: "A very similar score was already submitted recently",
+        })
+      }
 
-    // Validate category exists
-    const validCategory = gameCategories.find((cat) => cat.id === category)
-    if (!validCategory) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid category. Valid categories: ${gameCategories.map((c) => c.id).join(", ")}`,
-      })
+      time = Math.trunc(time)
+      if (req.body.replay) {
+        replay = dealReplayBoard(req.body.replay, options)
+      }
     }
 
-    // Validate difficulty exists
-    const validDifficulty = gameDifficulties.find((diff) => diff.id === difficulty)
-    if (!validDifficulty) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid difficulty. Valid difficulties: ${gameDifficulties.map((d) => d.id).join(", ")}`,
-      })
-    }
+    // Play the replay back to confirm time and moves. One that doesn't hold up keeps the score off
+    // public views and flags it for moderators.
+    const replayCheck = replay ? verifyReplay(replay, { time, moves }) : null
+    const replayInvalid = replayCheck ? !replayCheck.valid : false
 
-    // Check for recent duplicate (optimized query)
-    const tenSecondsAgo = new Date(Date.now() - 10000)
-    const recentDuplicate = await Score.findOne({
-      playerName: { $regex: new RegExp(`^${playerName.trim()}$`, "i") },
+    // Scoring-integrity pass: statistically implausible scores are held for review instead of published
+    const integrityFlags = await checkScoreIntegrity({
+      owner: playerOwner(req),
       category,
       difficulty,
-      createdAt: { $gte: tenSecondsAgo },
-      time: { $gte: Number.parseInt(time) - 5, $lte: Number.parseInt(time) + 5 },
-      moves: { $gte: Number.parseInt(moves) - 2, $lte: Number.parseInt(moves) + 2 },
-    }).lean()
-
-    if (recentDuplicate) {
-      if (process.env.NODE_ENV === "development") {
-        console.log("🚫 DUPLICATE DETECTED - Rejecting similar score")
-      }
-      return res.status(409).json({
-        success: false,
-        error: "Duplicate score detected",
-        message: "A very similar score was already submitted recently",
-      })
-    }
+      time,
+      moves,
+      pairs,
+    })
+    const held = integrityFlags.length > 0
+    const flagReasons = [
+      replayInvalid && `Replay failed verification: ${replayCheck.error}`,
+      held && `Held for review: ${integrityFlags.join(", ")}`,
+    ].filter(Boolean)
 
-    // Calculate score
-    const calculatedScore = Math.max(1000 - (Number.parseInt(time) * 5 + Number.parseInt(moves) * 2), 0)
+    // Calculate score with the current difficulty-aware formula
+    const calculatedScore = calculateScore({ time, moves, category, difficulty, pairs })
+    const season = await getCurrentSeason()
 
     // Create new score in MongoDB
     const newScore = new Score({
       playerName: playerName.trim(),
-      userId: userId,
+      userId: userId || undefined,
+      guestId: guestId || undefined,
       category,
       difficulty,
-      time: Number.parseInt(time),
-      moves: Number.parseInt(moves),
+      time,
+      moves,
       score: calculatedScore,
+      scoringVersion: CURRENT_SCORING_VERSION,
+      sessionId: session ? session._id : undefined,
+      seasonId: season._id,
+      dailyChallenge: session ? session.dailyChallenge : undefined,
+      tournamentId: session ? session.tournamentId : undefined,
+      tournamentRound: session ? session.tournamentRound : undefined,
+      expiresAt: guestId ? getGuestExpiry() : undefined,
+      replay: replay || undefined,
+      replayStatus: replayCheck ? (replayInvalid ? "invalid" : "verified") : "none",
+      replayError: replayCheck?.error || undefined,
+      reviewStatus: held ? "pending" : "none",
+      integrityFlags: held ? integrityFlags : undefined,
+      flagged: flagReasons.length > 0,
+      flagReason: flagReasons.length > 0 ? flagReasons.join("; ") : null,
     })
 
     const savedScore = await newScore.save()
 
+    if (session) {
+      // Mark the session as used so it can't be submitted twice, and keep it from expiring
+      session.status = "submitted"
+      session.scoreId = savedScore._id
+      session.expiresAt = null
+      await session.save()
+    }
+
     if (process.env.NODE_ENV === "development") {
       console.log("✅ SCORE SAVED TO MONGODB:", savedScore._id)
     }
 
+    // Push live leaderboard updates in the background; the response doesn't wait for them
+    publishScore(savedScore)
+
+    // Achievements never block a saved score: failures are logged and the unlock list is empty
+    let unlockedAchievements = []
+    if (userId && !replayInvalid && !held) {
+      try {
+        unlockedAchievements = await evaluateAchievements({ userId, score: savedScore, pairs })
+      } catch (error) {
+        console.error("Error evaluating achievements:", error)
+      }
+    } else if (guestId) {
+      await touchGuest(guestId)
+    }
+
     res.status(201).json({
       success: true,
       data: {
         id: savedScore._id,
         playerName: savedScore.playerName,
         userId: savedScore.userId,
+        guest: Boolean(guestId),
+        expiresAt: savedScore.expiresAt,
         category: savedScore.category,
         difficulty: savedScore.difficulty,
         time: savedScore.time,
         moves: savedScore.moves,
         score: savedScore.score,
+        scoringVersion: savedScore.scoringVersion,
+        sessionId: savedScore.sessionId,
+        dailyChallenge: savedScore.dailyChallenge,
+        tournamentId: savedScore.tournamentId,
+        tournamentRound: savedScore.tournamentRound,
+        season: season.slug,
+        replayStatus: savedScore.replayStatus,
+        replayError: savedScore.replayError,
+        reviewStatus: savedScore.reviewStatus, // "pending": held for review, not public yet
         date: savedScore.date.toISOString().split("T")[0],
+        unlockedAchievements,
       },
       message: `Score saved to MongoDB! ${playerName} completed ${category} on ${difficulty} difficulty.`,
     })
   } catch (error) {
+    if (error.code === 11000) {
+      // Either the session was already submitted, or the player already has a score for this daily challenge
+      return res.status(409).json({
+        success: false,
+        error: error.keyPattern?.dailyChallenge
+          ? "You already submitted a score for this daily challenge"
+          : "A score was already submitted for this game session",
+      })
+    }
     console.error("❌ ERROR SAVING SCORE:", error)
     res.status(500).json({
       success: false,
@@ -311,11 +537,12 @@ router.post("/scores", protect, async (req, res) => {
 // GET /api/stats - Get game statistics (cached)
 router.get("/stats", async (req, res) => {
   try {
+    const filter = publicScoreFilter()
     const stats = await Promise.all([
-      Score.countDocuments(),
-      Score.distinct("playerName").then((players) => players.length),
-      Score.findOne().sort({ time: 1 }).lean(),
-      Score.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]),
+      Score.countDocuments(filter),
+      Score.distinct("playerName", filter).then((players) => players.length),
+      Score.findOne(filter).sort({ time: 1 }).lean(),
+      Score.aggregate([{ $match: filter }, { $group: { _id: "$category", count: { $sum: 1 } } }]),
     ])
 
     const [totalGames, totalPlayers, bestScore, categoryStats] = stats
@@ -0,0 +1,305 @@
+import express from "express"
+import mongoose from "mongoose"
+import GameSession from "../models/GameSession.js"
+import Tournament from "../models/Tournament.js"
+import { protectPlayer } from "../middleware/authMiddleware.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+import { GAME_SESSION_TTL_MS } from "../config/game.js"
+import { resolveGameOptions } from "../utils/catalog.js"
+import { getOrCreateDailyChallenge } from "../utils/dailyChallenge.js"
+import { syncTournament, findCurrentPairing } from "../utils/tournaments.js"
+import { createSeed, generateLayout, evaluateFlips } from "../utils/gameBoard.js"
+import { playerOwner } from "../utils/guests.js"
+import { categoryField, difficultyField, objectIdParam } from "../utils/validators.js"
+
+const router = express.Router()
+
+// Shape a session for API responses. The seed and layout stay on the server: `board` only shows the
+// cards that are face up or matched, every other card is revealed by flipping it (POST /:id/flips).
+const formatSession = (session) => {
+  const state = evaluateFlips(session.layout, session.flips)
+  return {
+    id: session._id,
+    category: session.category,
+    difficulty: session.difficulty,
+    cards: session.cards,
+    pairs: session.layout.length / 2,
+    board: session.layout.map((cardId, index) =>
+      state.matched.includes(index) || index === state.pendingIndex ? cardId : null,
+    ),
+    dailyChallenge: session.dailyChallenge,
+    tournamentId: session.tournamentId,
+    tournamentRound: session.tournamentRound,
+    status: session.status,
+    flips: session.flips.length,
+    moves: state.moves,
+    matched: state.matched,
+    startedAt: session.createdAt,
+    completedAt: session.completedAt,
+    expiresAt: session.expiresAt,
+  }
+}
+
+const isRegularGame = (body) => !body.daily && !body.tournamentId
+const startSchema = validate({
+  body: {
+    daily: { type: "boolean", default: false },
+    tournamentId: { type: "objectId" },
+    category: categoryField({ required: isRegularGame }),
+    difficulty: difficultyField({ required: isRegularGame }),
+  },
+})
+const sessionSchema = validate({ params: { id: objectIdParam } })
+const flipSchema = validate({
+  params: { id: objectIdParam },
+  body: { index: { type: "integer", required: true, min: 0 } },
+})
+
+// Load a session owned by the authenticated player (other players' sessions look like 404s).
+// `owner` is { userId } or { guestId }, see playerOwner.
+const findOwnedSession = (id, owner) => GameSession.findOne({ _id: id, ...owner })
+
+// Start today's daily challenge attempt: everyone gets the same stored board, once
+const startDailySession = async (req, res) => {
+  const challenge = await getOrCreateDailyChallenge()
+
+  try {
+    // No expiry: the session doubles as the record that today's single attempt was used
+    const session = await GameSession.create({
+      userId: req.user._id,
+      category: challenge.category,
+      difficulty: challenge.difficulty,
+      seed: challenge.seed,
+      layout: challenge.layout,
+      cards: challenge.cards,
+      dailyChallenge: challenge.date,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session),
+      message: `Daily challenge ${challenge.date} started: ${challenge.category} on ${challenge.difficulty} difficulty`,
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "You already attempted today's daily challenge",
+      })
+    }
+    throw error
+  }
+}
+
+// Start the user's game in the running round of a knockout tournament: both players of a pairing
+// get the same stored board, once per round
+const startTournamentSession = async (req, res) => {
+  const stored = await Tournament.findById(req.body.tournamentId).lean()
+  if (!stored) {
+    return res.status(404).json({ success: false, error: "Tournament not found" })
+  }
+  const tournament = await syncTournament(stored)
+
+  if (tournament.format !== "knockout") {
+    return res.status(400).json({
+      success: false,
+      error: `Timed tournaments count your regular games: play ${tournament.category} on ${tournament.difficulty}`,
+    })
+  }
+  const current = findCurrentPairing(tournament, req.user._id)
+  if (!current) {
+    return res.status(409).json({ success: false, error: "You have no game to play in this tournament right now" })
+  }
+
+  const { round, pairing } = current
+  try {
+    // Expires with the round: later scores wouldn't count anyway
+    const session = await GameSession.create({
+      userId: req.user._id,
+      category: tournament.category,
+      difficulty: tournament.difficulty,
+      seed: pairing.seed,
+      layout: pairing.layout,
+      cards: pairing.cards,
+      tournamentId: tournament._id,
+      tournamentRound: round.number,
+      expiresAt: round.endsAt,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session),
+      message: `${tournament.name} round ${round.number} started: finish before ${round.endsAt.toISOString()}`,
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "You already played your game of this round",
+      })
+    }
+    throw error
+  }
+}
+
+// POST /api/games - Start a new game session with a server-generated board
+// Body: { category, difficulty } for a regular game, { daily: true } for the daily challenge, or
+// { tournamentId } for a knockout tournament round
+// Guests (guest token) can play regular games; the daily challenge and tournaments need an account.
+router.post("/", protectPlayer, startSchema, async (req, res) => {
+  try {
+    const { category, difficulty, daily, tournamentId } = req.body
+
+    if (daily) {
+      if (req.guest) {
+        return res.status(403).json({ success: false, error: "Sign in to play the daily challenge" })
+      }
+      return await startDailySession(req, res)
+    }
+
+    if (tournamentId) {
+      if (req.guest) {
+        return res.status(403).json({ success: false, error: "Sign in to play in tournaments" })
+      }
+      return await startTournamentSession(req, res)
+    }
+
+    const options = await resolveGameOptions(category, difficulty)
+    if (options.error) {
+      return sendValidationError(res, [{ location: "body", field: options.field, message: options.error }])
+    }
+
+    if (options.category.cards.length < options.difficulty.pairs) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${category} deck doesn't have enough cards for ${difficulty} difficulty`,
+      })
+    }
+
+    const seed = createSeed()
+    const { layout, cards } = generateLayout({ deck: options.category.cards, pairs: options.difficulty.pairs, seed })
+    const session = await GameSession.create({
+      ...playerOwner(req),
+      category,
+      difficulty,
+      seed,
+      layout,
+      cards,
+      expiresAt: new Date(Date.now() + GAME_SESSION_TTL_MS),
+    })
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session),
+      message: `Game started: ${category} on ${difficulty} difficulty`,
+    })
+  } catch (error) {
+    console.error("Error starting game session:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to start game session",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// GET /api/games/:id - Get the current state of one of the user's game sessions
+router.get("/:id", protectPlayer, sessionSchema, async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.id, playerOwner(req))
+    if (!session) {
+      return res.status(404).json({ success: false, error: "Game session not found" })
+    }
+
+    res.set("Cache-Control", "no-store")
+    res.json({
+      success: true,
+      data: formatSession(session),
+      message: "Game session retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching game session:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch game session",
+    })
+  }
+})
+
+// POST /api/games/:id/flips - Record a card flip (timestamped by the server)
+router.post("/:id/flips", protectPlayer, flipSchema, async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.id, playerOwner(req))
+    if (!session) {
+      return res.status(404).json({ success: false, error: "Game session not found" })
+    }
+
+    if (session.status === "active" && session.expiresAt && session.expiresAt < new Date()) {
+      session.status = "expired"
+      await session.save()
+    }
+
+    if (session.status !== "active") {
+      return res.status(409).json({
+        success: false,
+        error: `Game session is ${session.status}`,
+      })
+    }
+
+    const { index } = req.body
+    if (index >= session.layout.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid card index. Must be between 0 and ${session.layout.length - 1}`,
+      })
+    }
+
+    const before = evaluateFlips(session.layout, session.flips)
+    if (before.matched.includes(index)) {
+      return res.status(400).json({ success: false, error: "Card is already matched" })
+    }
+    if (before.pendingIndex === index) {
+      return res.status(400).json({ success: false, error: "Card is already face up" })
+    }
+
+    const flippedAt = new Date()
+    session.flips.push({ index, at: flippedAt })
+
+    const after = evaluateFlips(session.layout, session.flips)
+    if (after.completed) {
+      session.status = "completed"
+      session.completedAt = flippedAt
+    }
+
+    await session.save()
+
+    const isSecondFlip = before.pendingIndex !== null
+    res.status(201).json({
+      success: true,
+      data: {
+        index,
+        card: session.layout[index],
+        match: isSecondFlip ? session.layout[before.pendingIndex] === session.layout[index] : null,
+        moves: after.moves,
+        matched: after.matched,
+        completed: after.completed,
+      },
+      message: "Flip recorded",
+    })
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        error: "Another flip was recorded at the same time, please retry",
+      })
+    }
+    console.error("Error recording flip:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to record flip",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,29 @@
+import gameRoutes from "./gameRoutes.js"
+import authRoutes from "./authRoutes.js"
+import gameSessionRoutes from "./gameSessionRoutes.js"
+import leaderboardRoutes from "./leaderboardRoutes.js"
+import adminRoutes from "./adminRoutes.js"
+import dailyRoutes from "./dailyRoutes.js"
+import achievementRoutes from "./achievementRoutes.js"
+import userRoutes from "./userRoutes.js"
+import matchRoutes from "./matchRoutes.js"
+import friendRoutes from "./friendRoutes.js"
+import seasonRoutes from "./seasonRoutes.js"
+import tournamentRoutes from "./tournamentRoutes.js"
+
+// Every API router and where it's mounted. server.js mounts them in this order, and the OpenAPI
+// document (utils/openapi.js) is generated from the same list, so a new router goes here.
+export const apiRoutes = [
+  { path: "/", router: gameRoutes, tag: "Games" },
+  { path: "/auth", router: authRoutes, tag: "Auth" },
+  { path: "/games", router: gameSessionRoutes, tag: "Game sessions" },
+  { path: "/leaderboard", router: leaderboardRoutes, tag: "Leaderboard" },
+  { path: "/admin", router: adminRoutes, tag: "Admin" },
+  { path: "/daily", router: dailyRoutes, tag: "Daily challenge" },
+  { path: "/achievements", router: achievementRoutes, tag: "Achievements" },
+  { path: "/users", router: userRoutes, tag: "Users" },
+  { path: "/matches", router: matchRoutes, tag: "Matches" },
+  { path: "/friends", router: friendRoutes, tag: "Friends" },
+  { path: "/seasons", router: seasonRoutes, tag: "Seasons" },
+  { path: "/tournaments", router: tournamentRoutes, tag: "Tournaments" },
+]
@@ -0,0 +1,206 @@
+import express from "express"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import {
+  leaderboardSorts,
+  leaderboardPeriods,
+  buildLeaderboardFilter,
+  bestPerPlayerPipeline,
+  formatLeaderboardEntry,
+} from "../utils/leaderboard.js"
+import { authenticateToken, protectFriendsScope } from "../middleware/authMiddleware.js"
+import { openEventStream } from "../utils/realtime.js"
+import { subscribe, rankBoard } from "../utils/leaderboardFeed.js"
+import { getScopeUserIds } from "../utils/friends.js"
+import { getCurrentSeason } from "../utils/seasons.js"
+import { validate } from "../middleware/validate.js"
+import { categoryFilter, difficultyFilter, scopeQuery, objectIdParam } from "../utils/validators.js"
+
+const router = express.Router()
+
+// Query options shared by the leaderboard views
+const leaderboardQuery = {
+  category: categoryFilter,
+  difficulty: difficultyFilter,
+  sortBy: { type: "string", enum: Object.keys(leaderboardSorts), default: "score" },
+  period: { type: "string", enum: leaderboardPeriods, default: "season" },
+  scope: scopeQuery,
+}
+
+const leaderboardSchema = validate({
+  query: { ...leaderboardQuery, limit: { type: "integer", min: 1, max: 100, default: 10, clamp: true } },
+})
+// Streams follow the all-time board, so they take no period
+const { period, ...streamQuery } = leaderboardQuery
+const streamSchema = validate({
+  query: { ...streamQuery, top: { type: "integer", min: 1, max: 50, default: 10, clamp: true } },
+})
+const rankSchema = validate({
+  params: { userId: objectIdParam },
+  query: { ...leaderboardQuery, around: { type: "integer", min: 1, max: 10, default: 2, clamp: true } },
+})
+
+// The validated options that describe a board (echoed back as `filters`)
+const leaderboardOptions = ({ category, difficulty, sortBy, period, scope }) => ({
+  category,
+  difficulty,
+  sortBy,
+  period,
+  scope,
+})
+
+// The Score filter of a board, resolving the running season for period "season"
+const buildBoardFilter = async (options, userIds) => {
+  const season = options.period === "season" ? await getCurrentSeason() : null
+  return { filter: buildLeaderboardFilter({ ...options, userIds, seasonId: season?._id }), season }
+}
+
+// Friends rankings differ per user, so only global ones may be cached publicly
+const setLeaderboardCache = (res, scope) => {
+  res.set("Cache-Control", scope === "friends" ? "private, no-store" : "public, max-age=60") // Cache for 1 minute
+}
+
+// GET /api/leaderboard - Best entry per player, ranked by score, time or moves
+// ?scope=friends (authenticated) ranks only you and your friends
+router.get("/", leaderboardSchema, protectFriendsScope, async (req, res) => {
+  try {
+    const options = leaderboardOptions(req.query)
+    const limitNum = req.query.limit
+    const userIds = await getScopeUserIds(options.scope, req.user)
+    const { filter, season } = await buildBoardFilter(options, userIds)
+
+    const entries = await Score.aggregate([...bestPerPlayerPipeline(filter, options.sortBy), { $limit: limitNum }])
+
+    setLeaderboardCache(res, options.scope)
+
+    res.json({
+      success: true,
+      data: entries.map(formatLeaderboardEntry),
+      count: entries.length,
+      message: "Leaderboard retrieved successfully",
+      filters: { ...options, ...(season && { season: season.slug }), limit: limitNum },
+    })
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leaderboard",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// GET /api/leaderboard/stream - Server-Sent Events for one all-time board (?category, difficulty, sortBy, top).
+// Pass ?token=<access token> (EventSource can't send headers) to also get "rank-change" events;
+// the token is required for ?scope=friends, whose friend list is taken when the stream opens.
+router.get("/stream", streamSchema, async (req, res) => {
+  try {
+    const options = leaderboardOptions(req.query)
+
+    let user = null
+    if (req.query.token) {
+      const result = await authenticateToken(req.query.token).catch(() => ({ status: 401, error: "Invalid token" }))
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error })
+      }
+      user = result.user
+    }
+
+    if (options.scope === "friends" && !user) {
+      return res.status(401).json({ success: false, error: "Not authorized, no token" })
+    }
+
+    const board = {
+      category: options.category && options.category !== "all" ? options.category : "all",
+      difficulty: options.difficulty && options.difficulty !== "all" ? options.difficulty : "all",
+      sortBy: options.sortBy,
+    }
+    const { top } = req.query
+    const userIds = user ? await getScopeUserIds(options.scope, user) : null
+
+    // Current standings, so the client starts from the same state the events build on
+    const ranking = await rankBoard({ ...board, userIds })
+    const own = user ? ranking.find((entry) => entry.userId && entry.userId.equals(user._id)) : null
+
+    let unsubscribe = null
+    const send = openEventStream(req, res, () => unsubscribe?.())
+    unsubscribe = subscribe({
+      ...board,
+      top,
+      userId: user?._id || null,
+      userIds,
+      lastRank: own ? own.rank : null,
+      send,
+    })
+
+    send("snapshot", {
+      board: { ...board, scope: options.scope, top },
+      top: ranking.slice(0, top).map(formatLeaderboardEntry),
+      rank: own ? own.rank : null,
+    })
+  } catch (error) {
+    console.error("Error opening leaderboard stream:", error)
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: "Failed to open leaderboard stream" })
+    }
+  }
+})
+
+// GET /api/leaderboard/rank/:userId - A player's position plus the entries just above and below
+router.get("/rank/:userId", rankSchema, protectFriendsScope, async (req, res) => {
+  try {
+    const options = leaderboardOptions(req.query)
+    const userId = new mongoose.Types.ObjectId(req.params.userId)
+    const { around } = req.query
+    const userIds = await getScopeUserIds(options.scope, req.user)
+    const { filter, season } = await buildBoardFilter(options, userIds)
+    const pipeline = bestPerPlayerPipeline(filter, options.sortBy)
+
+    const [result] = await Score.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          player: [{ $match: { userId } }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ])
+
+    const [player] = result.player
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: "No ranked scores found for this player",
+      })
+    }
+
+    const neighbours = await Score.aggregate([
+      ...pipeline,
+      { $match: { rank: { $gte: player.rank - around, $lte: player.rank + around } } },
+    ])
+
+    setLeaderboardCache(res, options.scope)
+
+    res.json({
+      success: true,
+      data: {
+        rank: player.rank,
+        totalPlayers: result.total[0]?.count || 0,
+        entry: formatLeaderboardEntry(player),
+        above: neighbours.filter((entry) => entry.rank < player.rank).map(formatLeaderboardEntry),
+        below: neighbours.filter((entry) => entry.rank > player.rank).map(formatLeaderboardEntry),
+      },
+      message: "Player rank retrieved successfully",
+      filters: { ...options, ...(season && { season: season.slug }), around },
+    })
+  } catch (error) {
+    console.error("Error fetching player rank:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch player rank",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+export default router
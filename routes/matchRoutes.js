@@ -0,0 +1,394 @@
+import crypto from "crypto"
+import express from "express"
+import mongoose from "mongoose"
+import Match from "../models/Match.js"
+import { protect, authenticateToken } from "../middleware/authMiddleware.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+import { resolveGameOptions } from "../utils/catalog.js"
+import { createSeed, generateLayout } from "../utils/gameBoard.js"
+import { openEventStream } from "../utils/realtime.js"
+import { paginationQuery, categoryField, difficultyField, objectIdParam } from "../utils/validators.js"
+import {
+  MATCH_TTL_MS,
+  addListener,
+  broadcast,
+  isUserConnected,
+  findPlayerIndex,
+  formatMatch,
+  startMatch,
+  applyFlip,
+  leaveMatch,
+  scheduleTurnTimer,
+  applyTurnTimeout,
+} from "../utils/matchEngine.js"
+
+const router = express.Router()
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789" // No 0/O or 1/I lookalikes
+const CODE_LENGTH = 6
+
+const createMatchCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("")
+
+// Request schemas (see middleware/validate.js)
+const createSchema = validate({
+  body: {
+    category: categoryField({ required: true }),
+    difficulty: difficultyField({ required: true }),
+    maxPlayers: { type: "integer", min: 2, max: 4, default: 2 },
+  },
+})
+const joinSchema = validate({
+  body: { code: { type: "string", required: true, trim: true, minLength: CODE_LENGTH, maxLength: CODE_LENGTH } },
+})
+const historySchema = validate({ query: paginationQuery({ defaultLimit: 20 }) })
+const matchSchema = validate({ params: { id: objectIdParam } })
+const flipSchema = validate({
+  params: { id: objectIdParam },
+  body: { index: { type: "integer", required: true, min: 0 } },
+})
+
+// Load a match the authenticated user takes part in (other matches look like 404s)
+const findPlayerMatch = (id, userId) => Match.findOne({ _id: id, "players.userId": userId })
+
+const sendConflictOnVersionError = (error, res) => {
+  if (error instanceof mongoose.Error.VersionError) {
+    res.status(409).json({
+      success: false,
+      error: "The match changed at the same time, please retry",
+    })
+    return true
+  }
+  return false
+}
+
+// POST /api/matches - Create a lobby. Body: { category, difficulty, maxPlayers (2-4, default 2) }
+router.post("/", protect, createSchema, async (req, res) => {
+  try {
+    const { category, difficulty, maxPlayers } = req.body
+
+    const options = await resolveGameOptions(category, difficulty)
+    if (options.error) {
+      return sendValidationError(res, [{ location: "body", field: options.field, message: options.error }])
+    }
+
+    if (options.category.cards.length < options.difficulty.pairs) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${category} deck doesn't have enough cards for ${difficulty} difficulty`,
+      })
+    }
+
+    const seed = createSeed()
+    const { layout, cards } = generateLayout({ deck: options.category.cards, pairs: options.difficulty.pairs, seed })
+    const fields = {
+      hostId: req.user._id,
+      category,
+      difficulty,
+      maxPlayers,
+      seed,
+      layout,
+      cards,
+      players: [{ userId: req.user._id, username: req.user.username }],
+      expiresAt: new Date(Date.now() + MATCH_TTL_MS),
+    }
+
+    // Retry on the rare join code collision
+    let match = null
+    for (let attempt = 0; !match; attempt++) {
+      try {
+        match = await Match.create({ ...fields, code: createMatchCode() })
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 4) throw error
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: formatMatch(match),
+      message: `Match lobby created. Share the code ${match.code} to invite players`,
+    })
+  } catch (error) {
+    console.error("Error creating match:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create match",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// POST /api/matches/join - Join a lobby with its code. Body: { code }
+router.post("/join", protect, joinSchema, async (req, res) => {
+  try {
+    const code = req.body.code.toUpperCase()
+
+    const match = await Match.findOne({ code })
+    if (!match || match.status === "abandoned") {
+      return res.status(404).json({ success: false, error: "Match not found" })
+    }
+
+    if (findPlayerIndex(match, req.user._id) !== -1) {
+      return res.json({ success: true, data: formatMatch(match), message: "You already joined this match" })
+    }
+
+    if (match.status !== "lobby") {
+      return res.status(409).json({ success: false, error: "Match has already started" })
+    }
+
+    if (match.players.length >= match.maxPlayers) {
+      return res.status(409).json({ success: false, error: "Match is full" })
+    }
+
+    match.players.push({ userId: req.user._id, username: req.user.username })
+    await match.save()
+
+    broadcast(match._id, "player-joined", { userId: req.user._id, match: formatMatch(match) })
+
+    res.json({
+      success: true,
+      data: formatMatch(match),
+      message: "Joined match successfully",
+    })
+  } catch (error) {
+    if (sendConflictOnVersionError(error, res)) return
+    console.error("Error joining match:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to join match",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// GET /api/matches/me - The authenticated user's finished matches, most recent first
+router.get("/me", protect, historySchema, async (req, res) => {
+  try {
+    const { limit: limitNum, page: pageNum } = req.query
+    const filter = { "players.userId": req.user._id, status: "finished" }
+
+    const [matches, total] = await Promise.all([
+      Match.find(filter)
+        .sort({ finishedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Match.countDocuments(filter),
+    ])
+
+    res.set("Cache-Control", "private, no-store")
+    res.json({
+      success: true,
+      data: matches.map((match) => ({
+        ...formatMatch(match),
+        won: match.winnerIds.some((winnerId) => winnerId.equals(req.user._id)),
+      })),
+      count: matches.length,
+      total,
+      page: pageNum,
+      message: "Match history retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching match history:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch match history",
+    })
+  }
+})
+
+// GET /api/matches/:id - Current state of a match you take part in
+router.get("/:id", protect, matchSchema, async (req, res) => {
+  try {
+    const match = await findPlayerMatch(req.params.id, req.user._id)
+    if (!match) {
+      return res.status(404).json({ success: false, error: "Match not found" })
+    }
+
+    await applyTurnTimeout(match)
+
+    res.set("Cache-Control", "no-store")
+    res.json({
+      success: true,
+      data: formatMatch(match),
+      message: "Match retrieved successfully",
+    })
+  } catch (error) {
+    if (sendConflictOnVersionError(error, res)) return
+    console.error("Error fetching match:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch match",
+    })
+  }
+})
+
+// POST /api/matches/:id/start - Start the match (host only, at least 2 players)
+router.post("/:id/start", protect, matchSchema, async (req, res) => {
+  try {
+    const match = await findPlayerMatch(req.params.id, req.user._id)
+    if (!match) {
+      return res.status(404).json({ success: false, error: "Match not found" })
+    }
+
+    if (!match.hostId.equals(req.user._id)) {
+      return res.status(403).json({ success: false, error: "Only the host can start the match" })
+    }
+
+    if (match.status !== "lobby") {
+      return res.status(409).json({ success: false, error: `Match is ${match.status}` })
+    }
+
+    if (match.players.length < 2) {
+      return res.status(409).json({ success: false, error: "At least 2 players are needed to start" })
+    }
+
+    startMatch(match)
+    await match.save()
+
+    broadcast(match._id, "match-started", { match: formatMatch(match) })
+    scheduleTurnTimer(match)
+
+    res.json({
+      success: true,
+      data: formatMatch(match),
+      message: "Match started",
+    })
+  } catch (error) {
+    if (sendConflictOnVersionError(error, res)) return
+    console.error("Error starting match:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to start match",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// POST /api/matches/:id/flips - Flip a card on your turn. Body: { index }
+// A pair keeps the turn; a miss passes it to the next player.
+router.post("/:id/flips", protect, flipSchema, async (req, res) => {
+  try {
+    const match = await findPlayerMatch(req.params.id, req.user._id)
+    if (!match) {
+      return res.status(404).json({ success: false, error: "Match not found" })
+    }
+
+    await applyTurnTimeout(match)
+
+    const result = applyFlip(match, req.user._id, req.body.index)
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error })
+    }
+
+    await match.save()
+
+    const state = formatMatch(match)
+    broadcast(match._id, "flip", { userId: req.user._id, ...result, match: state })
+    if (match.status === "finished") {
+      broadcast(match._id, "match-finished", { winnerIds: match.winnerIds, match: state })
+    } else if (result.result === "miss") {
+      broadcast(match._id, "turn", { reason: "miss", match: state })
+    }
+    scheduleTurnTimer(match)
+
+    res.status(201).json({
+      success: true,
+      data: { ...result, match: state },
+      message: "Flip recorded",
+    })
+  } catch (error) {
+    if (sendConflictOnVersionError(error, res)) return
+    console.error("Error recording match flip:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to record flip",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+// POST /api/matches/:id/leave - Leave a lobby, or forfeit a running match
+router.post("/:id/leave", protect, matchSchema, async (req, res) => {
+  try {
+    const match = await findPlayerMatch(req.params.id, req.user._id)
+    if (!match) {
+      return res.status(404).json({ success: false, error: "Match not found" })
+    }
+
+    if (match.status !== "lobby" && match.status !== "playing") {
+      return res.status(409).json({ success: false, error: `Match is ${match.status}` })
+    }
+
+    const state = await leaveMatch(match, req.user._id)
+
+    res.json({
+      success: true,
+      data: state,
+      message: state.status === "finished" || state.status === "playing" ? "You forfeited the match" : "Left the match",
+    })
+  } catch (error) {
+    if (sendConflictOnVersionError(error, res)) return
+    console.error("Error leaving match:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to leave match",
+    })
+  }
+})
+
+// Record whether a player has an open event stream and tell the others
+const setConnected = async (match, userId, connected) => {
+  await Match.updateOne({ _id: match._id, "players.userId": userId }, { $set: { "players.$.connected": connected } })
+  broadcast(match._id, "player-connection", { userId, connected })
+}
+
+// GET /api/matches/:id/events - Server-Sent Events for a match (?token=<access token>, since
+// EventSource can't send headers). Reconnecting sends a fresh "snapshot" with the full state, so a
+// dropped player picks up where they left off; their turn times out if they stay away too long.
+router.get("/:id/events", matchSchema, async (req, res) => {
+  try {
+    if (!req.query.token) {
+      return res.status(401).json({ success: false, error: "Not authorized, no token" })
+    }
+
+    const result = await authenticateToken(req.query.token).catch(() => ({ status: 401, error: "Invalid token" }))
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error })
+    }
+    const { user } = result
+
+    const match = await findPlayerMatch(req.params.id, user._id)
+    if (!match) {
+      return res.status(404).json({ success: false, error: "Match not found" })
+    }
+
+    await applyTurnTimeout(match)
+
+    let removeListener = null
+    const send = openEventStream(req, res, () => {
+      removeListener?.()
+      if (!isUserConnected(match._id, user._id)) {
+        setConnected(match, user._id, false).catch((error) => console.error("Error updating connection:", error))
+      }
+    })
+
+    const wasConnected = isUserConnected(match._id, user._id)
+    removeListener = addListener(match._id, { userId: user._id, send })
+
+    const playerIndex = findPlayerIndex(match, user._id)
+    match.players[playerIndex].connected = true
+    send("snapshot", { match: formatMatch(match) })
+
+    if (!wasConnected) {
+      await setConnected(match, user._id, true)
+    }
+    scheduleTurnTimer(match) // Re-arm the timer if this process hasn't seen the match yet
+  } catch (error) {
+    console.error("Error opening match stream:", error)
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: "Failed to open match stream" })
+    }
+  }
+})
+
+export default router
@@ -0,0 +1,93 @@
+import express from "express"
+import Season from "../models/Season.js"
+import SeasonStanding from "../models/SeasonStanding.js"
+import { validate } from "../middleware/validate.js"
+import { getCurrentSeason, closeEndedSeasons, formatSeason } from "../utils/seasons.js"
+import { paginationQuery, categoryFilter, difficultyFilter } from "../utils/validators.js"
+
+const router = express.Router()
+
+// GET /api/seasons - All seasons, most recent first (the current one included)
+router.get("/", validate({ query: paginationQuery({ defaultLimit: 20 }) }), async (req, res) => {
+  try {
+    const { limit: limitNum, page: pageNum } = req.query
+
+    // Seasons that ended since the last request get their standings archived now
+    await getCurrentSeason()
+    await closeEndedSeasons()
+
+    const seasons = await Season.find()
+      .sort({ startsAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean()
+
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data: seasons.map((season) => formatSeason(season)),
+      count: seasons.length,
+      page: pageNum,
+      message: "Seasons retrieved successfully",
+    })
+  } catch (error) {
+    console.error("Error fetching seasons:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch seasons",
+    })
+  }
+})
+
+// GET /api/seasons/:id/standings - Final top standings of a past season, per category and difficulty
+const validateStandings = validate({
+  params: { id: { type: "string", required: true, pattern: /^\d{4}-q[1-4]$/, patternMessage: "Invalid season id" } },
+  query: { category: categoryFilter, difficulty: difficultyFilter },
+})
+
+router.get("/:id/standings", validateStandings, async (req, res) => {
+  try {
+    const { category, difficulty } = req.query
+
+    await closeEndedSeasons()
+    const season = await Season.findOne({ slug: req.params.id }).lean()
+    if (!season) {
+      return res.status(404).json({ success: false, error: "Season not found" })
+    }
+    if (!season.closedAt) {
+      return res.status(409).json({
+        success: false,
+        error: "Standings are archived when the season ends; see /api/leaderboard for the current season",
+      })
+    }
+
+    const filter = { seasonId: season._id }
+    if (category && category !== "all") filter.category = category
+    if (difficulty && difficulty !== "all") filter.difficulty = difficulty
+    const standings = await SeasonStanding.find(filter).sort({ category: 1, difficulty: 1 }).lean()
+
+    res.set("Cache-Control", "public, max-age=3600") // Archived standings rarely change; cache for 1 hour
+    res.json({
+      success: true,
+      data: {
+        season: formatSeason(season),
+        standings: standings.map(({ category, difficulty, players, entries }) => ({
+          category,
+          difficulty,
+          players,
+          entries,
+        })),
+      },
+      count: standings.length,
+      message: `Standings of ${season.name} retrieved successfully`,
+    })
+  } catch (error) {
+    console.error("Error fetching season standings:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch season standings",
+    })
+  }
+})
+
+export default router
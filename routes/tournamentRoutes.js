@@ -0,0 +1,244 @@
+import express from "express"
+import Tournament from "../models/Tournament.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+import { TOURNAMENT_DEFAULT_PLAYERS, TOURNAMENT_MAX_PLAYERS, TOURNAMENT_MIN_ROUND_MS } from "../config/game.js"
+import { resolveGameOptions } from "../utils/catalog.js"
+import { logAdminAction } from "../utils/audit.js"
+import {
+  countKnockoutRounds,
+  getTournamentStatus,
+  rankTimedTournament,
+  syncTournament,
+  formatTournament,
+} from "../utils/tournaments.js"
+import { paginationQuery, categoryField, difficultyField, objectIdParam } from "../utils/validators.js"
+
+const router = express.Router()
+
+const tournamentStatuses = ["upcoming", "running", "finished"]
+
+// Request schemas (see middleware/validate.js)
+const listSchema = validate({
+  query: {
+    status: { type: "string", enum: tournamentStatuses },
+    ...paginationQuery({ defaultLimit: 20, maxLimit: 50 }),
+  },
+})
+const tournamentSchema = validate({ params: { id: objectIdParam } })
+const createSchema = validate({
+  body: {
+    name: { type: "string", required: true, trim: true, minLength: 3, maxLength: 100 },
+    description: { type: "string", trim: true, maxLength: 500, default: "" },
+    format: { type: "string", enum: ["timed", "knockout"], default: "timed" },
+    category: categoryField({ required: true }),
+    difficulty: difficultyField({ required: true }),
+    startsAt: { type: "date", required: true },
+    endsAt: { type: "date", required: true },
+    maxPlayers: { type: "integer", min: 2, max: TOURNAMENT_MAX_PLAYERS, default: TOURNAMENT_DEFAULT_PLAYERS },
+  },
+})
+
+// Tournaments that are due get their rounds and results computed before they're shown
+const findSyncedTournament = async (id) => {
+  const tournament = await Tournament.findById(id).lean()
+  return tournament ? syncTournament(tournament) : null
+}
+
+const sendServerError = (res, message, error) => {
+  console.error(`${message}:`, error)
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  })
+}
+
+// GET /api/tournaments - Tournaments by start date (?status=upcoming lists the soonest first)
+router.get("/", listSchema, async (req, res) => {
+  try {
+    const { status, limit: limitNum, page: pageNum } = req.query
+    const now = new Date()
+    const filter = {
+      upcoming: { startsAt: { $gt: now } },
+      running: { startsAt: { $lte: now }, endsAt: { $gt: now } },
+      finished: { endsAt: { $lte: now } },
+    }[status]
+
+    const tournaments = await Tournament.find(filter || {})
+      .sort({ startsAt: status === "upcoming" ? 1 : -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean()
+
+    // Tournaments that ended since the last request get their results computed now
+    const synced = await Promise.all(tournaments.map((tournament) => syncTournament(tournament, now)))
+
+    res.set("Cache-Control", "public, max-age=60") // Cache for 1 minute
+    res.json({
+      success: true,
+      data: synced.map((tournament) => formatTournament(tournament, { now })),
+      count: synced.length,
+      page: pageNum,
+      message: "Tournaments retrieved successfully",
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to fetch tournaments", error)
+  }
+})
+
+// GET /api/tournaments/:id - A tournament with its players, bracket (knockout) and results.
+// Running timed tournaments include the live standings.
+router.get("/:id", tournamentSchema, async (req, res) => {
+  try {
+    const tournament = await findSyncedTournament(req.params.id)
+    if (!tournament) {
+      return res.status(404).json({ success: false, error: "Tournament not found" })
+    }
+
+    const live = tournament.format === "timed" && getTournamentStatus(tournament) === "running"
+    const data = formatTournament(tournament, { detail: true })
+    if (live) {
+      data.standings = await rankTimedTournament(tournament)
+    }
+
+    res.set("Cache-Control", "public, max-age=30") // Cache for 30 seconds
+    res.json({
+      success: true,
+      data,
+      message: "Tournament retrieved successfully",
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to fetch tournament", error)
+  }
+})
+
+// POST /api/tournaments - Create a tournament (organizers and admins)
+// Body: { name, description?, format: "timed" | "knockout", category, difficulty, startsAt, endsAt, maxPlayers? }
+router.post("/", protect, authorize("organizer", "admin"), createSchema, async (req, res) => {
+  try {
+    const { name, description, format, category, difficulty, startsAt, endsAt, maxPlayers } = req.body
+
+    // A knockout window is split into rounds, so it must leave enough time for a full field
+    const rounds = format === "knockout" ? countKnockoutRounds(maxPlayers) : 1
+    const windowErrors = []
+    if (startsAt <= new Date()) {
+      windowErrors.push({ location: "body", field: "startsAt", message: "startsAt must be in the future" })
+    }
+    if (endsAt - startsAt < rounds * TOURNAMENT_MIN_ROUND_MS) {
+      const minutes = (rounds * TOURNAMENT_MIN_ROUND_MS) / 60000
+      windowErrors.push({
+        location: "body",
+        field: "endsAt",
+        message: `endsAt must be at least ${minutes} minutes after startsAt`,
+      })
+    }
+    if (windowErrors.length > 0) {
+      return sendValidationError(res, windowErrors)
+    }
+
+    const options = await resolveGameOptions(category, difficulty)
+    if (options.error) {
+      return sendValidationError(res, [{ location: "body", field: options.field, message: options.error }])
+    }
+    if (options.category.cards.length < options.difficulty.pairs) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${category} deck doesn't have enough cards for ${difficulty} difficulty`,
+      })
+    }
+
+    const tournament = await Tournament.create({
+      name,
+      description,
+      format,
+      category,
+      difficulty,
+      startsAt,
+      endsAt,
+      maxPlayers,
+      createdBy: req.user._id,
+    })
+    await logAdminAction(req, "tournament.create", {
+      targetType: "tournament",
+      targetId: tournament._id,
+      details: { name, format, startsAt, endsAt },
+    })
+
+    res.status(201).json({
+      success: true,
+      data: formatTournament(tournament.toObject(), { detail: true }),
+      message: `Tournament ${name} created`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to create tournament", error)
+  }
+})
+
+// POST /api/tournaments/:id/register - Sign up for a tournament before it starts
+router.post("/:id/register", protect, tournamentSchema, async (req, res) => {
+  try {
+    const now = new Date()
+    // One atomic update, so the field can't overfill when players register at the same time
+    const tournament = await Tournament.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        startsAt: { $gt: now },
+        "players.userId": { $ne: req.user._id },
+        $expr: { $lt: [{ $size: "$players" }, "$maxPlayers"] },
+      },
+      { $push: { players: { userId: req.user._id, username: req.user.username, registeredAt: now } } },
+      { new: true },
+    ).lean()
+
+    if (!tournament) {
+      const existing = await Tournament.findById(req.params.id).select("startsAt players.userId").lean()
+      if (!existing) {
+        return res.status(404).json({ success: false, error: "Tournament not found" })
+      }
+      const error =
+        existing.startsAt <= now
+          ? "Registration closed when the tournament started"
+          : existing.players.some((player) => player.userId.equals(req.user._id))
+            ? "You are already registered for this tournament"
+            : "This tournament is full"
+      return res.status(409).json({ success: false, error })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: formatTournament(tournament),
+      message: `Registered for ${tournament.name}`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to register for tournament", error)
+  }
+})
+
+// DELETE /api/tournaments/:id/register - Withdraw from a tournament before it starts
+router.delete("/:id/register", protect, tournamentSchema, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOneAndUpdate(
+      { _id: req.params.id, startsAt: { $gt: new Date() }, "players.userId": req.user._id },
+      { $pull: { players: { userId: req.user._id } } },
+      { new: true },
+    ).lean()
+
+    if (!tournament) {
+      const existing = await Tournament.exists({ _id: req.params.id })
+      return existing
+        ? res.status(409).json({ success: false, error: "You aren't registered, or the tournament already started" })
+        : res.status(404).json({ success: false, error: "Tournament not found" })
+    }
+
+    res.json({
+      success: true,
+      data: formatTournament(tournament),
+      message: `Withdrew from ${tournament.name}`,
+    })
+  } catch (error) {
+    sendServerError(res, "Failed to withdraw from tournament", error)
+  }
+})
+
+export default router
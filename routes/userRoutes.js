@@ -0,0 +1,80 @@
+import express from "express"
+import mongoose from "mongoose"
+import User from "../models/User.js"
+import UserAchievement from "../models/UserAchievement.js"
+import { publicScoreFilter } from "../models/Score.js"
+import { achievements, formatAchievement } from "../utils/achievements.js"
+import { buildPlayerStats, statsBuckets } from "../utils/playerStats.js"
+import { validate, sendValidationError } from "../middleware/validate.js"
+
+const router = express.Router()
+
+// Reject malformed user ids and unknown users before the handlers run
+router.param("id", async (req, res, next, id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) {
+      return sendValidationError(res, [{ location: "params", field: "id", message: "id must be a valid id" }])
+    }
+    req.profileUser = await User.findById(id).select("username banned").lean()
+    if (!req.profileUser || req.profileUser.banned) {
+      return res.status(404).json({ success: false, error: "User not found" })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /api/users/:id/achievements - A player's unlocked achievements, most recent first
+router.get("/:id/achievements", async (req, res) => {
+  try {
+    const unlocks = await UserAchievement.find({ userId: req.profileUser._id }).sort({ unlockedAt: -1 }).lean()
+
+    const data = unlocks
+      .map((unlock) => {
+        const achievement = achievements.find((a) => a.id === unlock.achievementId)
+        return achievement ? { ...formatAchievement(achievement), unlockedAt: unlock.unlockedAt } : null
+      })
+      .filter(Boolean) // Skip unlocks of rules that were removed
+
+    res.set("Cache-Control", "public, max-age=60") // Cache for 1 minute
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      total: achievements.length,
+      message: `Achievements of ${req.profileUser.username} retrieved successfully`,
+    })
+  } catch (error) {
+    console.error("Error fetching user achievements:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user achievements",
+    })
+  }
+})
+
+// GET /api/users/:id/stats - A player's public statistics (?bucket=day|week for the time series)
+router.get("/:id/stats", validate({ query: { bucket: { enum: statsBuckets, default: "day" } } }), async (req, res) => {
+  try {
+    const { bucket } = req.query
+
+    const stats = await buildPlayerStats(req.profileUser._id, { filter: publicScoreFilter(), bucket })
+
+    res.set("Cache-Control", "public, max-age=300") // Cache for 5 minutes
+    res.json({
+      success: true,
+      data: { userId: req.profileUser._id, username: req.profileUser.username, ...stats },
+      message: `Statistics of ${req.profileUser.username} retrieved successfully`,
+    })
+  } catch (error) {
+    console.error("Error fetching user stats:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user statistics",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+})
+
+export default router
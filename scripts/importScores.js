@@ -0,0 +1,42 @@
+import { readFile } from "fs/promises"
+import mongoose from "mongoose"
+import connectDB from "../config/database.js"
+import { importScores } from "../utils/dataTransfer.js"
+
+// Import scores from a CSV or NDJSON export (the format follows the file extension):
+// node scripts/importScores.js <file.csv|file.ndjson> [--dry-run]
+const args = process.argv.slice(2)
+const file = args.find((arg) => !arg.startsWith("--"))
+const dryRun = args.includes("--dry-run")
+
+if (!file) {
+  console.error("Usage: node scripts/importScores.js <file.csv|file.ndjson> [--dry-run]")
+  process.exit(1)
+}
+
+const MAX_PRINTED_ERRORS = 50
+
+connectDB()
+  .then(async () => {
+    const text = await readFile(file, "utf8")
+    const report = await importScores(text, { format: file.endsWith(".csv") ? "csv" : "ndjson", dryRun })
+
+    for (const { row, field, message } of report.errors.slice(0, MAX_PRINTED_ERRORS)) {
+      console.error(`  line ${row}${field ? ` (${field})` : ""}: ${message}`)
+    }
+    if (report.errors.length > MAX_PRINTED_ERRORS) {
+      console.error(`  ... and ${report.errors.length - MAX_PRINTED_ERRORS} more errors`)
+    }
+    console.log(
+      `${report.invalid > 0 ? "⚠️" : "✅"} ${dryRun ? "Checked" : "Imported"} ${report.rows} rows: ` +
+        `${report.inserted} ${dryRun ? "to insert" : "inserted"}, ${report.duplicates} duplicates, ${report.invalid} invalid`,
+    )
+    if (report.invalid > 0) {
+      process.exitCode = 1
+    }
+  })
+  .catch((error) => {
+    console.error("❌ Score import failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.connection.close())
@@ -0,0 +1,29 @@
+import mongoose from "mongoose"
+import connectDB from "../config/database.js"
+import User from "../models/User.js"
+
+const roles = User.schema.path("role").enumValues
+
+// Promote or demote a user: node scripts/setRole.js <email> <player|organizer|admin>
+const [email, role] = process.argv.slice(2)
+
+if (!email || !roles.includes(role)) {
+  console.error(`Usage: node scripts/setRole.js <email> <${roles.join("|")}>`)
+  process.exit(1)
+}
+
+connectDB()
+  .then(() => User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true }))
+  .then((user) => {
+    if (!user) {
+      console.error(`❌ No user found with email ${email}`)
+      process.exitCode = 1
+      return
+    }
+    console.log(`✅ ${user.username} is now ${user.role}`)
+  })
+  .catch((error) => {
+    console.error("❌ Failed to set role:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.connection.close())
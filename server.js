@@ -2,9 +2,14 @@ import express from "express"
 import cors from "cors"
 import dotenv from "dotenv"
 import connectDB from "./config/database.js"
-import gameRoutes from "./routes/gameRoutes.js"
-import authRoutes from "./routes/authRoutes.js" // Import the new auth routes
+import { apiRoutes } from "./routes/index.js"
+import docsRoutes from "./routes/docsRoutes.js"
 import mongoose from "mongoose"
+import { rateLimit } from "./middleware/rateLimit.js"
+import { apiVersion } from "./middleware/apiVersion.js"
+import { apiVersions, aliasVersion, latestVersion } from "./config/apiVersions.js"
+import { seedCatalog } from "./utils/catalog.js"
+import { dropLegacyScoreIndexes } from "./models/Score.js"
 
 // Load environment variables
 dotenv.config()
@@ -12,8 +17,19 @@ dotenv.config()
 const app = express()
 const PORT = process.env.PORT || 3002
 
-// Connect to MongoDB
+// Behind a proxy (Render, nginx), set TRUST_PROXY to its hop count (e.g. 1) so req.ip is the client's
+// IP and rate limits aren't shared by everyone coming through the proxy
+const proxyHops = Number.parseInt(process.env.TRUST_PROXY)
+if (!Number.isNaN(proxyHops)) {
+  app.set("trust proxy", proxyHops)
+}
+
+// Connect to MongoDB, then make sure the built-in categories and difficulties exist
 connectDB()
+  .then(() => seedCatalog())
+  .catch((error) => console.error("❌ Catalog seeding failed:", error.message))
+  .then(() => dropLegacyScoreIndexes())
+  .catch((error) => console.error("❌ Score index migration failed:", error.message))
 
 // Middleware
 app.use(
@@ -24,7 +40,7 @@ app.use(
       "https://memory-game-react-cyan.vercel.app", // Your specific Vercel production URL
       "https://*.vercel.app", // Allow all Vercel preview deployments
     ],
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"], // Ensure OPTIONS is allowed for preflight requests
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"], // Ensure OPTIONS is allowed for preflight requests
     credentials: true,
   }),
 )
@@ -48,9 +64,32 @@ if (process.env.NODE_ENV === "development") {
   })
 }
 
-// Routes
-app.use("/api", gameRoutes)
-app.use("/api/auth", authRoutes) // Use the new authentication routes - THIS IS CRUCIAL
+// Overall per-IP request limit; stricter groups are applied on the auth and score routes
+app.use("/api", rateLimit("api"))
+
+const notFound = (req, res) => {
+  res.status(404).json({
+    error: "Route not found",
+    message: `Cannot ${req.method} ${req.originalUrl}`,
+  })
+}
+
+// Routes: every version gets the same routers behind its own policies (see config/apiVersions.js)
+const createVersionRouter = (version) => {
+  const router = express.Router()
+  router.use(apiVersion(version))
+  for (const { path, router: routes } of apiRoutes) {
+    router.use(path, routes)
+  }
+  router.use(docsRoutes)
+  router.use(notFound) // Unknown /api/v2/... paths must not fall through to the unversioned alias
+  return router
+}
+
+for (const version of Object.keys(apiVersions)) {
+  app.use(`/api/${version}`, createVersionRouter(version))
+}
+app.use("/api", createVersionRouter(aliasVersion)) // Unversioned paths of clients from before versioning
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -60,26 +99,20 @@ app.get("/", (req, res) => {
     database: "MongoDB Connected",
     version: "2.0.0",
     environment: process.env.NODE_ENV || "development",
-    endpoints: [
-      "GET /api/categories - Get all game categories",
-      "GET /api/difficulties - Get all difficulty levels",
-      "GET /api/scores - Get all scores from MongoDB",
-      "POST /api/scores - Submit a new score to MongoDB",
-      "POST /api/auth/register - Register a new user", // New endpoint
-      "POST /api/auth/login - Login a user", // New endpoint
-      "GET /api/auth/me - Get authenticated user profile (protected)", // New endpoint
-    ],
+    apiVersions: Object.entries(apiVersions).map(([version, { deprecatedAt, sunsetAt }]) => ({
+      version,
+      path: `/api/${version}`,
+      deprecated: Boolean(deprecatedAt),
+      ...(sunsetAt && { sunset: sunsetAt }),
+    })),
+    docs: `/api/${latestVersion}/docs`,
+    openapi: `/api/${latestVersion}/openapi.json`,
     timestamp: new Date().toISOString(),
   })
 })
 
 // 404 handler - This catches requests that don't match any above routes
-app.use("*", (req, res) => {
-  res.status(404).json({
-    error: "Route not found",
-    message: `Cannot ${req.method} ${req.originalUrl}`,
-  })
-})
+app.use("*", notFound)
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -111,7 +144,7 @@ app.listen(PORT, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`)
   if (process.env.NODE_ENV === "development") {
     console.log(`📊 Health check: http://localhost:${PORT}/`)
-    console.log(`🏆 Scores: http://localhost:${PORT}/api/scores`)
+    console.log(`🏆 Scores: http://localhost:${PORT}/api/${latestVersion}/scores`)
   }
 })
 
@@ -0,0 +1,182 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import authRoutes from "../routes/authRoutes.js"
+import User from "../models/User.js"
+import Score from "../models/Score.js"
+import GameSession from "../models/GameSession.js"
+import RefreshToken from "../models/RefreshToken.js"
+import UserToken from "../models/UserToken.js"
+import UserAchievement from "../models/UserAchievement.js"
+import Friendship from "../models/Friendship.js"
+import SeasonStanding from "../models/SeasonStanding.js"
+import Tournament from "../models/Tournament.js"
+import Match from "../models/Match.js"
+import { findRoute, mockResponse } from "./helpers.js"
+
+// The partial filter operators the Score indexes use
+const matchesPartialFilter = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if ("$type" in condition) return typeof doc[field] === condition.$type
+    if ("$exists" in condition) return (doc[field] !== undefined) === condition.$exists
+    throw new Error(`Unsupported partial filter on ${field}`)
+  })
+
+// Reject documents that break a unique partial index of the Score schema, like MongoDB would
+const checkUniqueIndexes = (docs) => {
+  for (const [keys, options] of Score.schema.indexes()) {
+    if (!options.unique || !options.partialFilterExpression) continue
+    const seen = new Set()
+    for (const doc of docs.filter((candidate) => matchesPartialFilter(candidate, options.partialFilterExpression))) {
+      const key = JSON.stringify(Object.keys(keys).map((field) => doc[field] ?? null))
+      if (seen.has(key)) {
+        throw Object.assign(new Error(`E11000 duplicate key error on ${options.name}`), { code: 11000 })
+      }
+      seen.add(key)
+    }
+  }
+}
+
+// Stub everything DELETE /me touches besides the scores; `updates` collects the tournament and match updates
+const stubAccountCleanup = (t, { tournamentUpdate = async () => ({ modifiedCount: 0 }), openMatches = [] } = {}) => {
+  const updates = { tournaments: [], matches: [] }
+  t.mock.method(User, "findById", async (id) => ({
+    _id: id,
+    matchPassword: async () => true,
+    deleteOne: async () => {},
+  }))
+  for (const Model of [GameSession, RefreshToken, UserToken, UserAchievement, Friendship]) {
+    t.mock.method(Model, "deleteMany", async () => ({ deletedCount: 0 }))
+  }
+  t.mock.method(SeasonStanding, "updateMany", async () => ({ modifiedCount: 0 }))
+  t.mock.method(Tournament, "updateMany", async (filter, update, options) => {
+    updates.tournaments.push({ filter, update, options })
+    return tournamentUpdate(filter, update, options)
+  })
+  t.mock.method(Match, "find", async () => openMatches)
+  t.mock.method(Match, "updateMany", async (filter, update, options) => {
+    updates.matches.push({ filter, update, options })
+    return { modifiedCount: 0 }
+  })
+  return updates
+}
+
+const deleteAccount = async (userId) => {
+  const { handler } = findRoute(authRoutes, "delete", "/me")
+  const res = mockResponse()
+  await handler({ user: { _id: userId }, query: { scores: "anonymize" }, body: { password: "secret" } }, res)
+  return res
+}
+
+test("deleting two accounts with a daily score on the same day anonymizes both scores", async (t) => {
+  const users = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+  const scores = users.map((userId, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    playerName: `player${i}`,
+    dailyChallenge: "2026-10-19",
+    score: 900 - i,
+  }))
+
+  t.mock.method(Score, "updateMany", async (filter, update) => {
+    const matching = scores.filter((score) => score.userId?.equals(filter.userId))
+    const updated = matching.map((score) => {
+      const copy = { ...score, ...update.$set }
+      for (const field of Object.keys(update.$unset)) delete copy[field]
+      return copy
+    })
+    checkUniqueIndexes([...scores.filter((score) => !matching.includes(score)), ...updated])
+    for (const [i, score] of matching.entries()) scores[scores.indexOf(score)] = updated[i]
+    return { modifiedCount: matching.length }
+  })
+  stubAccountCleanup(t)
+
+  for (const userId of users) {
+    const res = await deleteAccount(userId)
+    assert.equal(res.statusCode, 200, res.body.error)
+    assert.equal(res.body.data.scoresAffected, 1)
+  }
+
+  // Both scores stay ranked on the day's board, under the anonymous name
+  for (const score of scores) {
+    assert.equal(score.userId, undefined)
+    assert.equal(score.playerName, "Deleted player")
+    assert.equal(score.dailyChallenge, "2026-10-19")
+  }
+})
+
+test("tournament results are renamed only in tournaments that have results", async (t) => {
+  const userId = new mongoose.Types.ObjectId()
+  t.mock.method(Score, "updateMany", async () => ({ modifiedCount: 0 }))
+  const updates = stubAccountCleanup(t)
+
+  const res = await deleteAccount(userId)
+
+  assert.equal(res.statusCode, 200)
+  const results = updates.tournaments.find(({ update }) => update.$set?.["results.$[result].playerName"])
+  assert.deepEqual(results.filter, { "results.userId": userId })
+  // The player rename doesn't touch results, so it also applies to tournaments without any
+  const players = updates.tournaments.find(({ update }) => update.$set?.["players.$[player].username"])
+  assert.deepEqual(Object.keys(players.update.$set), ["players.$[player].username"])
+  assert.equal(players.options.arrayFilters.length, 1)
+})
+
+test("scores are left alone when the rest of the account cleanup fails", async (t) => {
+  const scoreWrites = t.mock.method(Score, "updateMany", async () => ({ modifiedCount: 1 }))
+  t.mock.method(console, "error", () => {})
+  stubAccountCleanup(t, {
+    tournamentUpdate: async () => {
+      throw new Error("The path 'results' must exist in the document in order to apply array updates")
+    },
+  })
+
+  const res = await deleteAccount(new mongoose.Types.ObjectId())
+
+  assert.equal(res.statusCode, 500)
+  assert.equal(scoreWrites.mock.callCount(), 0)
+})
+
+test("the deleted player forfeits open matches and is replaced in every match by a stand-in", async (t) => {
+  const userId = new mongoose.Types.ObjectId()
+  const opponent = new mongoose.Types.ObjectId()
+  const match = new Match({
+    code: "ABC123",
+    hostId: userId,
+    category: "heroes",
+    difficulty: "easy",
+    seed: 1,
+    layout: ["a", "a", "b", "b"],
+    status: "playing",
+    turnStartedAt: new Date(),
+    players: [
+      { userId, username: "leaver" },
+      { userId: opponent, username: "stayer" },
+    ],
+  })
+  const saves = t.mock.method(match, "save", async () => match)
+  t.mock.method(Score, "updateMany", async () => ({ modifiedCount: 0 }))
+  const updates = stubAccountCleanup(t, { openMatches: [match] })
+
+  const res = await deleteAccount(userId)
+
+  assert.equal(res.statusCode, 200)
+  assert.equal(saves.mock.callCount(), 1)
+  assert.equal(match.status, "finished")
+  assert.deepEqual(match.winnerIds, [opponent])
+
+  const host = updates.matches.find(({ filter }) => filter.hostId)
+  const players = updates.matches.find(({ filter }) => filter["players.userId"])
+  const standInId = host.update.$set.hostId
+  assert.ok(!standInId.equals(userId))
+  assert.deepEqual(players.update.$set, {
+    "players.$[player].userId": standInId,
+    "players.$[player].username": "Deleted player",
+    "flips.$[flip].userId": standInId,
+    "winnerIds.$[winner]": standInId,
+  })
+  assert.deepEqual(players.options.arrayFilters, [
+    { "player.userId": userId },
+    { "flip.userId": userId },
+    { winner: userId },
+  ])
+})
@@ -0,0 +1,110 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import UserAchievement from "../models/UserAchievement.js"
+import { evaluateAchievements } from "../utils/achievements.js"
+import { computeStreaks } from "../utils/streaks.js"
+import { invalidateCatalog } from "../utils/catalog.js"
+
+const userId = new mongoose.Types.ObjectId()
+
+// The last `count` UTC days up to today, as "YYYY-MM-DD"
+const lastDays = (count) =>
+  Array.from({ length: count }, (_, i) => new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10))
+
+// Stub what the rules read: the user's unlocks, played categories and play days.
+// Resolves the ids the evaluation inserted.
+const stubAchievements = (t, { unlocked = [], played = [], days = [] } = {}) => {
+  const inserted = []
+  invalidateCatalog()
+  t.after(invalidateCatalog)
+  t.mock.method(Category, "find", () => ({
+    sort: () => ({ lean: async () => ["heroes", "movies"].map((slug) => ({ slug, active: true })) }),
+  }))
+  t.mock.method(Difficulty, "find", () => ({ sort: () => ({ lean: async () => [] }) }))
+  t.mock.method(UserAchievement, "distinct", async () => unlocked)
+  t.mock.method(Score, "distinct", async () => played)
+  t.mock.method(Score, "aggregate", async () => days.map((day) => ({ _id: day })))
+  t.mock.method(UserAchievement, "insertMany", async (docs) => {
+    inserted.push(...docs.map((doc) => doc.achievementId))
+    return docs
+  })
+  return inserted
+}
+
+const makeScore = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  difficulty: "easy",
+  time: 45,
+  moves: 9,
+  ...overrides,
+})
+
+test("a first game unlocks First Win, and only once", async (t) => {
+  const inserted = stubAchievements(t, { played: ["heroes"] })
+
+  const unlocked = await evaluateAchievements({ userId, score: makeScore(), pairs: 6 })
+
+  assert.deepEqual(
+    unlocked.map((achievement) => achievement.id),
+    ["first-win"],
+  )
+  assert.deepEqual(inserted, ["first-win"])
+
+  t.mock.method(UserAchievement, "distinct", async () => ["first-win"])
+  assert.deepEqual(await evaluateAchievements({ userId, score: makeScore(), pairs: 6 }), [])
+})
+
+test("score rules unlock on the game that meets them", async (t) => {
+  stubAchievements(t, { unlocked: ["first-win"] })
+
+  const unlocked = await evaluateAchievements({
+    userId,
+    score: makeScore({ difficulty: "hard", time: 29, moves: 12, dailyChallenge: "2026-10-19" }),
+    pairs: 12,
+  })
+
+  assert.deepEqual(
+    unlocked.map((achievement) => achievement.id),
+    ["hard-under-30", "perfect-moves", "daily-challenger"],
+  )
+})
+
+test("Collector needs a game in every category and Dedicated Fan seven days in a row", async (t) => {
+  stubAchievements(t, { unlocked: ["first-win"], played: ["heroes", "movies"], days: lastDays(7) })
+
+  const unlocked = await evaluateAchievements({ userId, score: makeScore(), pairs: 6 })
+
+  assert.deepEqual(
+    unlocked.map((achievement) => achievement.id),
+    ["all-categories", "streak-7"],
+  )
+})
+
+test("achievements a concurrent submission unlocked first are not reported again", async (t) => {
+  stubAchievements(t)
+  t.mock.method(UserAchievement, "insertMany", async () => {
+    throw Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+      insertedDocs: [{ achievementId: "daily-challenger" }],
+    })
+  })
+
+  const unlocked = await evaluateAchievements({ userId, score: makeScore({ dailyChallenge: "2026-10-19" }) })
+
+  assert.deepEqual(
+    unlocked.map((achievement) => achievement.id),
+    ["daily-challenger"],
+  )
+})
+
+test("a streak stays alive until a full day is missed", () => {
+  const today = new Date("2026-10-19T08:00:00.000Z")
+
+  assert.deepEqual(computeStreaks(["2026-10-16", "2026-10-17", "2026-10-18"], today), { current: 3, longest: 3 })
+  assert.deepEqual(computeStreaks(["2026-10-10", "2026-10-11", "2026-10-17"], today), { current: 0, longest: 2 })
+  assert.deepEqual(computeStreaks([], today), { current: 0, longest: 0 })
+})
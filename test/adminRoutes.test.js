@@ -0,0 +1,230 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import adminRoutes from "../routes/adminRoutes.js"
+import Score from "../models/Score.js"
+import User from "../models/User.js"
+import RefreshToken from "../models/RefreshToken.js"
+import Season from "../models/Season.js"
+import SeasonStanding from "../models/SeasonStanding.js"
+import AuditLog from "../models/AuditLog.js"
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import { findRoute, mockResponse, runMiddleware } from "./helpers.js"
+
+const reasonRoutes = ["/scores/:id/flag", "/scores/:id/reject", "/users/:id/ban"]
+
+// The validate() middleware of a route (the one carrying a schema)
+const findValidator = (path) => findRoute(adminRoutes, "post", path).middleware.find((middleware) => middleware.schema)
+
+for (const path of reasonRoutes) {
+  test(`POST ${path} rejects a reason over 500 characters`, async () => {
+    const res = mockResponse()
+    const next = await runMiddleware(findValidator(path), { body: { reason: "x".repeat(501) } }, res)
+
+    assert.equal(next, false)
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body.errors, [
+      { location: "body", field: "reason", message: "reason must be at most 500 characters" },
+    ])
+  })
+
+  test(`POST ${path} rejects a reason that isn't a string`, async () => {
+    const res = mockResponse()
+
+    assert.equal(await runMiddleware(findValidator(path), { body: { reason: { $ne: null } } }, res), false)
+    assert.equal(res.statusCode, 400)
+  })
+
+  test(`POST ${path} accepts a short reason or none`, async () => {
+    const req = { body: { reason: "  Impossible time  " } }
+
+    assert.equal(await runMiddleware(findValidator(path), req, mockResponse()), true)
+    assert.equal(req.body.reason, "Impossible time")
+    assert.equal(await runMiddleware(findValidator(path), { body: {} }, mockResponse()), true)
+  })
+}
+
+const season = { _id: new mongoose.Types.ObjectId(), slug: "2026-q2", closedAt: new Date("2026-07-01") }
+const admin = { _id: new mongoose.Types.ObjectId() }
+
+const makeSeasonScore = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  playerName: "late",
+  seasonId: season._id,
+  category: "heroes",
+  difficulty: "easy",
+  time: 20,
+  moves: 6,
+  score: 990,
+  attempts: 1,
+  date: new Date("2026-06-30"),
+  ...overrides,
+})
+
+// Stub the closed season and the archive writes. `ranked` is what the board ranks to after the change;
+// `archived` collects the SeasonStanding writes.
+const stubSeasonArchive = (t, ranked) => {
+  const archived = []
+  t.mock.method(Season, "find", (filter) => ({
+    lean: async () => (filter._id.$in.includes(season._id.toString()) ? [season] : []),
+  }))
+  t.mock.method(Score, "aggregate", async (pipeline) => {
+    if (pipeline[0].$match.userId) {
+      // findPlayerBoards
+      return [{ seasonId: season._id, category: "heroes", difficulty: "easy" }]
+    }
+    return [{ top: ranked.map((score, i) => ({ ...score, rank: i + 1 })), total: [{ count: ranked.length }] }]
+  })
+  t.mock.method(SeasonStanding, "updateOne", async (filter, update) => archived.push({ filter, update }))
+  t.mock.method(SeasonStanding, "deleteOne", async (filter) => archived.push({ filter, deleted: true }))
+  t.mock.method(AuditLog, "create", async () => ({}))
+  return archived
+}
+
+const runAdminRoute = async (method, path, req) => {
+  const { handler } = findRoute(adminRoutes, method, path)
+  const res = mockResponse()
+  await handler({ body: {}, user: admin, ...req }, res)
+  return res
+}
+
+const boardFilter = { seasonId: season._id, category: "heroes", difficulty: "easy" }
+
+test("approving a held score of a closed season re-archives its board", async (t) => {
+  const score = makeSeasonScore({ reviewStatus: "approved" })
+  t.mock.method(Score, "findByIdAndUpdate", () => ({ lean: async () => score }))
+  const archived = stubSeasonArchive(t, [score])
+
+  const res = await runAdminRoute("post", "/scores/:id/approve", { params: { id: score._id.toString() } })
+
+  assert.equal(res.statusCode, 200)
+  assert.equal(archived.length, 1)
+  assert.deepEqual(archived[0].filter, boardFilter)
+  assert.equal(archived[0].update.$set.players, 1)
+  assert.deepEqual(
+    archived[0].update.$set.entries.map((entry) => [entry.rank, entry.scoreId, entry.score]),
+    [[1, score._id, 990]],
+  )
+})
+
+test("deleting the only score of a closed season's board removes the archived board", async (t) => {
+  const score = makeSeasonScore()
+  t.mock.method(Score, "findByIdAndDelete", () => ({ lean: async () => score }))
+  const archived = stubSeasonArchive(t, [])
+
+  const res = await runAdminRoute("delete", "/scores/:id", { params: { id: score._id.toString() } })
+
+  assert.equal(res.statusCode, 200)
+  assert.deepEqual(archived, [{ filter: boardFilter, deleted: true }])
+})
+
+test("scores of the running season don't touch the archive", async (t) => {
+  const score = makeSeasonScore({ seasonId: new mongoose.Types.ObjectId() })
+  t.mock.method(Score, "findByIdAndDelete", () => ({ lean: async () => score }))
+  const archived = stubSeasonArchive(t, [])
+
+  await runAdminRoute("delete", "/scores/:id", { params: { id: score._id.toString() } })
+
+  assert.deepEqual(archived, [])
+})
+
+test("banning and unbanning a player re-archive the closed boards they played on", async (t) => {
+  const remaining = makeSeasonScore({ playerName: "other" })
+  const user = { _id: new mongoose.Types.ObjectId(), username: "cheater", banReason: null }
+  t.mock.method(User, "findByIdAndUpdate", () => ({ select: async () => user }))
+  t.mock.method(Score, "updateMany", async () => ({ modifiedCount: 1 }))
+  t.mock.method(RefreshToken, "updateMany", async () => ({ modifiedCount: 0 }))
+  const archived = stubSeasonArchive(t, [remaining])
+
+  for (const path of ["/users/:id/ban", "/users/:id/unban"]) {
+    const res = await runAdminRoute("post", path, { params: { id: user._id.toString() } })
+    assert.equal(res.statusCode, 200, res.body.error)
+  }
+
+  assert.deepEqual(
+    archived.map(({ filter, update }) => [filter, update.$set.entries.map((entry) => entry.playerName)]),
+    [
+      [boardFilter, ["other"]],
+      [boardFilter, ["other"]],
+    ],
+  )
+})
+
+test("purging a banned player's scores re-archives the closed boards they played on", async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId(), username: "cheater", banned: true }
+  t.mock.method(User, "findById", () => ({ select: async () => user }))
+  const deletes = t.mock.method(Score, "deleteMany", async () => ({ deletedCount: 3 }))
+  const archived = stubSeasonArchive(t, [makeSeasonScore({ playerName: "other" })])
+
+  const res = await runAdminRoute("delete", "/users/:id/scores", { params: { id: user._id.toString() } })
+
+  assert.equal(res.statusCode, 200)
+  assert.equal(deletes.mock.callCount(), 1)
+  assert.deepEqual(
+    archived.map(({ filter }) => filter),
+    [boardFilter],
+  )
+})
+
+// Run a catalog route: its validate() middleware, then the handler when validation passed
+const runCatalogRoute = async (method, path, req) => {
+  const { handler, middleware } = findRoute(adminRoutes, method, path)
+  const res = mockResponse()
+  const fullReq = { params: {}, body: {}, user: admin, ...req }
+  if (
+    await runMiddleware(
+      middleware.find((candidate) => candidate.schema),
+      fullReq,
+      res,
+    )
+  ) {
+    await handler(fullReq, res)
+  }
+  return res
+}
+
+test("POST /categories validates the body before saving", async (t) => {
+  const creates = t.mock.method(Category, "create", async (doc) => doc)
+
+  const missing = await runCatalogRoute("post", "/categories", { body: { name: "Anime" } })
+  assert.equal(missing.statusCode, 400)
+  assert.deepEqual(missing.body.errors, [{ location: "body", field: "id", message: "id is required" }])
+
+  const badCards = await runCatalogRoute("post", "/categories", {
+    body: { id: "anime", name: "Anime", cards: [{ cardId: "a-1", name: "A" }, { cardId: "a-2" }] },
+  })
+  assert.equal(badCards.statusCode, 400)
+  assert.deepEqual(badCards.body.errors, [{ location: "body", field: "cards", message: "cards[1].name is required" }])
+
+  assert.equal(creates.mock.callCount(), 0)
+})
+
+test("PATCH /difficulties/:slug rejects fields of the wrong type", async () => {
+  const res = await runCatalogRoute("patch", "/difficulties/:slug", {
+    params: { slug: "easy" },
+    body: { rows: "three", active: "maybe" },
+  })
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(
+    res.body.errors.map((error) => error.field),
+    ["active", "rows"],
+  )
+})
+
+test("model rules of a catalog entry answer with the validation error shape", async (t) => {
+  t.mock.method(Difficulty, "create", async (doc) => {
+    throw new Difficulty(doc).validateSync()
+  })
+
+  const res = await runCatalogRoute("post", "/difficulties", {
+    body: { id: "odd", name: "Odd", rows: 3, columns: 3, pairs: 4 },
+  })
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body.errors, [
+    { location: "body", field: "pairs", message: "rows x columns must equal pairs x 2" },
+  ])
+})
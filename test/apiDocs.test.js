@@ -0,0 +1,33 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import express from "express"
+
+// Development-only routes are registered at import time, so the routers are loaded after setting NODE_ENV
+process.env.NODE_ENV = "development"
+const { apiRoutes } = await import("../routes/index.js")
+const { listApiRoutes, findUndocumentedRoutes, routeKey } = await import("../utils/openapi.js")
+const { routeDocs } = await import("../config/apiDocs.js")
+
+test("every mounted route is described in config/apiDocs.js", () => {
+  assert.ok(listApiRoutes(apiRoutes).length > 0, "No routes found on the mounted routers")
+  assert.deepEqual(findUndocumentedRoutes(apiRoutes), [])
+})
+
+test("every entry of config/apiDocs.js belongs to a mounted route", () => {
+  const mounted = new Set(listApiRoutes(apiRoutes).map(({ method, path }) => routeKey(method, path)))
+
+  assert.deepEqual(
+    Object.keys(routeDocs).filter((key) => !mounted.has(key)),
+    [],
+  )
+})
+
+test("a route added without docs is reported", () => {
+  const router = express.Router()
+  router.get("/", (req, res) => res.end())
+  router.post("/:id/undocumented", (req, res) => res.end())
+
+  assert.deepEqual(findUndocumentedRoutes([{ path: "/scores", router, tag: "Scores" }]), [
+    "POST /scores/:id/undocumented",
+  ])
+})
@@ -0,0 +1,40 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { apiVersion } from "../middleware/apiVersion.js"
+import { mockResponse, runMiddleware } from "./helpers.js"
+
+const body = { success: true, data: [1], count: 1, message: "Scores retrieved successfully", cached: true }
+
+test("v1 answers with deprecation headers and a link to v2, keeping the full envelope", async () => {
+  const req = {}
+  const res = mockResponse()
+
+  assert.equal(await runMiddleware(apiVersion("v1"), req, res), true)
+  res.json(body)
+
+  assert.equal(req.apiVersion, "v1")
+  assert.deepEqual(res.headers, {
+    "API-Version": "v1",
+    Deprecation: `@${Date.parse("2026-11-01") / 1000}`,
+    Sunset: "Sat, 01 May 2027 00:00:00 GMT",
+    Link: '</api/v2>; rel="successor-version"',
+  })
+  assert.deepEqual(res.body, body)
+})
+
+test("v2 drops message and cached from successful responses only", async () => {
+  const res = mockResponse()
+
+  await runMiddleware(apiVersion("v2"), {}, res)
+  res.json(body)
+  assert.deepEqual(res.body, { success: true, data: [1], count: 1 })
+  assert.deepEqual(res.headers, { "API-Version": "v2" })
+
+  const error = { success: false, error: "Score not found", message: "kept" }
+  res.json(error)
+  assert.deepEqual(res.body, error)
+})
+
+test("an unknown version fails when the routes are mounted", () => {
+  assert.throws(() => apiVersion("v9"), /Unknown API version: v9/)
+})
@@ -0,0 +1,50 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import User from "../models/User.js"
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import { importScores } from "../utils/dataTransfer.js"
+
+const query = (rows) => {
+  const chain = { sort: () => chain, select: () => chain, lean: async () => rows }
+  return chain
+}
+
+test("imported scores of banned players are marked userBanned", async () => {
+  const [banned, active] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+  Category.find = () => query([{ slug: "heroes", name: "Heroes", active: true, cards: [] }])
+  Difficulty.find = () => query([{ slug: "easy", name: "Easy", pairs: 6, active: true }])
+  Score.find = () => query([])
+  User.find = (filter) => {
+    assert.equal(filter.banned, true)
+    return query([{ _id: banned }].filter((user) => filter._id.$in.includes(user._id.toString())))
+  }
+  let inserted = []
+  Score.insertMany = async (docs) => {
+    inserted = docs
+    return docs
+  }
+
+  const record = { category: "heroes", difficulty: "easy", time: 40, moves: 9, date: "2026-10-01T12:00:00.000Z" }
+  const text = [
+    { ...record, playerName: "banned", userId: banned.toString() },
+    { ...record, playerName: "active", userId: active.toString() },
+    { ...record, playerName: "guest" },
+  ]
+    .map((row) => JSON.stringify(row))
+    .join("\n")
+
+  const report = await importScores(text, { format: "ndjson" })
+
+  assert.equal(report.inserted, 3)
+  assert.deepEqual(
+    inserted.map((score) => [score.playerName, score.userBanned]),
+    [
+      ["banned", true],
+      ["active", false],
+      ["guest", false],
+    ],
+  )
+})
@@ -0,0 +1,123 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import friendRoutes from "../routes/friendRoutes.js"
+import Friendship from "../models/Friendship.js"
+import User from "../models/User.js"
+import { friendshipPair, getScopeUserIds } from "../utils/friends.js"
+import { findRoute, mockResponse, runMiddleware } from "./helpers.js"
+
+for (const action of ["accept", "decline"]) {
+  test(`POST /requests/:id/${action} rejects a malformed id with a 400`, async (t) => {
+    const lookups = t.mock.method(Friendship, "findOne", () => null)
+    const { middleware } = findRoute(friendRoutes, "post", `/requests/:id/${action}`)
+    const res = mockResponse()
+
+    const next = await runMiddleware(
+      middleware.find((candidate) => candidate.schema),
+      { params: { id: "not-an-id" } },
+      res,
+    )
+
+    assert.equal(next, false)
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body.errors, [{ location: "params", field: "id", message: "id must be a valid id" }])
+    assert.equal(lookups.mock.callCount(), 0)
+  })
+}
+
+const me = { _id: new mongoose.Types.ObjectId(), username: "me" }
+const other = { _id: new mongoose.Types.ObjectId(), username: "other" }
+
+const runFriendRoute = async (method, path, req) => {
+  const { handler } = findRoute(friendRoutes, method, path)
+  const res = mockResponse()
+  await handler({ user: me, params: {}, body: {}, ...req }, res)
+  return res
+}
+
+// Stub the users a request resolves to and the friendship of the pair, if any
+const stubFriendship = (t, friendship) => {
+  t.mock.method(User, "findById", () => ({ select: async () => other }))
+  t.mock.method(User, "find", () => ({ select: () => ({ lean: async () => [other] }) }))
+  t.mock.method(Friendship, "findOne", async () => friendship)
+}
+
+test("a pair of users maps to one friendship whoever asks", () => {
+  assert.deepEqual(friendshipPair(me._id, other._id), friendshipPair(other._id, me._id))
+  assert.equal(friendshipPair(me._id, other._id).users.length, 2)
+})
+
+test("the friends scope covers the user and their accepted friends only", async (t) => {
+  t.mock.method(Friendship, "find", (filter) => {
+    assert.deepEqual(filter, { users: me._id, status: "accepted" })
+    return { select: () => ({ lean: async () => [{ users: friendshipPair(me._id, other._id).users }] }) }
+  })
+
+  assert.equal(await getScopeUserIds("global", me), null)
+  assert.deepEqual(await getScopeUserIds("friends", me), [me._id, other._id])
+})
+
+test("a friend request creates a pending friendship for the pair", async (t) => {
+  stubFriendship(t, null)
+  const creates = t.mock.method(Friendship, "create", async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }))
+
+  const res = await runFriendRoute("post", "/requests", { body: { userId: other._id.toString() } })
+
+  assert.equal(res.statusCode, 201)
+  assert.deepEqual(creates.mock.calls[0].arguments[0], {
+    ...friendshipPair(me._id, other._id),
+    requesterId: me._id,
+    recipientId: other._id,
+  })
+})
+
+test("requesting a user who already asked you accepts their request", async (t) => {
+  const pending = {
+    ...friendshipPair(me._id, other._id),
+    status: "pending",
+    requesterId: other._id,
+    save: async () => {},
+  }
+  stubFriendship(t, pending)
+
+  const res = await runFriendRoute("post", "/requests", { body: { userId: other._id.toString() } })
+
+  assert.equal(res.statusCode, 200)
+  assert.equal(pending.status, "accepted")
+  assert.equal(res.body.message, "You are now friends with other")
+})
+
+test("requests to users who blocked you, friends or already asked users are refused", async (t) => {
+  for (const [friendship, code] of [
+    [{ status: "blocked" }, 403],
+    [{ status: "accepted" }, 409],
+    [{ status: "pending", requesterId: me._id }, 409],
+  ]) {
+    stubFriendship(t, friendship)
+    const res = await runFriendRoute("post", "/requests", { body: { userId: other._id.toString() } })
+    assert.equal(res.statusCode, code)
+  }
+})
+
+test("blocking ends the friendship and unblocking lifts it once neither side blocks", async (t) => {
+  const blocks = t.mock.method(Friendship, "findOneAndUpdate", async () => null)
+
+  const blocked = await runFriendRoute("post", "/:userId/block", { otherUser: other })
+  assert.equal(blocked.statusCode, 200)
+  const [filter, update, options] = blocks.mock.calls[0].arguments
+  assert.deepEqual(filter, { pairKey: friendshipPair(me._id, other._id).pairKey })
+  assert.deepEqual(update.$set, { status: "blocked", acceptedAt: null })
+  assert.equal(options.upsert, true)
+
+  const deletes = []
+  for (const blockedBy of [[other._id], []]) {
+    t.mock.method(Friendship, "findOneAndUpdate", async () => ({
+      blockedBy,
+      deleteOne: async () => deletes.push(blockedBy),
+    }))
+    assert.equal((await runFriendRoute("delete", "/:userId/block", { otherUser: other })).statusCode, 200)
+  }
+  // Still blocked by the other user after the first unblock
+  assert.deepEqual(deletes, [[]])
+})
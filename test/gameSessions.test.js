@@ -0,0 +1,246 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import GameSession from "../models/GameSession.js"
+import Score from "../models/Score.js"
+import Season from "../models/Season.js"
+import gameSessionRoutes from "../routes/gameSessionRoutes.js"
+import gameRoutes from "../routes/gameRoutes.js"
+import { generateLayout, evaluateFlips, computeElapsedSeconds, isTooFast } from "../utils/gameBoard.js"
+import { findRoute, mockResponse } from "./helpers.js"
+
+const deck = ["a", "b", "c", "d"].map((cardId) => ({ cardId, name: cardId.toUpperCase() }))
+const userId = new mongoose.Types.ObjectId()
+
+// A session on the board a a b b, with flips at the given offsets (ms) from a fixed start
+const makeSession = (t, { flips = [], status = "active" } = {}) => {
+  const start = Date.parse("2026-10-19T12:00:00.000Z")
+  const session = new GameSession({
+    userId,
+    category: "heroes",
+    difficulty: "easy",
+    seed: 42,
+    layout: ["a", "a", "b", "b"],
+    cards: deck.slice(0, 2),
+    flips: flips.map(([index, offset]) => ({ index, at: new Date(start + offset) })),
+    status,
+  })
+  t.mock.method(session, "save", async () => session)
+  t.mock.method(GameSession, "findOne", async () => session)
+  return session
+}
+
+const run = async (router, method, path, req) => {
+  const { handler } = findRoute(router, method, path)
+  const res = mockResponse()
+  await handler({ user: userId && { _id: userId }, params: {}, body: {}, ...req }, res)
+  return res
+}
+
+test("the same seed always deals the same board, with every picked card twice", () => {
+  const first = generateLayout({ deck, pairs: 3, seed: 7 })
+  const second = generateLayout({ deck, pairs: 3, seed: 7 })
+
+  assert.deepEqual(first, second)
+  assert.equal(first.layout.length, 6)
+  for (const card of first.cards) {
+    assert.equal(first.layout.filter((cardId) => cardId === card.cardId).length, 2)
+  }
+})
+
+test("flips are evaluated two at a time into moves and matches", () => {
+  const layout = ["a", "b", "a", "b"]
+  const flip = (index) => ({ index })
+
+  assert.deepEqual(evaluateFlips(layout, [0, 1, 0, 2, 3].map(flip)), {
+    moves: 2,
+    matched: [0, 2],
+    completed: false,
+    pendingIndex: 3,
+  })
+  assert.equal(evaluateFlips(layout, [0, 2, 1, 3].map(flip)).completed, true)
+})
+
+test("game time runs from the first to the last flip, in whole seconds", () => {
+  const at = (ms) => ({ at: new Date(ms) })
+
+  assert.equal(computeElapsedSeconds([at(0), at(12400)]), 12)
+  assert.equal(computeElapsedSeconds([at(0)]), 1)
+})
+
+test("flips faster than the minimum pace on average are too fast", () => {
+  assert.equal(isTooFast([0, 100, 200, 300]), true)
+  assert.equal(isTooFast([0, 100, 900, 1000]), false) // Quick pairs are fine when the average holds
+  assert.equal(isTooFast([0]), false)
+})
+
+test("a session only shows the cards that are face up or matched", async (t) => {
+  makeSession(t, {
+    flips: [
+      [0, 0],
+      [1, 500],
+      [2, 1000],
+    ],
+  })
+
+  const res = await run(gameSessionRoutes, "get", "/:id", { params: { id: "x" } })
+
+  assert.equal(res.statusCode, 200)
+  assert.deepEqual(res.body.data.board, ["a", "a", "b", null])
+  assert.equal(res.body.data.layout, undefined)
+  assert.equal(res.body.data.seed, undefined)
+})
+
+test("a flip reveals its card and the last match completes the session", async (t) => {
+  const session = makeSession(t, {
+    flips: [
+      [0, 0],
+      [1, 500],
+      [2, 1000],
+    ],
+  })
+
+  const res = await run(gameSessionRoutes, "post", "/:id/flips", { params: { id: "x" }, body: { index: 3 } })
+
+  assert.equal(res.statusCode, 201)
+  assert.deepEqual(
+    { card: res.body.data.card, match: res.body.data.match, completed: res.body.data.completed },
+    { card: "b", match: true, completed: true },
+  )
+  assert.equal(session.status, "completed")
+  assert.equal(session.flips.length, 4)
+})
+
+test("flips of matched cards, face-up cards and cards off the board are refused", async (t) => {
+  makeSession(t, {
+    flips: [
+      [0, 0],
+      [1, 500],
+      [2, 1000],
+    ],
+  })
+
+  for (const [index, error] of [
+    [0, "Card is already matched"],
+    [2, "Card is already face up"],
+    [4, "Invalid card index. Must be between 0 and 3"],
+  ]) {
+    const res = await run(gameSessionRoutes, "post", "/:id/flips", { params: { id: "x" }, body: { index } })
+    assert.equal(res.statusCode, 400)
+    assert.equal(res.body.error, error)
+  }
+})
+
+test("finished sessions take no more flips", async (t) => {
+  makeSession(t, { status: "completed" })
+
+  const res = await run(gameSessionRoutes, "post", "/:id/flips", { params: { id: "x" }, body: { index: 0 } })
+
+  assert.equal(res.statusCode, 409)
+})
+
+const submit = (session, claims = {}) =>
+  run(gameRoutes, "post", "/scores", {
+    body: { playerName: "ace", sessionId: session._id.toString(), ...claims },
+  })
+
+test("a score whose claims don't match the recorded game is rejected along with its session", async (t) => {
+  const session = makeSession(t, {
+    status: "completed",
+    flips: [
+      [0, 0],
+      [1, 2000],
+      [2, 4000],
+      [3, 6000],
+    ],
+  })
+
+  const res = await submit(session, { moves: 5 })
+
+  assert.equal(res.statusCode, 400)
+  assert.equal(res.body.error, "Submitted time or moves do not match the recorded game")
+  assert.equal(session.status, "rejected")
+})
+
+test("a session played faster than humanly possible can't be submitted", async (t) => {
+  const session = makeSession(t, {
+    status: "completed",
+    flips: [
+      [0, 0],
+      [1, 50],
+      [2, 100],
+      [3, 150],
+    ],
+  })
+
+  const res = await submit(session)
+
+  assert.equal(res.statusCode, 400)
+  assert.equal(res.body.error, "The recorded game was played faster than humanly possible")
+  assert.equal(session.status, "rejected")
+})
+
+test("unfinished and already submitted sessions can't be submitted", async (t) => {
+  for (const [status, code] of [
+    ["active", 400],
+    ["submitted", 409],
+  ]) {
+    const session = makeSession(t, { status })
+    const res = await submit(session)
+    assert.equal(res.statusCode, code)
+  }
+})
+
+// Stub what a verified submission reads before saving: integrity history and the current season
+const stubScoreSave = (t, save) => {
+  const season = { _id: new mongoose.Types.ObjectId(), startsAt: new Date(0), endsAt: new Date(8.64e15) }
+  t.mock.method(Score, "aggregate", async () => [])
+  t.mock.method(Score, "countDocuments", async () => 0)
+  t.mock.method(Season, "findOneAndUpdate", () => ({ lean: async () => season }))
+  t.mock.method(Season, "find", () => ({ lean: async () => [] }))
+  t.mock.method(Score.prototype, "save", save)
+}
+
+const duplicateKeyError = (keyPattern) =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000, keyPattern })
+
+test("a second score for the same daily challenge gets a daily-specific conflict", async (t) => {
+  const session = makeSession(t, {
+    status: "completed",
+    flips: [
+      [0, 0],
+      [1, 2000],
+      [2, 4000],
+      [3, 6000],
+    ],
+  })
+  session.dailyChallenge = "2026-10-19"
+  stubScoreSave(t, async () => {
+    throw duplicateKeyError({ dailyChallenge: 1, userId: 1 })
+  })
+
+  const res = await submit(session)
+
+  assert.equal(res.statusCode, 409)
+  assert.equal(res.body.error, "You already submitted a score for this daily challenge")
+})
+
+test("a session submitted twice at once still gets the session conflict", async (t) => {
+  const session = makeSession(t, {
+    status: "completed",
+    flips: [
+      [0, 0],
+      [1, 2000],
+      [2, 4000],
+      [3, 6000],
+    ],
+  })
+  stubScoreSave(t, async () => {
+    throw duplicateKeyError({ sessionId: 1 })
+  })
+
+  const res = await submit(session)
+
+  assert.equal(res.statusCode, 409)
+  assert.equal(res.body.error, "A score was already submitted for this game session")
+})
@@ -0,0 +1,31 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Guest from "../models/Guest.js"
+import Score from "../models/Score.js"
+import { findOrCreateGuest } from "../utils/guests.js"
+
+test("a returning guest's unclaimed scores expire with its new token", async (t) => {
+  const guest = { _id: new mongoose.Types.ObjectId() }
+  const guestUpdates = t.mock.method(Guest, "findOneAndUpdate", async () => guest)
+  const scoreUpdates = t.mock.method(Score, "updateMany", async () => ({ modifiedCount: 2 }))
+
+  assert.equal(await findOrCreateGuest("device-1"), guest)
+
+  const { expiresAt } = guestUpdates.mock.calls[0].arguments[1]
+  assert.deepEqual(scoreUpdates.mock.calls[0].arguments, [
+    { guestId: guest._id, expiresAt: { $exists: true } },
+    { $set: { expiresAt } },
+  ])
+})
+
+test("a new guest has no scores to extend", async (t) => {
+  t.mock.method(Guest, "findOneAndUpdate", async () => null)
+  const creates = t.mock.method(Guest, "create", async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }))
+  const scoreUpdates = t.mock.method(Score, "updateMany", async () => ({ modifiedCount: 0 }))
+
+  await findOrCreateGuest("device-2")
+
+  assert.equal(creates.mock.callCount(), 1)
+  assert.equal(scoreUpdates.mock.callCount(), 0)
+})
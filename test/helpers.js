@@ -0,0 +1,43 @@
+// Helpers for route tests. No database is involved: tests stub the model methods a handler calls.
+
+// The last handler of `METHOD path` on an Express router, with the middleware before it
+export const findRoute = (router, method, path) => {
+  const layer = router.stack.find((candidate) => candidate.route?.path === path && candidate.route.methods[method])
+  if (!layer) {
+    throw new Error(`No ${method.toUpperCase()} ${path} route`)
+  }
+  const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle)
+  return { handler: handlers[handlers.length - 1], middleware: handlers.slice(0, -1) }
+}
+
+// A response that records what the handler sent
+export const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code
+      return res
+    },
+    set(name, value) {
+      // Like Express: set("Name", value) or set({ Name: value, ... })
+      Object.assign(res.headers, typeof name === "object" ? name : { [name]: value })
+      return res
+    },
+    json(body) {
+      res.body = body
+      return res
+    },
+  }
+  return res
+}
+
+// Run a middleware; resolves to true when it called next(), false when it answered itself
+export const runMiddleware = async (middleware, req, res) => {
+  let calledNext = false
+  await middleware(req, res, () => {
+    calledNext = true
+  })
+  return calledNext
+}
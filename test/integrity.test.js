@@ -0,0 +1,62 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import { checkScoreIntegrity } from "../utils/integrity.js"
+
+const owner = { userId: new mongoose.Types.ObjectId() }
+
+// Stub the category's time distribution, the player's history and their recent submissions.
+// Time distributions are cached per category, so each test uses its own.
+const stubIntegrity = (t, { distribution = null, history = null, recent = 0 } = {}) => {
+  t.mock.method(Score, "aggregate", async (pipeline) => {
+    const isDistribution = pipeline.some((stage) => stage.$sort)
+    const result = isDistribution ? distribution : history
+    return result ? [result] : []
+  })
+  t.mock.method(Score, "countDocuments", async () => recent)
+}
+
+const game = (category, overrides = {}) => ({
+  owner,
+  category,
+  difficulty: "easy",
+  time: 40,
+  moves: 9,
+  pairs: 6,
+  ...overrides,
+})
+
+test("an ordinary score carries no reason codes", async (t) => {
+  stubIntegrity(t, {
+    distribution: { mean: 45, stdDev: 10, count: 500 },
+    history: { best: 42, count: 10 },
+    recent: 2,
+  })
+
+  assert.deepEqual(await checkScoreIntegrity(game("ordinary")), [])
+})
+
+test("times far below the usual ones are outliers once enough scores exist", async (t) => {
+  stubIntegrity(t, { distribution: { mean: 45, stdDev: 5, count: 500 } })
+  assert.deepEqual(await checkScoreIntegrity(game("outlier", { time: 25 })), ["time_outlier"])
+
+  stubIntegrity(t, { distribution: { mean: 45, stdDev: 5, count: 29 } })
+  assert.deepEqual(await checkScoreIntegrity(game("few-samples", { time: 25 })), [])
+})
+
+test("fewer moves than pairs, bursts and sudden jumps are each flagged", async (t) => {
+  stubIntegrity(t, { history: { best: 60, count: 5 }, recent: 20 })
+
+  assert.deepEqual(await checkScoreIntegrity(game("flags", { time: 29, moves: 5 })), [
+    "below_min_moves",
+    "submission_burst",
+    "history_jump",
+  ])
+})
+
+test("a jump needs enough earlier scores to be judged", async (t) => {
+  stubIntegrity(t, { history: { best: 60, count: 4 } })
+
+  assert.deepEqual(await checkScoreIntegrity(game("short-history", { time: 20 })), [])
+})
@@ -0,0 +1,32 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { bestPerPlayerPipeline } from "../utils/leaderboard.js"
+
+// The player key the pipeline groups a score under ($ifNull over field paths)
+const playerKey = (score) => {
+  const { $group } = bestPerPlayerPipeline({}, "score").find((stage) => stage.$group)
+  const path = $group._id.$ifNull.find((fieldPath) => score[fieldPath.slice(1)] != null)
+  return String(score[path.slice(1)])
+}
+
+test("scores of different deleted accounts rank as separate entries", () => {
+  const anonymized = [1, 2].map(() => ({ _id: new mongoose.Types.ObjectId(), playerName: "Deleted player" }))
+
+  assert.notEqual(playerKey(anonymized[0]), playerKey(anonymized[1]))
+})
+
+test("an account's scores rank as one player, whatever name they were submitted under", () => {
+  const userId = new mongoose.Types.ObjectId()
+  const scores = ["ace", "Ace!"].map((playerName) => ({ _id: new mongoose.Types.ObjectId(), userId, playerName }))
+
+  assert.equal(playerKey(scores[0]), playerKey(scores[1]))
+  assert.equal(playerKey(scores[0]), userId.toString())
+})
+
+test("a guest's scores rank as one player", () => {
+  const guestId = new mongoose.Types.ObjectId()
+  const scores = [1, 2].map(() => ({ _id: new mongoose.Types.ObjectId(), guestId, playerName: "guest" }))
+
+  assert.equal(playerKey(scores[0]), playerKey(scores[1]))
+})
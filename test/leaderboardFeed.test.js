@@ -0,0 +1,62 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import { subscribe, publishScore } from "../utils/leaderboardFeed.js"
+
+const newId = () => new mongoose.Types.ObjectId()
+
+const makeScore = (userId, score) => ({
+  _id: newId(),
+  userId,
+  playerName: "player",
+  category: "heroes",
+  difficulty: "easy",
+  time: 30,
+  moves: 8,
+  score,
+  attempts: 1,
+  date: new Date("2026-10-19"),
+})
+
+test("a burst of scores ranks the board once for global and friends subscribers", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] })
+  const [alice, bob, carol] = [newId(), newId(), newId()]
+  const scores = [makeScore(alice, 900), makeScore(bob, 800), makeScore(carol, 700)]
+  const rankings = t.mock.method(Score, "aggregate", async () => scores.map((score, i) => ({ ...score, rank: i + 1 })))
+
+  const events = { global: [], friends: [] }
+  const board = { category: "all", difficulty: "all", sortBy: "score", top: 2, userId: carol, lastRank: null }
+  const unsubscribers = [
+    subscribe({ ...board, userIds: null, send: (event, data) => events.global.push({ event, data }) }),
+    subscribe({ ...board, userIds: [bob, carol], send: (event, data) => events.friends.push({ event, data }) }),
+  ]
+
+  publishScore(scores[0])
+  publishScore(scores[2])
+  t.mock.timers.tick(1000)
+  await new Promise((resolve) => setImmediate(resolve))
+
+  assert.equal(rankings.mock.callCount(), 1)
+  assert.deepEqual(
+    events.global.map(({ event, data }) => [event, data.entry?.rank ?? data.rank]),
+    [
+      ["leaderboard", 1],
+      ["rank-change", 3],
+    ],
+  )
+  // Friends are ranked among themselves: carol is 2nd behind bob, and inside the top 2
+  assert.deepEqual(
+    events.friends.map(({ event, data }) => [event, data.entry?.rank ?? data.rank]),
+    [
+      ["leaderboard", 2],
+      ["rank-change", 2],
+    ],
+  )
+  assert.deepEqual(
+    events.friends[0].data.top.map((entry) => entry.score),
+    [800, 700],
+  )
+
+  unsubscribers.forEach((unsubscribe) => unsubscribe())
+})
@@ -0,0 +1,117 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { applyFlip, removePlayer, formatMatch, startMatch } from "../utils/matchEngine.js"
+
+const [alice, bob, carol] = [1, 2, 3].map(() => new mongoose.Types.ObjectId())
+
+// A running match on the board a b a b
+const makeMatch = (userIds = [alice, bob]) => {
+  const match = {
+    _id: new mongoose.Types.ObjectId(),
+    status: "lobby",
+    hostId: userIds[0],
+    layout: ["a", "b", "a", "b"],
+    matched: [],
+    pendingIndex: null,
+    flips: [],
+    winnerIds: [],
+    players: userIds.map((userId, i) => ({ userId, username: `p${i}`, pairs: 0, forfeited: false })),
+  }
+  startMatch(match)
+  return match
+}
+
+test("a miss passes the turn and a pair keeps it", () => {
+  const match = makeMatch()
+
+  assert.equal(applyFlip(match, alice, 0).result, "first")
+  assert.equal(applyFlip(match, alice, 1).result, "miss")
+  assert.equal(match.turnIndex, 1)
+  assert.equal(match.pendingIndex, null)
+
+  applyFlip(match, bob, 0)
+  assert.deepEqual(applyFlip(match, bob, 2), { index: 2, card: "a", firstIndex: 0, result: "match" })
+  assert.equal(match.turnIndex, 1)
+  assert.equal(match.players[1].pairs, 1)
+  assert.deepEqual(match.matched, [0, 2])
+})
+
+test("flips out of turn, on matched cards or on the face-up card are refused", () => {
+  const match = makeMatch()
+  match.matched = [0, 2]
+
+  assert.deepEqual(applyFlip(match, bob, 1), { status: 409, error: "It's not your turn" })
+  assert.equal(applyFlip(match, alice, 0).error, "Card is already matched")
+  assert.equal(applyFlip(match, alice, 4).status, 400)
+  applyFlip(match, alice, 1)
+  assert.equal(applyFlip(match, alice, 1).error, "Card is already face up")
+})
+
+test("the last pair ends the match and the player with most pairs wins", () => {
+  const match = makeMatch()
+  applyFlip(match, alice, 0)
+  applyFlip(match, alice, 2)
+  applyFlip(match, alice, 1)
+  applyFlip(match, alice, 3)
+
+  assert.equal(match.status, "finished")
+  assert.deepEqual(match.winnerIds, [alice])
+  assert.deepEqual(applyFlip(match, alice, 0), { status: 409, error: "Match is finished" })
+})
+
+test("players with the same number of pairs share the win", () => {
+  const match = makeMatch()
+  applyFlip(match, alice, 0)
+  applyFlip(match, alice, 2)
+  applyFlip(match, alice, 1)
+  match.players[0].pairs = 0
+  match.players[1].pairs = 1
+  applyFlip(match, alice, 3)
+
+  assert.deepEqual(match.winnerIds, [alice, bob])
+})
+
+test("a forfeit skips the player's turns and the last player left wins", () => {
+  const match = makeMatch([alice, bob, carol])
+
+  removePlayer(match, alice)
+  assert.equal(match.turnIndex, 1)
+  assert.equal(match.status, "playing")
+
+  applyFlip(match, bob, 0)
+  applyFlip(match, bob, 1) // Miss: carol's turn, then back to bob, skipping alice
+  assert.equal(match.turnIndex, 2)
+  applyFlip(match, carol, 0)
+  applyFlip(match, carol, 1)
+  assert.equal(match.turnIndex, 1)
+
+  removePlayer(match, carol)
+  assert.equal(match.status, "finished")
+  assert.deepEqual(match.winnerIds, [bob])
+})
+
+test("leaving the lobby hands it to the next player", () => {
+  const match = makeMatch()
+  match.status = "lobby"
+
+  removePlayer(match, alice)
+
+  assert.equal(match.hostId, bob)
+  assert.deepEqual(
+    match.players.map((player) => player.userId),
+    [bob],
+  )
+})
+
+test("only matched cards and the face-up card are shown", () => {
+  const match = makeMatch()
+  match.matched = [0, 2]
+  applyFlip(match, alice, 1)
+
+  const formatted = formatMatch(match)
+
+  assert.deepEqual(formatted.board, ["a", "b", "a", null])
+  assert.equal(formatted.layout, undefined)
+  assert.equal(formatted.currentTurn, alice)
+})
@@ -0,0 +1,27 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { decodeCursor } from "../utils/pagination.js"
+
+const sort = { time: 1, moves: 1, _id: 1 }
+const makeCursor = (values, direction = "next") =>
+  Buffer.from(JSON.stringify({ d: direction, k: values })).toString("base64url")
+
+test("cursors with sort keys of the right type decode", () => {
+  const position = decodeCursor(makeCursor([42, 8, "652f1c2ab3d4e5f601234567"], "prev"), sort)
+
+  assert.equal(position.direction, "prev")
+  assert.deepEqual(position.values.slice(0, 2), [42, 8])
+  assert.equal(position.values[2].toString(), "652f1c2ab3d4e5f601234567")
+})
+
+test("cursors with sort keys of the wrong type are invalid", () => {
+  for (const values of [
+    [{ $gt: 0 }, 8, "652f1c2ab3d4e5f601234567"],
+    ["42", 8, "652f1c2ab3d4e5f601234567"],
+    [42, null, "652f1c2ab3d4e5f601234567"],
+    [42, 8, "twelve chars"],
+    [42, 8, { $ne: null }],
+  ]) {
+    assert.equal(decodeCursor(makeCursor(values), sort), null, JSON.stringify(values))
+  }
+})
@@ -0,0 +1,132 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import authRoutes from "../routes/authRoutes.js"
+import User from "../models/User.js"
+import { rateLimit } from "../middleware/rateLimit.js"
+import { createMemoryStore, setRateLimitStore } from "../utils/rateLimitStore.js"
+import { findRoute, mockResponse, runMiddleware } from "./helpers.js"
+
+// A fresh store per test, and env overrides that are undone afterwards
+const useLimits = (t, env = {}) => {
+  setRateLimitStore(createMemoryStore())
+  for (const [name, value] of Object.entries(env)) {
+    const previous = process.env[name]
+    process.env[name] = value
+    t.after(() => {
+      if (previous === undefined) {
+        delete process.env[name]
+      } else {
+        process.env[name] = previous
+      }
+    })
+  }
+}
+
+const login = (ip, email) => ({ ip, body: { email } })
+
+test("logins are limited per account across IPs", async (t) => {
+  useLimits(t, { RATE_LIMIT_LOGIN_ACCOUNT: "2" })
+  const limit = rateLimit("login")
+
+  assert.equal(await runMiddleware(limit, login("10.0.0.1", "ace@example.com"), mockResponse()), true)
+  assert.equal(await runMiddleware(limit, login("10.0.0.2", " ACE@example.com "), mockResponse()), true)
+
+  const res = mockResponse()
+  assert.equal(await runMiddleware(limit, login("10.0.0.3", "ace@example.com"), res), false)
+  assert.equal(res.statusCode, 429)
+  assert.equal(res.headers["Retry-After"], "900")
+  assert.equal(res.body.retryAfter, 900)
+
+  // Other accounts still get through
+  assert.equal(await runMiddleware(limit, login("10.0.0.3", "other@example.com"), mockResponse()), true)
+})
+
+test("requests are limited per IP and report the tightest limit", async (t) => {
+  useLimits(t, { RATE_LIMIT_LOGIN_IP: "3" })
+  const limit = rateLimit("login")
+
+  const res = mockResponse()
+  await runMiddleware(limit, login("10.0.0.1", "a@example.com"), res)
+  assert.equal(res.headers["RateLimit-Policy"], "3;w=900, 10;w=900")
+  assert.equal(res.headers["RateLimit-Limit"], "3")
+  assert.equal(res.headers["RateLimit-Remaining"], "2")
+
+  await runMiddleware(limit, login("10.0.0.1", "b@example.com"), mockResponse())
+  await runMiddleware(limit, login("10.0.0.1", "c@example.com"), mockResponse())
+  const blocked = mockResponse()
+  assert.equal(await runMiddleware(limit, login("10.0.0.1", "d@example.com"), blocked), false)
+  assert.equal(blocked.statusCode, 429)
+})
+
+test("a broken store lets requests through", async (t) => {
+  useLimits(t)
+  t.mock.method(console, "error", () => {})
+  setRateLimitStore({
+    increment: async () => {
+      throw new Error("connection refused")
+    },
+  })
+
+  assert.equal(await runMiddleware(rateLimit("scores"), { ip: "10.0.0.1" }, mockResponse()), true)
+})
+
+test("unknown groups fail when the routes are mounted", () => {
+  assert.throws(() => rateLimit("uploads"), /Unknown rate limit group: uploads/)
+})
+
+// A user with the given failed attempts, saved without a database
+const makeUser = (t, failedLoginAttempts = 0) => {
+  const user = new User({ username: "ace", email: "ace@example.com", password: "secret1", failedLoginAttempts })
+  t.mock.method(user, "save", async () => user)
+  return user
+}
+
+test("failed logins lock the account for a period that doubles up to the maximum", async (t) => {
+  const user = makeUser(t, 3)
+
+  await user.registerFailedLogin()
+  assert.equal(user.isLocked(), false)
+
+  const lockFor = async () => {
+    await user.registerFailedLogin()
+    return Math.round((user.lockUntil.getTime() - Date.now()) / 1000)
+  }
+  assert.deepEqual([await lockFor(), await lockFor(), await lockFor()], [60, 120, 240])
+  assert.equal(user.isLocked(), true)
+
+  user.failedLoginAttempts = 20
+  assert.equal(await lockFor(), 3600)
+
+  user.resetLoginAttempts()
+  assert.equal(user.isLocked(), false)
+})
+
+test("a locked account is refused before its password is checked", async (t) => {
+  const user = makeUser(t, 5)
+  user.lockUntil = new Date(Date.now() + 30 * 1000)
+  const passwordChecks = t.mock.method(user, "matchPassword", async () => true)
+  t.mock.method(User, "findOne", async () => user)
+  t.mock.method(console, "log", () => {})
+  const { handler } = findRoute(authRoutes, "post", "/login")
+  const res = mockResponse()
+
+  await handler({ body: { email: "ace@example.com", password: "secret1" } }, res)
+
+  assert.equal(res.statusCode, 429)
+  assert.equal(res.headers["Retry-After"], "30")
+  assert.equal(passwordChecks.mock.callCount(), 0)
+})
+
+test("a wrong password counts as a failed login", async (t) => {
+  const user = makeUser(t)
+  t.mock.method(user, "matchPassword", async () => false)
+  t.mock.method(User, "findOne", async () => user)
+  t.mock.method(console, "log", () => {})
+  const { handler } = findRoute(authRoutes, "post", "/login")
+  const res = mockResponse()
+
+  await handler({ body: { email: "ace@example.com", password: "wrong" } }, res)
+
+  assert.equal(res.statusCode, 401)
+  assert.equal(user.failedLoginAttempts, 1)
+})
@@ -0,0 +1,124 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import authRoutes from "../routes/authRoutes.js"
+import User from "../models/User.js"
+import RefreshToken from "../models/RefreshToken.js"
+import { protect } from "../middleware/authMiddleware.js"
+import { generateAccessToken, hashToken } from "../utils/tokens.js"
+import { findRoute, mockResponse, runMiddleware } from "./helpers.js"
+
+process.env.JWT_SECRET ??= "test-secret"
+
+const user = { _id: new mongoose.Types.ObjectId(), username: "ace", email: "ace@example.com" }
+
+// A stored refresh token of the user's "family-1" login
+const makeStoredToken = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: user._id,
+  family: "family-1",
+  revokedAt: null,
+  replacedBy: null,
+  save: async () => {},
+  ...overrides,
+})
+
+// Stub the token store; `created` collects new tokens, `revoked` the updateMany filters
+const stubTokenStore = (t, { claimed = null, existing = null } = {}) => {
+  const created = []
+  const revoked = []
+  t.mock.method(RefreshToken, "findOneAndUpdate", async () => claimed)
+  t.mock.method(RefreshToken, "findOne", async () => existing)
+  t.mock.method(RefreshToken, "create", async (doc) => {
+    const stored = { _id: new mongoose.Types.ObjectId(), ...doc }
+    created.push(stored)
+    return stored
+  })
+  t.mock.method(RefreshToken, "updateMany", async (filter) => revoked.push(filter))
+  t.mock.method(User, "findById", () => ({ select: async () => user }))
+  return { created, revoked }
+}
+
+const postToken = async (path, refreshToken) => {
+  const { handler } = findRoute(authRoutes, "post", path)
+  const res = mockResponse()
+  await handler({ body: { refreshToken }, ip: "127.0.0.1", get: () => "node-test" }, res)
+  return res
+}
+
+test("a refresh rotates the token within the same family", async (t) => {
+  const current = makeStoredToken()
+  const { created } = stubTokenStore(t, { claimed: current })
+
+  const res = await postToken("/refresh", "old-token")
+
+  assert.equal(res.statusCode, 200)
+  assert.equal(created.length, 1)
+  assert.equal(created[0].family, "family-1")
+  assert.equal(created[0].tokenHash, hashToken(res.body.data.refreshToken))
+  assert.notEqual(res.body.data.refreshToken, "old-token")
+  assert.equal(current.replacedBy, created[0]._id)
+})
+
+test("presenting a rotated-out token again revokes its whole family", async (t) => {
+  t.mock.method(console, "warn", () => {})
+  const existing = makeStoredToken({ revokedAt: new Date(), replacedBy: new mongoose.Types.ObjectId() })
+  const { created, revoked } = stubTokenStore(t, { existing })
+
+  const res = await postToken("/refresh", "stolen-token")
+
+  assert.equal(res.statusCode, 401)
+  assert.equal(res.body.error, "Refresh token reuse detected, please log in again")
+  assert.deepEqual(revoked, [{ family: "family-1", revokedAt: null }])
+  assert.deepEqual(created, [])
+})
+
+test("unknown and expired refresh tokens are refused without revoking anything", async (t) => {
+  const { revoked } = stubTokenStore(t)
+
+  const res = await postToken("/refresh", "unknown-token")
+
+  assert.equal(res.statusCode, 401)
+  assert.equal(res.body.error, "Invalid or expired refresh token")
+  assert.deepEqual(revoked, [])
+})
+
+test("banned players can't refresh, and the presented token stays revoked", async (t) => {
+  const current = makeStoredToken()
+  const { created } = stubTokenStore(t, { claimed: current })
+  t.mock.method(User, "findById", () => ({ select: async () => ({ ...user, banned: true }) }))
+
+  const res = await postToken("/refresh", "token")
+
+  assert.equal(res.statusCode, 403)
+  assert.equal(res.body.error, "This account has been banned")
+  assert.deepEqual(created, [])
+  assert.equal(current.replacedBy, null)
+})
+
+test("logout revokes the token's family and succeeds for unknown tokens too", async (t) => {
+  const { revoked } = stubTokenStore(t, { existing: makeStoredToken() })
+
+  assert.equal((await postToken("/logout", "token")).statusCode, 200)
+  assert.deepEqual(revoked, [{ family: "family-1", revokedAt: null }])
+
+  t.mock.method(RefreshToken, "findOne", async () => null)
+  assert.equal((await postToken("/logout", "unknown-token")).statusCode, 200)
+  assert.equal(revoked.length, 1)
+})
+
+test("access tokens stop working once their refresh token is revoked", async (t) => {
+  const session = makeStoredToken()
+  t.mock.method(RefreshToken, "findById", () => ({ select: () => ({ lean: async () => session }) }))
+  t.mock.method(User, "findById", () => ({ select: async () => user }))
+  const req = { headers: { authorization: `Bearer ${generateAccessToken(user._id, session._id)}` } }
+
+  assert.equal(await runMiddleware(protect, req, mockResponse()), true)
+  assert.equal(req.auth.family, "family-1")
+
+  session.revokedAt = new Date()
+  const res = mockResponse()
+  assert.equal(await runMiddleware(protect, { headers: req.headers }, res), false)
+  assert.equal(res.statusCode, 401)
+  assert.equal(res.body.error, "Not authorized, token revoked")
+})
@@ -0,0 +1,82 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { replayError, replayFromSession, playReplay, verifyReplay, dealReplayBoard } from "../utils/replay.js"
+
+const layout = ["a", "b", "a", "b"]
+
+// Flips of the given card indexes, one second apart
+const flipsOf = (indexes) => indexes.map((index, i) => ({ index, t: i * 1000 }))
+
+test("a replay plays back to the time and moves of the finished board", () => {
+  assert.deepEqual(playReplay({ layout, flips: flipsOf([0, 2, 1, 3]) }), { time: 3, moves: 2 })
+  assert.deepEqual(playReplay({ layout, flips: flipsOf([0, 1, 0, 2, 1, 3]) }), { time: 5, moves: 3 })
+})
+
+test("replays that break the game rules or don't finish the board are refused", () => {
+  for (const [indexes, error] of [
+    [[0, 4], "Flip 2 is off the board"],
+    [[0, 2, 0], "Flip 3 turns a card that is already matched"],
+    [[0, 0], "Flip 2 turns a card that is already face up"],
+    [[0, 2, 1], "The replay doesn't finish the board"],
+  ]) {
+    assert.deepEqual(playReplay({ layout, flips: flipsOf(indexes) }), { error })
+  }
+
+  const backwards = [
+    { index: 0, t: 1000 },
+    { index: 2, t: 500 },
+  ]
+  assert.equal(playReplay({ layout, flips: backwards }).error, "Flip 2 happens before the previous one")
+  const scripted = [0, 2, 1, 3].map((index, i) => ({ index, t: i * 10 }))
+  assert.equal(playReplay({ layout, flips: scripted }).error, "The replay flips faster than one card every 250ms")
+})
+
+test("a replay confirms claims within the time tolerance and exact moves", () => {
+  const replay = { layout, flips: flipsOf([0, 2, 1, 3]) }
+
+  assert.deepEqual(verifyReplay(replay, { time: 8, moves: 2 }), { valid: true, error: null })
+  assert.deepEqual(verifyReplay(replay, { time: 3, moves: 3 }), {
+    valid: false,
+    error: "The replay takes 2 moves, not 3",
+  })
+  assert.deepEqual(verifyReplay(replay, { time: 9, moves: 2 }), { valid: false, error: "The replay takes 3s, not 9s" })
+})
+
+test("uploaded replays need a 32-bit seed and well-formed flips", () => {
+  assert.equal(replayError({ seed: 7, flips: flipsOf([0, 1]) }), null)
+  assert.equal(replayError({ seed: -1, flips: flipsOf([0]) }), "replay.seed must be an unsigned 32-bit integer")
+  assert.equal(replayError({ seed: 7, flips: [] }), "replay.flips must be a non-empty list")
+  assert.equal(
+    replayError({ seed: 7, flips: [{ index: 0, t: 0 }, { index: "1" }] }),
+    "replay.flips[1] must be { index, t } with a card index and a time in milliseconds",
+  )
+})
+
+test("a session's replay counts time from its first flip", () => {
+  const at = (iso) => new Date(iso)
+  const session = {
+    seed: 7,
+    layout,
+    cards: [],
+    flips: [
+      { index: 0, at: at("2026-10-19T12:00:10.000Z") },
+      { index: 2, at: at("2026-10-19T12:00:12.500Z") },
+    ],
+  }
+
+  assert.deepEqual(replayFromSession(session).flips, [
+    { index: 0, t: 0 },
+    { index: 2, t: 2500 },
+  ])
+})
+
+test("an uploaded replay is dealt the same board as a game with its seed", () => {
+  const deck = ["a", "b", "c"].map((cardId) => ({ cardId, name: cardId }))
+  const options = { category: { cards: deck }, difficulty: { pairs: 2 } }
+
+  const first = dealReplayBoard({ seed: 99, flips: flipsOf([0]) }, options)
+  const second = dealReplayBoard({ seed: 99, flips: flipsOf([1]) }, options)
+
+  assert.deepEqual(first.layout, second.layout)
+  assert.equal(first.layout.length, 4)
+})
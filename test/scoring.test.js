@@ -0,0 +1,84 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import { calculateScore, getScoringProfile } from "../utils/scoring.js"
+import { recomputeScores, describeRecompute } from "../jobs/recomputeScores.js"
+import { invalidateCatalog } from "../utils/catalog.js"
+
+const game = { category: "heroes", difficulty: "easy", pairs: 6 }
+
+test("v2 splits the points between memory and speed against the difficulty's par time", () => {
+  assert.equal(calculateScore({ ...game, time: 30, moves: 6 }), 750)
+  assert.equal(calculateScore({ ...game, time: 60, moves: 12 }), 375)
+  // Speed is capped at twice as fast as par
+  assert.equal(calculateScore({ ...game, time: 15, moves: 6 }), 1000)
+  assert.equal(calculateScore({ ...game, time: 1, moves: 6 }), 1000)
+})
+
+test("v2 scales with the difficulty and derives a profile for difficulties without one", () => {
+  assert.equal(calculateScore({ ...game, difficulty: "hard", pairs: 12, time: 90, moves: 12 }), 1875)
+  assert.deepEqual(getScoringProfile("heroes", "giant", 10), { pairs: 10, parTime: 60, maxScore: 2000 })
+  assert.equal(calculateScore({ ...game, difficulty: "giant", pairs: 10, time: 60, moves: 10 }), 1500)
+})
+
+test("older formula versions still score and unknown ones throw", () => {
+  assert.equal(calculateScore({ ...game, time: 40, moves: 10 }, 1), 780)
+  assert.equal(calculateScore({ ...game, time: 400, moves: 10 }, 1), 0)
+  assert.throws(() => calculateScore({ ...game, time: 40, moves: 10 }, 99), /Unknown scoring version: 99/)
+})
+
+// Stub the catalog and a cursor over `docs`; `writes` collects each bulkWrite batch
+const stubRecompute = (t, docs) => {
+  const writes = []
+  invalidateCatalog()
+  t.after(invalidateCatalog)
+  t.mock.method(Category, "find", () => ({ sort: () => ({ lean: async () => [] }) }))
+  t.mock.method(Difficulty, "find", () => ({
+    sort: () => ({ lean: async () => [{ slug: "easy", pairs: 6, active: false }] }),
+  }))
+  t.mock.method(Score, "find", (filter) => {
+    assert.deepEqual(filter, { scoringVersion: { $ne: 2 } })
+    return { select: () => ({ lean: () => ({ cursor: () => docs }) }) }
+  })
+  t.mock.method(Score, "bulkWrite", async (operations) => {
+    writes.push(operations)
+    return { modifiedCount: operations.length }
+  })
+  return writes
+}
+
+test("the recompute rescores in batches and skips difficulties no longer in the catalog", async (t) => {
+  const docs = [
+    ...[30, 60, 15].map((time) => ({ _id: new mongoose.Types.ObjectId(), difficulty: "easy", time, moves: 6 })),
+    { _id: new mongoose.Types.ObjectId(), difficulty: "retired", time: 30, moves: 6 },
+  ]
+  const writes = stubRecompute(t, docs)
+
+  const result = await recomputeScores({ batchSize: 2 })
+
+  assert.deepEqual(result, { version: 2, scanned: 4, updated: 3, skipped: 1 })
+  assert.deepEqual(
+    writes.map((batch) => batch.map(({ updateOne }) => updateOne.update.$set)),
+    [
+      [
+        { score: 750, scoringVersion: 2 },
+        { score: 625, scoringVersion: 2 },
+      ],
+      [{ score: 1000, scoringVersion: 2 }],
+    ],
+  )
+  assert.equal(
+    describeRecompute(result),
+    "✅ Rescored 3 of 4 scores with formula v2 (1 skipped: difficulty not in the catalog)",
+  )
+})
+
+test("a recompute with nothing to do writes nothing", async (t) => {
+  const writes = stubRecompute(t, [])
+
+  assert.deepEqual(await recomputeScores(), { version: 2, scanned: 0, updated: 0, skipped: 0 })
+  assert.deepEqual(writes, [])
+})
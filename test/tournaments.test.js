@@ -0,0 +1,127 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Tournament from "../models/Tournament.js"
+import Score from "../models/Score.js"
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import { countKnockoutRounds, syncTournament, findCurrentPairing, formatTournament } from "../utils/tournaments.js"
+import { invalidateCatalog } from "../utils/catalog.js"
+
+const HOUR_MS = 60 * 60 * 1000
+const startsAt = new Date("2026-10-19T12:00:00.000Z")
+const after = (ms) => new Date(startsAt.getTime() + ms)
+
+// A knockout tournament of `count` registered players over two hours
+const makeKnockout = (count) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: "Cup",
+  format: "knockout",
+  category: "heroes",
+  difficulty: "easy",
+  startsAt,
+  endsAt: after(2 * HOUR_MS),
+  updatedAt: startsAt,
+  finishedAt: null,
+  players: Array.from({ length: count }, (_, i) => ({ userId: new mongoose.Types.ObjectId(), username: `p${i}` })),
+  rounds: [],
+  results: [],
+})
+
+// Stub the catalog, the scores of each round (by round number) and the write of `tournament`
+const stubTournament = (t, tournament, scoresByRound = {}) => {
+  invalidateCatalog()
+  t.after(invalidateCatalog)
+  const deck = Array.from({ length: 6 }, (_, i) => ({ cardId: `heroes-${i}`, name: `Hero ${i}` }))
+  t.mock.method(Category, "find", () => ({ sort: () => ({ lean: async () => [{ slug: "heroes", cards: deck }] }) }))
+  t.mock.method(Difficulty, "find", () => ({ sort: () => ({ lean: async () => [{ slug: "easy", pairs: 6 }] }) }))
+  t.mock.method(Score, "find", (filter) => ({
+    select: () => ({ lean: async () => scoresByRound[filter.tournamentRound] || [] }),
+  }))
+  t.mock.method(Tournament, "findOneAndUpdate", (filter, update) => ({
+    lean: async () => ({ ...tournament, ...update }),
+  }))
+}
+
+test("a knockout has enough rounds for its field", () => {
+  assert.deepEqual([2, 3, 4, 5, 8, 9].map(countKnockoutRounds), [1, 2, 2, 3, 3, 4])
+  assert.equal(countKnockoutRounds(1), 1)
+})
+
+test("a field short of a power of two gives the top seeds a bye", async (t) => {
+  const tournament = makeKnockout(3)
+  stubTournament(t, tournament)
+
+  const synced = await syncTournament(tournament, after(60 * 1000))
+
+  assert.equal(synced.rounds.length, 1)
+  const [round] = synced.rounds
+  assert.deepEqual([round.startsAt, round.endsAt], [startsAt, after(HOUR_MS)])
+  assert.deepEqual(
+    round.pairings.map((pairing) => pairing.players.length),
+    [1, 2],
+  )
+  // Only real pairings get a board
+  assert.equal(round.pairings[0].layout, undefined)
+  assert.equal(round.pairings[1].layout.length, 12)
+  assert.equal(new Set(round.pairings.flatMap((pairing) => pairing.players.map(String))).size, 3)
+})
+
+test("byes and better scores advance, and the final ranks the whole field", async (t) => {
+  const tournament = makeKnockout(3)
+  stubTournament(t, tournament)
+  const drawn = await syncTournament(tournament, after(60 * 1000))
+  const [bye, match] = drawn.rounds[0].pairings
+  const [loser, winner] = match.players
+
+  stubTournament(t, drawn, {
+    1: [
+      { _id: new mongoose.Types.ObjectId(), userId: loser, score: 700, time: 40, moves: 10 },
+      { _id: new mongoose.Types.ObjectId(), userId: winner, score: 800, time: 35, moves: 9 },
+    ],
+  })
+  const finished = await syncTournament(drawn, after(2 * HOUR_MS))
+
+  assert.equal(finished.rounds.length, 2)
+  assert.equal(finished.rounds[0].pairings[0].winnerId, bye.players[0])
+  assert.equal(finished.rounds[0].pairings[1].winnerId, winner)
+  // Nobody played the final: the higher seed (the bye) takes it
+  assert.deepEqual(finished.rounds[1].pairings[0].players, [bye.players[0], winner])
+  assert.deepEqual(
+    finished.results.map((entry) => [entry.rank, entry.userId, entry.eliminatedInRound]),
+    [
+      [1, bye.players[0], null],
+      [2, winner, 2],
+      [3, loser, 1],
+    ],
+  )
+  assert.equal(finished.finishedAt.getTime(), after(2 * HOUR_MS).getTime())
+})
+
+test("players with a bye have no game to play and the bracket never shows boards", async (t) => {
+  const knockout = makeKnockout(3)
+  stubTournament(t, knockout)
+  const tournament = await syncTournament(knockout, after(60 * 1000))
+  const [bye, match] = tournament.rounds[0].pairings
+
+  assert.equal(findCurrentPairing(tournament, bye.players[0], after(60 * 1000)), null)
+  assert.equal(findCurrentPairing(tournament, match.players[0], after(60 * 1000)).pairing, match)
+
+  const formatted = formatTournament(tournament, { detail: true, now: after(60 * 1000) })
+  assert.equal(formatted.status, "running")
+  assert.deepEqual(
+    formatted.rounds[0].pairings.map((pairing) => pairing.bye),
+    [true, false],
+  )
+  assert.equal(JSON.stringify(formatted).includes("layout"), false)
+})
+
+test("a knockout without enough players finishes without results", async (t) => {
+  const tournament = makeKnockout(1)
+  stubTournament(t, tournament)
+
+  const synced = await syncTournament(tournament, after(60 * 1000))
+
+  assert.deepEqual(synced.results, [])
+  assert.notEqual(synced.finishedAt, null)
+})
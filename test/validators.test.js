@@ -0,0 +1,40 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import dailyRoutes from "../routes/dailyRoutes.js"
+import { validate } from "../middleware/validate.js"
+import { dateRangeQuery } from "../utils/validators.js"
+import { findRoute, mockResponse, runMiddleware } from "./helpers.js"
+
+test("date filters reject days that don't exist with a 400", async () => {
+  const validateRange = validate({ query: dateRangeQuery })
+
+  for (const [field, value] of [
+    ["from", "2026-13-01"],
+    ["to", "2026-02-31"],
+    ["from", "2025-02-29"],
+  ]) {
+    const res = mockResponse()
+    const next = await runMiddleware(validateRange, { query: { [field]: value } }, res)
+    assert.equal(next, false)
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body.errors, [{ location: "query", field, message: `Invalid date ${value}` }])
+  }
+})
+
+test("date filters accept real days", async () => {
+  const validateRange = validate({ query: dateRangeQuery })
+  const req = { query: { from: "2024-02-29", to: "2026-12-31" } }
+
+  assert.equal(await runMiddleware(validateRange, req, mockResponse()), true)
+  assert.deepEqual(req.query, { from: "2024-02-29", to: "2026-12-31" })
+})
+
+test("the daily leaderboard rejects an impossible date", async () => {
+  const {
+    middleware: [validateLeaderboard],
+  } = findRoute(dailyRoutes, "get", "/leaderboard")
+  const res = mockResponse()
+
+  assert.equal(await runMiddleware(validateLeaderboard, { query: { date: "2026-02-30" } }, res), false)
+  assert.equal(res.statusCode, 400)
+})
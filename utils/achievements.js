@@ -0,0 +1,93 @@
+import Score from "../models/Score.js"
+import UserAchievement from "../models/UserAchievement.js"
+import { getCategories } from "./catalog.js"
+import { playDaysPipeline, computeStreaks } from "./streaks.js"
+
+// Achievement rules. `check` receives the context of a just-saved score:
+// { userId, score, pairs } and resolves to true when the achievement should unlock.
+// Add a rule here to add an achievement; ids are stored on unlocks, so never rename them.
+export const achievements = [
+  {
+    id: "first-win",
+    name: "First Win",
+    description: "Complete your first game",
+    check: async () => true,
+  },
+  {
+    id: "hard-under-30",
+    name: "Lightning Memory",
+    description: "Finish a hard game in under 30 seconds",
+    check: async ({ score }) => score.difficulty === "hard" && score.time < 30,
+  },
+  {
+    id: "perfect-moves",
+    name: "Perfect Recall",
+    description: "Finish a game without a single wrong pair",
+    check: async ({ score, pairs }) => Boolean(pairs) && score.moves === pairs,
+  },
+  {
+    id: "all-categories",
+    name: "Collector",
+    description: "Finish a game in every category",
+    check: async ({ userId }) => {
+      const [played, categories] = await Promise.all([Score.distinct("category", { userId }), getCategories()])
+      return categories.length > 0 && categories.every((category) => played.includes(category.slug))
+    },
+  },
+  {
+    id: "streak-7",
+    name: "Dedicated Fan",
+    description: "Play on 7 days in a row",
+    check: async ({ userId }) => {
+      const days = await Score.aggregate(playDaysPipeline({ userId }))
+      return computeStreaks(days.map((day) => day._id)).current >= 7
+    },
+  },
+  {
+    id: "daily-challenger",
+    name: "Daily Challenger",
+    description: "Complete a daily challenge",
+    check: async ({ score }) => Boolean(score.dailyChallenge),
+  },
+]
+
+export const formatAchievement = (achievement) => ({
+  id: achievement.id,
+  name: achievement.name,
+  description: achievement.description,
+})
+
+// Evaluate every achievement the user hasn't unlocked yet against a newly saved score.
+// Returns the achievements unlocked by this score.
+export const evaluateAchievements = async ({ userId, score, pairs }) => {
+  const unlockedIds = await UserAchievement.distinct("achievementId", { userId })
+  const context = { userId, score, pairs }
+
+  const newlyUnlocked = []
+  for (const achievement of achievements) {
+    if (!unlockedIds.includes(achievement.id) && (await achievement.check(context))) {
+      newlyUnlocked.push(achievement)
+    }
+  }
+
+  if (newlyUnlocked.length === 0) {
+    return []
+  }
+
+  const unlockedAt = new Date()
+  try {
+    await UserAchievement.insertMany(
+      newlyUnlocked.map((achievement) => ({ userId, achievementId: achievement.id, scoreId: score._id, unlockedAt })),
+      { ordered: false },
+    )
+  } catch (error) {
+    // A concurrent submission unlocked some of them first; report only the ones inserted here
+    if (error.code !== 11000) throw error
+    const insertedIds = (error.insertedDocs || []).map((doc) => doc.achievementId)
+    return newlyUnlocked
+      .filter((achievement) => insertedIds.includes(achievement.id))
+      .map((achievement) => ({ ...formatAchievement(achievement), unlockedAt }))
+  }
+
+  return newlyUnlocked.map((achievement) => ({ ...formatAchievement(achievement), unlockedAt }))
+}
@@ -0,0 +1,13 @@
+import AuditLog from "../models/AuditLog.js"
+
+// Record an admin action performed by the authenticated user
+export const logAdminAction = (req, action, { targetType, targetId = null, details = {} }) => {
+  return AuditLog.create({
+    actorId: req.user._id,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip,
+  })
+}
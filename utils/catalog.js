@@ -0,0 +1,113 @@
+import Category from "../models/Category.js"
+import Difficulty from "../models/Difficulty.js"
+import { defaultCategories, defaultDifficulties } from "../config/game.js"
+
+// Categories and difficulties change rarely, so they are cached in memory.
+// Admin changes call invalidateCatalog(); the TTL covers other processes.
+const CACHE_TTL_MS = 60 * 1000
+
+let cache = null
+
+// Insert the built-in categories and difficulties into an empty database
+export const seedCatalog = async () => {
+  const [categoryCount, difficultyCount] = await Promise.all([
+    Category.estimatedDocumentCount(),
+    Difficulty.estimatedDocumentCount(),
+  ])
+  if (categoryCount === 0) {
+    await Category.insertMany(defaultCategories)
+    console.log(`🌱 Seeded ${defaultCategories.length} categories`)
+  }
+  if (difficultyCount === 0) {
+    await Difficulty.insertMany(defaultDifficulties)
+    console.log(`🌱 Seeded ${defaultDifficulties.length} difficulties`)
+  }
+  invalidateCatalog()
+}
+
+export const invalidateCatalog = () => {
+  cache = null
+}
+
+const loadCatalog = async () => {
+  if (!cache || cache.loadedAt < Date.now() - CACHE_TTL_MS) {
+    const [categories, difficulties] = await Promise.all([
+      Category.find().sort({ name: 1 }).lean(),
+      Difficulty.find().sort({ pairs: 1 }).lean(),
+    ])
+    cache = { categories, difficulties, loadedAt: Date.now() }
+  }
+  return cache
+}
+
+export const getCategories = async ({ includeInactive = false } = {}) => {
+  const { categories } = await loadCatalog()
+  return includeInactive ? categories : categories.filter((category) => category.active)
+}
+
+export const getDifficulties = async ({ includeInactive = false } = {}) => {
+  const { difficulties } = await loadCatalog()
+  return includeInactive ? difficulties : difficulties.filter((difficulty) => difficulty.active)
+}
+
+// Find an active category/difficulty by its public id (slug)
+export const findCategory = async (id) => (await getCategories()).find((category) => category.slug === id) || null
+
+export const findDifficulty = async (id) =>
+  (await getDifficulties()).find((difficulty) => difficulty.slug === id) || null
+
+// Pair count per difficulty id, including inactive ones (used to rescore old games)
+export const getPairsByDifficulty = async () => {
+  const difficulties = await getDifficulties({ includeInactive: true })
+  return Object.fromEntries(difficulties.map((difficulty) => [difficulty.slug, difficulty.pairs]))
+}
+
+// Error message for an unknown category/difficulty id, listing the valid (active) ones; null when
+// the id exists. `includeInactive` also accepts retired ids, e.g. when filtering old scores.
+export const categoryError = async (id, { includeInactive = false } = {}) => {
+  const categories = await getCategories({ includeInactive })
+  if (categories.some((category) => category.slug === id)) return null
+  const valid = (await getCategories()).map((c) => c.slug).join(", ")
+  return `Invalid category. Valid categories: ${valid}`
+}
+
+export const difficultyError = async (id, { includeInactive = false } = {}) => {
+  const difficulties = await getDifficulties({ includeInactive })
+  if (difficulties.some((difficulty) => difficulty.slug === id)) return null
+  const valid = (await getDifficulties()).map((d) => d.slug).join(", ")
+  return `Invalid difficulty. Valid difficulties: ${valid}`
+}
+
+// Validate a category/difficulty pair; returns { category, difficulty }, or { error, field } with the
+// valid options
+export const resolveGameOptions = async (categoryId, difficultyId) => {
+  const category = await findCategory(categoryId)
+  if (!category) {
+    return { error: await categoryError(categoryId), field: "category" }
+  }
+
+  const difficulty = await findDifficulty(difficultyId)
+  if (!difficulty) {
+    return { error: await difficultyError(difficultyId), field: "difficulty" }
+  }
+
+  return { category, difficulty }
+}
+
+// Shape catalog documents for API responses
+export const formatCategory = (category, { withCards = false } = {}) => ({
+  id: category.slug,
+  name: category.name,
+  description: category.description,
+  cardCount: category.cards.length,
+  ...(withCards && { cards: category.cards }),
+})
+
+export const formatDifficulty = (difficulty) => ({
+  id: difficulty.slug,
+  name: difficulty.name,
+  description: difficulty.description,
+  rows: difficulty.rows,
+  columns: difficulty.columns,
+  pairs: difficulty.pairs,
+})
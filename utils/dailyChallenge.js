@@ -0,0 +1,90 @@
+import crypto from "crypto"
+import DailyChallenge from "../models/DailyChallenge.js"
+import Score, { publicScoreFilter } from "../models/Score.js"
+import { getCategories, getDifficulties } from "./catalog.js"
+import { generateLayout } from "./gameBoard.js"
+import { leaderboardSorts } from "./leaderboard.js"
+
+// UTC day key used to identify a daily challenge, e.g. "2026-10-19"
+export const getDateKey = (date = new Date()) => date.toISOString().split("T")[0]
+
+// Start of the next UTC day, when the given day's challenge closes
+export const getChallengeEnd = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + 24 * 60 * 60 * 1000)
+
+// Deterministic bytes for a day; DAILY_CHALLENGE_SECRET keeps future boards from being predicted
+const dailyHash = (dateKey) => {
+  return crypto
+    .createHash("sha256")
+    .update(`${dateKey}:${process.env.DAILY_CHALLENGE_SECRET || ""}`)
+    .digest()
+}
+
+const bySlug = (a, b) => a.slug.localeCompare(b.slug)
+
+// Get the challenge for a day, picking its category, difficulty and seed the first time it is requested
+export const getOrCreateDailyChallenge = async (dateKey = getDateKey()) => {
+  const existing = await DailyChallenge.findOne({ date: dateKey }).lean()
+  if (existing) {
+    return existing
+  }
+
+  const hash = dailyHash(dateKey)
+  const difficulties = [...(await getDifficulties())].sort(bySlug)
+  const difficulty = difficulties[hash.readUInt32BE(0) % difficulties.length]
+  const categories = (await getCategories())
+    .filter((category) => difficulty && category.cards.length >= difficulty.pairs)
+    .sort(bySlug)
+  const category = categories[hash.readUInt32BE(4) % categories.length]
+
+  if (!difficulty || !category) {
+    throw new Error("No playable category and difficulty available for the daily challenge")
+  }
+
+  const seed = hash.readUInt32BE(8)
+  const { layout, cards } = generateLayout({ deck: category.cards, pairs: difficulty.pairs, seed })
+
+  try {
+    // Upsert so concurrent first requests of the day end up with the same document
+    return await DailyChallenge.findOneAndUpdate(
+      { date: dateKey },
+      { $setOnInsert: { category: category.slug, difficulty: difficulty.slug, seed, layout, cards } },
+      { upsert: true, new: true },
+    ).lean()
+  } catch (error) {
+    if (error.code === 11000) {
+      return DailyChallenge.findOne({ date: dateKey }).lean()
+    }
+    throw error
+  }
+}
+
+// Store participants and the winner of a challenge whose day is over (no-op for today or if already done)
+export const finalizeDailyChallenge = async (challenge) => {
+  if (challenge.finalizedAt || getChallengeEnd(challenge.date) > new Date()) {
+    return challenge
+  }
+
+  const filter = { ...publicScoreFilter(), dailyChallenge: challenge.date }
+  const [participants, winner] = await Promise.all([
+    Score.countDocuments(filter),
+    Score.findOne(filter).sort(leaderboardSorts.score).lean(),
+  ])
+
+  return DailyChallenge.findByIdAndUpdate(
+    challenge._id,
+    {
+      finalizedAt: new Date(),
+      participants,
+      winner: winner
+        ? {
+            userId: winner.userId,
+            playerName: winner.playerName,
+            score: winner.score,
+            time: winner.time,
+            moves: winner.moves,
+          }
+        : undefined,
+    },
+    { new: true },
+  ).lean()
+}
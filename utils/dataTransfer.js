@@ -0,0 +1,404 @@
+import { once } from "events"
+import mongoose from "mongoose"
+import Score from "../models/Score.js"
+import User from "../models/User.js"
+import GameSession from "../models/GameSession.js"
+import UserAchievement from "../models/UserAchievement.js"
+import Friendship from "../models/Friendship.js"
+import Match from "../models/Match.js"
+import Tournament from "../models/Tournament.js"
+import SeasonStanding from "../models/SeasonStanding.js"
+import { categoryError, difficultyError, getPairsByDifficulty } from "./catalog.js"
+import { CURRENT_SCORING_VERSION, calculateScore } from "./scoring.js"
+
+// Data export and import. Scores and users are exported as CSV or NDJSON (one JSON object per
+// line), one flat record per document; scores in the same shape can be imported back.
+
+export const transferFormats = ["csv", "ndjson"]
+
+export const scoreExportFields = [
+  "id",
+  "playerName",
+  "userId",
+  "guestId",
+  "category",
+  "difficulty",
+  "time",
+  "moves",
+  "score",
+  "scoringVersion",
+  "sessionId",
+  "seasonId",
+  "dailyChallenge",
+  "tournamentId",
+  "tournamentRound",
+  "replayStatus",
+  "reviewStatus",
+  "flagged",
+  "flagReason",
+  "hidden",
+  "date",
+  "createdAt",
+]
+
+// Never the password hash or the login lockout state
+export const userExportFields = [
+  "id",
+  "username",
+  "email",
+  "emailVerified",
+  "role",
+  "banned",
+  "bannedAt",
+  "banReason",
+  "joinDate",
+  "lastLogin",
+  "createdAt",
+]
+
+// A document as a flat record of the given fields: ids as strings, dates in ISO 8601, missing as null
+const toRecord = (doc, fields) =>
+  Object.fromEntries(
+    fields.map((field) => {
+      const value = field === "id" ? doc._id : doc[field]
+      if (value === undefined || value === null) return [field, null]
+      if (value instanceof Date) return [field, value.toISOString()]
+      if (value instanceof mongoose.Types.ObjectId) return [field, value.toString()]
+      return [field, value]
+    }),
+  )
+
+// Spreadsheets run cells starting with these as formulas, so exported text gets a leading quote
+// (removed again on import)
+const FORMULA_PATTERN = /^[=+\-@]/
+
+const csvCell = (value) => {
+  if (value === null) return ""
+  const text = typeof value === "string" && FORMULA_PATTERN.test(value) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const unguardCell = (text) => (text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text)
+
+// Stream the documents of a query cursor as a file download, with backpressure. Stops early when the
+// client disconnects. Returns the number of records written.
+export const streamExport = async (res, cursor, { format, fields, filename }) => {
+  let aborted = false
+  res.on("close", () => {
+    aborted = !res.writableEnded
+  })
+
+  res.set({
+    "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+    "Cache-Control": "private, no-store",
+  })
+  if (format === "csv") {
+    res.write(`${fields.join(",")}\n`)
+  }
+
+  let count = 0
+  for await (const doc of cursor) {
+    if (aborted) break
+    const record = toRecord(doc, fields)
+    const line = format === "csv" ? fields.map((field) => csvCell(record[field])).join(",") : JSON.stringify(record)
+    if (!res.write(`${line}\n`)) {
+      await Promise.race([once(res, "drain"), once(res, "close")])
+    }
+    count++
+  }
+
+  res.end()
+  return count
+}
+
+// CSV (RFC 4180: quoted cells may hold commas, quotes and line breaks) as [{ row, record }] or
+// [{ row, error }], keyed by the header line. `row` is the line a record starts on.
+const parseCsv = (text) => {
+  const lines = []
+  let cells = []
+  let cell = ""
+  let quoted = false
+  let line = 1
+  let startLine = 1
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === "\n") line++
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      cells.push(cell)
+      cell = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      cells.push(cell)
+      lines.push({ row: startLine, cells })
+      cells = []
+      cell = ""
+      startLine = ++line
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== "" || cells.length > 0) {
+    cells.push(cell)
+    lines.push({ row: startLine, cells })
+  }
+
+  const [header, ...rows] = lines.filter(({ cells }) => cells.length > 1 || cells[0].trim() !== "")
+  if (!header) return []
+  const columns = header.cells.map((column) => column.trim())
+
+  return rows.map(({ row, cells }) =>
+    cells.length === columns.length
+      ? { row, record: Object.fromEntries(columns.map((column, i) => [column, unguardCell(cells[i])])) }
+      : { row, error: `Expected ${columns.length} columns, found ${cells.length}` },
+  )
+}
+
+const parseNdjson = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line, i) => ({ row: i + 1, line: line.trim() }))
+    .filter(({ line }) => line !== "")
+    .map(({ row, line }) => {
+      try {
+        const record = JSON.parse(line)
+        return record && typeof record === "object" && !Array.isArray(record)
+          ? { row, record }
+          : { row, error: "Each line must be a JSON object" }
+      } catch {
+        return { row, error: "Invalid JSON" }
+      }
+    })
+
+// Build a Score from an imported record and check it against the schema and the catalog.
+// Returns { score } or { errors: [{ field, message }] }.
+const buildImportedScore = async (record, pairsByDifficulty) => {
+  const values = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null && value !== ""))
+  const errors = Object.keys(values)
+    .filter((field) => !scoreExportFields.includes(field))
+    .map((field) => ({ field, message: `Unknown field ${field}` }))
+
+  // Retired categories and difficulties are fine: old scores keep them
+  for (const [field, check] of [
+    ["category", categoryError],
+    ["difficulty", difficultyError],
+  ]) {
+    const message = values[field] !== undefined && (await check(String(values[field]), { includeInactive: true }))
+    if (message) errors.push({ field, message })
+  }
+
+  const { id, ...fields } = values
+  const score = new Score({ ...fields, ...(id !== undefined && { _id: id }) })
+  const validationError = score.validateSync()
+  for (const error of Object.values(validationError?.errors || {})) {
+    const field = error.path === "_id" ? "id" : error.path
+    errors.push({ field, message: error.name === "CastError" ? `${field} has an invalid value` : error.message })
+  }
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  // Records without a score are scored with the current formula
+  if (fields.score === undefined) {
+    score.score = calculateScore({ ...score.toObject(), pairs: pairsByDifficulty[score.difficulty] })
+    score.scoringVersion = CURRENT_SCORING_VERSION
+  }
+  return { score }
+}
+
+// What makes two scores the same run when the records carry no id
+const runKey = (score) =>
+  [
+    score.userId || score.guestId || score.playerName,
+    score.category,
+    score.difficulty,
+    score.time,
+    score.moves,
+    new Date(score.date).toISOString(),
+  ].join("|")
+
+const IMPORT_BATCH_SIZE = 500
+
+// Import scores from a CSV or NDJSON export. Every record is validated on its own: invalid ones are
+// reported by row and skipped. Records already in the database (same id, or for records without an
+// id the same player, board, time, moves and date) or earlier in the file count as duplicates.
+// With dryRun nothing is written.
+export const importScores = async (text, { format, dryRun = false }) => {
+  const rows = format === "csv" ? parseCsv(text.replace(/^\uFEFF/, "")) : parseNdjson(text)
+  const pairsByDifficulty = await getPairsByDifficulty()
+  const report = { rows: rows.length, inserted: 0, duplicates: 0, invalid: 0, dryRun, errors: [] }
+  const seen = new Set()
+
+  for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+    const batch = []
+    for (const { row, record, error } of rows.slice(start, start + IMPORT_BATCH_SIZE)) {
+      const result = error
+        ? { errors: [{ field: null, message: error }] }
+        : await buildImportedScore(record, pairsByDifficulty)
+      if (result.errors) {
+        report.invalid++
+        report.errors.push(...result.errors.map((rowError) => ({ row, ...rowError })))
+      } else {
+        batch.push({
+          row,
+          score: result.score,
+          hasId: record.id !== undefined && record.id !== null && record.id !== "",
+        })
+      }
+    }
+
+    const runs = batch
+      .filter((item) => !item.hasId)
+      .map(({ score }) => ({
+        playerName: score.playerName,
+        category: score.category,
+        difficulty: score.difficulty,
+        time: score.time,
+        moves: score.moves,
+        date: score.date,
+      }))
+    const ownerIds = [...new Set(batch.filter(({ score }) => score.userId).map(({ score }) => score.userId.toString()))]
+    const [existingIds, existingRuns, bannedOwners] = await Promise.all([
+      Score.find({ _id: { $in: batch.filter((item) => item.hasId).map((item) => item.score._id) } })
+        .select("_id")
+        .lean(),
+      runs.length > 0
+        ? Score.find({ $or: runs }).select("playerName userId guestId category difficulty time moves date").lean()
+        : [],
+      ownerIds.length > 0
+        ? User.find({ _id: { $in: ownerIds }, banned: true })
+            .select("_id")
+            .lean()
+        : [],
+    ])
+    const known = new Set([...existingIds.map((doc) => doc._id.toString()), ...existingRuns.map(runKey)])
+
+    // Like scores saved through the API, imported scores follow their owner's current ban
+    const bannedIds = new Set(bannedOwners.map((user) => user._id.toString()))
+    for (const { score } of batch) {
+      score.userBanned = Boolean(score.userId && bannedIds.has(score.userId.toString()))
+    }
+
+    const fresh = batch.filter(({ score, hasId }) => {
+      const key = hasId ? score._id.toString() : runKey(score)
+      if (known.has(key) || seen.has(key)) {
+        report.duplicates++
+        return false
+      }
+      seen.add(key)
+      return true
+    })
+
+    if (dryRun || fresh.length === 0) {
+      report.inserted += dryRun ? fresh.length : 0
+      continue
+    }
+    try {
+      const inserted = await Score.insertMany(
+        fresh.map(({ score }) => score),
+        { ordered: false },
+      )
+      report.inserted += inserted.length
+    } catch (error) {
+      if (!error.writeErrors) throw error
+      // Unordered: the rest of the batch went in. A second score for the same game session is a duplicate.
+      report.inserted += error.insertedDocs?.length || 0
+      for (const writeError of error.writeErrors) {
+        const { row } = fresh[writeError.index]
+        if (writeError.code === 11000) {
+          report.duplicates++
+        } else {
+          report.invalid++
+          report.errors.push({ row, field: null, message: writeError.errmsg })
+        }
+      }
+    }
+  }
+
+  return report
+}
+
+// Everything stored about an account, for GET /api/auth/me/export
+export const buildAccountExport = async (user) => {
+  const userId = user._id
+  const [scores, gameSessions, achievements, friendships, matches, tournaments, seasonStandings] = await Promise.all([
+    Score.find({ userId }).select("+replay").sort({ createdAt: 1 }).lean(),
+    GameSession.find({ userId }).sort({ createdAt: 1 }).lean(),
+    UserAchievement.find({ userId }).sort({ unlockedAt: 1 }).lean(),
+    Friendship.find({ users: userId }).lean(),
+    Match.find({ "players.userId": userId }).select("-layout").sort({ createdAt: 1 }).lean(),
+    Tournament.find({ "players.userId": userId })
+      .select("name format category difficulty startsAt endsAt players results")
+      .lean(),
+    SeasonStanding.find({ "entries.userId": userId }).populate("seasonId", "slug").lean(),
+  ])
+  const isUser = (id) => id?.equals(userId)
+
+  return {
+    exportedAt: new Date(),
+    account: toRecord(user, userExportFields),
+    scores: scores.map((score) => ({ ...toRecord(score, scoreExportFields), replay: score.replay || null })),
+    gameSessions: gameSessions.map(({ _id, userId: owner, __v, ...session }) => ({ id: _id, ...session })),
+    achievements: achievements.map(({ achievementId, scoreId, unlockedAt }) => ({
+      achievementId,
+      scoreId,
+      unlockedAt,
+    })),
+    friends: friendships.map(({ users, status, requesterId, blockedBy, createdAt, acceptedAt }) => ({
+      userId: users.find((id) => !isUser(id)),
+      status,
+      requestedByYou: isUser(requesterId),
+      blockedByYou: blockedBy.some(isUser),
+      createdAt,
+      acceptedAt,
+    })),
+    matches: matches.map(
+      ({ _id, code, category, difficulty, status, players, flips, winnerIds, startedAt, finishedAt }) => ({
+        id: _id,
+        code,
+        category,
+        difficulty,
+        status,
+        players: players.map(({ userId: id, username, pairs, forfeited }) => ({
+          userId: id,
+          username,
+          pairs,
+          forfeited,
+        })),
+        yourFlips: flips.filter((flip) => isUser(flip.userId)).map(({ index, at }) => ({ index, at })),
+        won: winnerIds.some(isUser),
+        startedAt,
+        finishedAt,
+      }),
+    ),
+    tournaments: tournaments.map(({ _id, name, format, category, difficulty, startsAt, endsAt, players, results }) => ({
+      id: _id,
+      name,
+      format,
+      category,
+      difficulty,
+      startsAt,
+      endsAt,
+      registeredAt: players.find((player) => isUser(player.userId))?.registeredAt,
+      result: results.find((result) => isUser(result.userId)) || null,
+    })),
+    seasonStandings: seasonStandings.map(({ seasonId, category, difficulty, entries }) => ({
+      season: seasonId?.slug,
+      category,
+      difficulty,
+      ...entries.find((entry) => isUser(entry.userId)),
+    })),
+  }
+}
@@ -0,0 +1,27 @@
+import Friendship from "../models/Friendship.js"
+
+// Scopes accepted by the score and leaderboard views
+export const leaderboardScopes = ["global", "friends"]
+
+// Sorted ids and key identifying the single Friendship document of a pair of users
+export const friendshipPair = (userId, otherId) => {
+  const users = [userId, otherId].sort((a, b) => String(a).localeCompare(String(b)))
+  return { users, pairKey: users.map(String).join(":") }
+}
+
+export const findFriendship = (userId, otherId) =>
+  Friendship.findOne({ pairKey: friendshipPair(userId, otherId).pairKey })
+
+// Ids of the user's accepted friends
+export const getFriendIds = async (userId) => {
+  const friendships = await Friendship.find({ users: userId, status: "accepted" }).select("users").lean()
+  return friendships.map((friendship) => friendship.users.find((id) => !id.equals(userId)))
+}
+
+// Users whose scores a scope covers: null for everyone, or the user plus their friends
+export const getScopeUserIds = async (scope, user) => {
+  if (scope !== "friends") {
+    return null
+  }
+  return [user._id, ...(await getFriendIds(user._id))]
+}
@@ -0,0 +1,74 @@
+import crypto from "crypto"
+import { MIN_FLIP_INTERVAL_MS } from "../config/game.js"
+
+// Generate a random 32-bit seed for a new board
+export const createSeed = () => crypto.randomBytes(4).readUInt32BE(0)
+
+// Small deterministic PRNG (mulberry32) so the same seed always yields the same board
+export const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Fisher-Yates shuffle driven by a PRNG from createRandom (returns a new array)
+export const shuffle = (items, random) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+// Build the card layout for a board: pick `pairs` cards from the deck, then place every
+// picked card twice in seeded order. Returns the layout and the picked cards.
+export const generateLayout = ({ deck, pairs, seed }) => {
+  const random = createRandom(seed)
+  const cards = shuffle(deck, random).slice(0, pairs)
+  const cardIds = cards.map((card) => card.cardId)
+  return { layout: shuffle([...cardIds, ...cardIds], random), cards }
+}
+
+// Walk through recorded flips and work out moves, matched cards and completion.
+// Every two flips count as one move; a move matches when both cards are the same.
+export const evaluateFlips = (layout, flips) => {
+  const matched = new Set()
+  let moves = 0
+
+  for (let i = 0; i + 1 < flips.length; i += 2) {
+    const first = flips[i].index
+    const second = flips[i + 1].index
+    moves++
+    if (layout[first] === layout[second]) {
+      matched.add(first)
+      matched.add(second)
+    }
+  }
+
+  return {
+    moves,
+    matched: [...matched],
+    completed: matched.size === layout.length,
+    pendingIndex: flips.length % 2 === 1 ? flips[flips.length - 1].index : null,
+  }
+}
+
+// Whether flips at these times (milliseconds, in order) came faster than MIN_FLIP_INTERVAL_MS apart on average
+export const isTooFast = (times) =>
+  times.length > 1 && times[times.length - 1] - times[0] < (times.length - 1) * MIN_FLIP_INTERVAL_MS
+
+// Elapsed game time in whole seconds, measured from the first to the last flip
+export const computeElapsedSeconds = (flips) => {
+  if (flips.length < 2) {
+    return 1
+  }
+  const first = new Date(flips[0].at).getTime()
+  const last = new Date(flips[flips.length - 1].at).getTime()
+  return Math.max(Math.round((last - first) / 1000), 1)
+}
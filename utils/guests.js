@@ -0,0 +1,78 @@
+import jwt from "jsonwebtoken"
+import Guest from "../models/Guest.js"
+import Score from "../models/Score.js"
+import GameSession from "../models/GameSession.js"
+import { hashToken } from "./tokens.js"
+
+// Guests and their unclaimed scores are removed after this many days without playing
+export const guestTtlDays = () => Number.parseInt(process.env.GUEST_TTL_DAYS) || 30
+
+export const getGuestExpiry = () => new Date(Date.now() + guestTtlDays() * 24 * 60 * 60 * 1000)
+
+// Sign a guest token. Guest tokens only work on the solo game and score routes (protectPlayer).
+export const generateGuestToken = (guestId) => {
+  return jwt.sign({ gid: guestId, type: "guest" }, process.env.JWT_SECRET, { expiresIn: `${guestTtlDays()}d` })
+}
+
+// Unclaimed guest scores expire together with their guest
+const extendGuestScores = (guestId, expiresAt) =>
+  Score.updateMany({ guestId, expiresAt: { $exists: true } }, { $set: { expiresAt } })
+
+// The unclaimed guest of a device, or a new one (e.g. after the previous one was claimed)
+export const findOrCreateGuest = async (deviceId) => {
+  const deviceIdHash = hashToken(deviceId)
+  const update = { lastSeenAt: new Date(), expiresAt: getGuestExpiry() }
+
+  const guest = await Guest.findOneAndUpdate({ deviceIdHash, claimedBy: null }, update, { new: true })
+  if (!guest) {
+    return Guest.create({ deviceIdHash, ...update })
+  }
+  // The returning guest gets a fresh token, so its scores must last as long as it does
+  await extendGuestScores(guest._id, update.expiresAt)
+  return guest
+}
+
+// Push back the expiry of a guest and its unclaimed scores after activity, so older scores don't
+// expire before the guest does
+export const touchGuest = (guestId) => {
+  const expiresAt = getGuestExpiry()
+  return Promise.all([
+    Guest.updateOne({ _id: guestId }, { lastSeenAt: new Date(), expiresAt }),
+    extendGuestScores(guestId, expiresAt),
+  ])
+}
+
+// Owner fields for documents created by the authenticated player, account or guest
+export const playerOwner = (req) => (req.user ? { userId: req.user._id } : { guestId: req.guest._id })
+
+// Merge a guest's scores and game sessions into `user`. Each guest can be claimed once.
+// Returns { claimedScores } or { error } when the token is invalid or already used.
+export const claimGuest = async (guestToken, user) => {
+  let decoded
+  try {
+    decoded = jwt.verify(guestToken, process.env.JWT_SECRET)
+  } catch {
+    return { error: "Invalid or expired guest token" }
+  }
+  if (decoded.type !== "guest") {
+    return { error: "Invalid or expired guest token" }
+  }
+
+  const guest = await Guest.findOneAndUpdate(
+    { _id: decoded.gid, claimedBy: null },
+    { claimedBy: user._id, claimedAt: new Date() },
+    { new: true },
+  )
+  if (!guest) {
+    return { error: "Guest scores were already claimed or have expired" }
+  }
+
+  // guestId stays on the scores as a record of where they came from
+  const result = await Score.updateMany(
+    { guestId: guest._id, userId: null },
+    { $set: { userId: user._id, userBanned: Boolean(user.banned) }, $unset: { expiresAt: 1 } },
+  )
+  await GameSession.updateMany({ guestId: guest._id }, { $set: { userId: user._id }, $unset: { guestId: 1 } })
+
+  return { claimedScores: result.modifiedCount }
+}
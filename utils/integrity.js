@@ -0,0 +1,73 @@
+import Score, { publicScoreFilter } from "../models/Score.js"
+import { integrityRules } from "../config/integrity.js"
+
+// Scoring-integrity pass: statistical checks run on every submitted score. A score with any reason
+// code is held for review (reviewStatus "pending") instead of being published; moderators approve
+// or reject it through the admin API.
+
+// Time distributions change slowly, so they are cached per category/difficulty for a few minutes
+const DISTRIBUTION_TTL_MS = 5 * 60 * 1000
+const distributions = new Map()
+
+// Mean and standard deviation of the recent public, unflagged times of a category/difficulty
+const getTimeDistribution = async (category, difficulty) => {
+  const key = `${category}:${difficulty}`
+  const cached = distributions.get(key)
+  if (cached && cached.loadedAt > Date.now() - DISTRIBUTION_TTL_MS) {
+    return cached
+  }
+
+  const [stats] = await Score.aggregate([
+    { $match: { ...publicScoreFilter(), category, difficulty, flagged: { $ne: true } } },
+    { $sort: { createdAt: -1 } },
+    { $limit: integrityRules.outlierSampleSize },
+    { $group: { _id: null, mean: { $avg: "$time" }, stdDev: { $stdDevPop: "$time" }, count: { $sum: 1 } } },
+  ])
+  const distribution = { mean: 0, stdDev: 0, count: 0, ...stats, loadedAt: Date.now() }
+  distributions.set(key, distribution)
+  return distribution
+}
+
+const isTimeOutlier = async ({ category, difficulty, time }) => {
+  const { mean, stdDev, count } = await getTimeDistribution(category, difficulty)
+  if (count < integrityRules.outlierMinSamples || stdDev === 0) {
+    return false
+  }
+  return (mean - time) / stdDev > integrityRules.outlierZScore
+}
+
+const isSubmissionBurst = async ({ owner }) => {
+  const since = new Date(Date.now() - integrityRules.burstWindowMs)
+  const recent = await Score.countDocuments({ ...owner, createdAt: { $gte: since } })
+  return recent >= integrityRules.burstMaxScores
+}
+
+const isHistoryJump = async ({ owner, category, difficulty, time }) => {
+  const [history] = await Score.aggregate([
+    { $match: { ...owner, ...publicScoreFilter(), category, difficulty } },
+    { $group: { _id: null, best: { $min: "$time" }, count: { $sum: 1 } } },
+  ])
+  return (
+    Boolean(history) &&
+    history.count >= integrityRules.historyMinScores &&
+    time < history.best * integrityRules.historyJumpRatio
+  )
+}
+
+// Reason codes (see config/integrity.js) for a score about to be saved; empty when it looks fine.
+// `owner` is the player's { userId } or { guestId } (utils/guests.js playerOwner).
+export const checkScoreIntegrity = async ({ owner, category, difficulty, time, moves, pairs }) => {
+  const score = { owner, category, difficulty, time }
+  const [timeOutlier, burst, historyJump] = await Promise.all([
+    isTimeOutlier(score),
+    isSubmissionBurst(score),
+    isHistoryJump(score),
+  ])
+
+  return [
+    timeOutlier && "time_outlier",
+    moves < pairs && "below_min_moves", // Every pair takes at least one move
+    burst && "submission_burst",
+    historyJump && "history_jump",
+  ].filter(Boolean)
+}
@@ -0,0 +1,104 @@
+import { publicScoreFilter } from "../models/Score.js"
+
+// Supported ranking orders: the first field decides the rank, the rest break ties
+export const leaderboardSorts = {
+  score: { score: -1, time: 1, moves: 1 },
+  time: { time: 1, moves: 1 },
+  moves: { moves: 1, time: 1 },
+}
+
+// "season" (the default) is the running season, see utils/seasons.js; "all" is all-time
+export const leaderboardPeriods = ["season", "daily", "weekly", "all"]
+
+// Start of the current UTC day ("daily") or ISO week starting Monday ("weekly"); null for all-time
+export const getPeriodStart = (period, now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+  if (period === "daily") {
+    return start
+  }
+  if (period === "weekly") {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday)
+    return start
+  }
+  return null
+}
+
+// Build the Score filter shared by the leaderboard views (public scores only).
+// `userIds` limits it to those players, e.g. for the friends scope; `seasonId` is the season of period "season".
+export const buildLeaderboardFilter = ({ category, difficulty, period, userIds, seasonId }) => {
+  const filter = publicScoreFilter()
+  if (userIds) {
+    filter.userId = { $in: userIds }
+  }
+  if (category && category !== "all") {
+    filter.category = category
+  }
+  if (difficulty && difficulty !== "all") {
+    filter.difficulty = difficulty
+  }
+  if (period === "season") {
+    filter.seasonId = seasonId
+  }
+  const periodStart = getPeriodStart(period)
+  if (periodStart) {
+    filter.createdAt = { $gte: periodStart }
+  }
+  return filter
+}
+
+// Category, difficulty and date filters of score lists and exports; ?from and ?to are UTC days, both included
+export const applyScoreFilters = (filter, { category, difficulty, from, to }) => {
+  if (category && category !== "all") {
+    filter.category = category
+  }
+  if (difficulty && difficulty !== "all") {
+    filter.difficulty = difficulty
+  }
+  if (from || to) {
+    filter.date = {
+      ...(from && { $gte: new Date(`${from}T00:00:00.000Z`) }),
+      ...(to && { $lt: new Date(Date.parse(`${to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000) }),
+    }
+  }
+  return filter
+}
+
+// Aggregation stages that keep each player's best matching score and number them by rank.
+// Players are keyed by userId, then guestId for guests. Scores with neither (old scores from before
+// accounts, scores of deleted accounts) each rank on their own: their playerName isn't unique, and every
+// deleted account shares "Deleted player".
+export const bestPerPlayerPipeline = (filter, sortBy) => {
+  const sort = { ...leaderboardSorts[sortBy], createdAt: 1 } // Earlier runs win exact ties
+  return [
+    { $match: filter },
+    { $project: { replay: 0 } }, // Replays aren't needed for ranking, and can be large
+    { $sort: sort },
+    {
+      $group: {
+        _id: { $ifNull: ["$userId", "$guestId", "$_id"] },
+        best: { $first: "$$ROOT" },
+        attempts: { $sum: 1 },
+      },
+    },
+    { $replaceRoot: { newRoot: { $mergeObjects: ["$best", { attempts: "$attempts" }] } } },
+    { $setWindowFields: { sortBy: sort, output: { rank: { $documentNumber: {} } } } },
+    { $sort: { rank: 1 } },
+  ]
+}
+
+// Shape a ranked entry for API responses
+export const formatLeaderboardEntry = (entry) => ({
+  rank: entry.rank,
+  id: entry._id,
+  userId: entry.userId,
+  playerName: entry.playerName,
+  guest: Boolean(entry.guestId && !entry.userId), // Unclaimed guest score
+  category: entry.category,
+  difficulty: entry.difficulty,
+  time: entry.time,
+  moves: entry.moves,
+  score: entry.score,
+  attempts: entry.attempts,
+  date: entry.date.toISOString().split("T")[0],
+})
@@ -0,0 +1,120 @@
+import Score from "../models/Score.js"
+import { buildLeaderboardFilter, bestPerPlayerPipeline, formatLeaderboardEntry } from "./leaderboard.js"
+
+// Live leaderboard subscriptions, grouped by board ("category:difficulty:sortBy")
+const boards = new Map()
+
+const boardKey = ({ category, difficulty, sortBy }) => `${category}:${difficulty}:${sortBy}`
+
+// Register a subscriber: { category, difficulty, sortBy, top, userId, userIds, lastRank, send }.
+// `userIds` (friends scope) limits the subscriber's ranking to those players.
+// Returns a function that removes it again.
+export const subscribe = (subscriber) => {
+  const key = boardKey(subscriber)
+  if (!boards.has(key)) {
+    boards.set(key, {
+      category: subscriber.category,
+      difficulty: subscriber.difficulty,
+      sortBy: subscriber.sortBy,
+      subscribers: new Set(),
+    })
+  }
+  boards.get(key).subscribers.add(subscriber)
+
+  return () => {
+    const board = boards.get(key)
+    board.subscribers.delete(subscriber)
+    if (board.subscribers.size === 0) {
+      boards.delete(key)
+    }
+  }
+}
+
+export const subscriberCount = () => [...boards.values()].reduce((sum, board) => sum + board.subscribers.size, 0)
+
+// Rank every player on a board (best entry per player, same rules as GET /api/leaderboard),
+// or only the given players
+export const rankBoard = ({ category, difficulty, sortBy, userIds }) => {
+  return Score.aggregate(bestPerPlayerPipeline(buildLeaderboardFilter({ category, difficulty, userIds }), sortBy))
+}
+
+// Scores saved within this window are pushed together, so a burst of submissions ranks each board once
+const PUSH_DELAY_MS = 1000
+
+let pendingScores = []
+let pushTimer = null
+
+const isOnBoard = (board, score) =>
+  (board.category === "all" || board.category === score.category) &&
+  (board.difficulty === "all" || board.difficulty === score.difficulty)
+
+// Ranking of only the given players, taken from the ranking of the whole board: a player's best entry
+// is the same either way, so keeping their order and renumbering gives what rankBoard({ userIds }) would
+const rankAmong = (ranking, userIds) => {
+  const ids = new Set(userIds.map((id) => id.toString()))
+  return ranking
+    .filter((entry) => entry.userId && ids.has(entry.userId.toString()))
+    .map((entry, i) => ({ ...entry, rank: i + 1 }))
+}
+
+// Push updates for the scores saved since the last push to every board they belong to. Each board is
+// ranked once and shared by all its subscribers, friends-scoped ones included:
+// - "leaderboard" to subscribers whose top N a score entered
+// - "rank-change" to subscribed players whose own rank moved
+const pushPendingScores = async () => {
+  const scores = pendingScores
+  pendingScores = []
+  pushTimer = null
+
+  for (const board of boards.values()) {
+    const boardScores = scores.filter((score) => isOnBoard(board, score))
+    if (boardScores.length === 0) continue
+
+    let globalRanking = null
+    for (const subscriber of board.subscribers) {
+      let ranking
+      if (subscriber.userIds) {
+        // Friends-scoped subscribers only care about scores of their own circle
+        const inCircle = boardScores.some(
+          (score) => score.userId && subscriber.userIds.some((id) => id.equals(score.userId)),
+        )
+        if (!inCircle) continue
+        globalRanking = globalRanking || (await rankBoard(board))
+        ranking = rankAmong(globalRanking, subscriber.userIds)
+      } else {
+        globalRanking = globalRanking || (await rankBoard(board))
+        ranking = globalRanking
+      }
+
+      for (const score of boardScores) {
+        const entry = ranking.find((ranked) => ranked._id.equals(score._id)) // Only present if it is the player's best
+        if (entry && entry.rank <= subscriber.top) {
+          subscriber.send("leaderboard", {
+            entry: formatLeaderboardEntry(entry),
+            top: ranking.slice(0, subscriber.top).map(formatLeaderboardEntry),
+          })
+        }
+      }
+
+      if (subscriber.userId) {
+        const own = ranking.find((ranked) => ranked.userId && ranked.userId.equals(subscriber.userId))
+        const rank = own ? own.rank : null
+        if (rank !== subscriber.lastRank) {
+          subscriber.send("rank-change", { previousRank: subscriber.lastRank, rank })
+          subscriber.lastRank = rank
+        }
+      }
+    }
+  }
+}
+
+// Queue a newly saved score for the next push (see pushPendingScores)
+export const publishScore = (score) => {
+  if (boards.size === 0) return // Nobody is listening
+  pendingScores.push(score)
+  if (!pushTimer) {
+    pushTimer = setTimeout(() => {
+      pushPendingScores().catch((error) => console.error("Error publishing leaderboard update:", error))
+    }, PUSH_DELAY_MS)
+  }
+}
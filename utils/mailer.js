@@ -0,0 +1,57 @@
+import fs from "fs/promises"
+import path from "path"
+
+// A mail transport is any object with an async send({ to, subject, text }) method.
+// Console and file transports cover local development and tests; production can plug in
+// an SMTP or API-based transport with setMailTransport() without touching the routes.
+
+export const createConsoleTransport = () => ({
+  name: "console",
+  send: async ({ to, subject, text }) => {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`)
+  },
+})
+
+// Writes each message as a JSON file (easy to inspect or read back in tests)
+export const createFileTransport = (dir = process.env.MAIL_FILE_DIR || "mail-outbox") => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true })
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2))
+  },
+})
+
+let transport = null
+
+export const setMailTransport = (customTransport) => {
+  transport = customTransport
+}
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = process.env.MAIL_TRANSPORT === "file" ? createFileTransport() : createConsoleTransport()
+  }
+  return transport
+}
+
+export const sendMail = (message) => getMailTransport().send(message)
+
+// Links in emails point at the frontend, which calls the matching API endpoint with the token
+const appUrl = () => process.env.APP_URL || "http://localhost:5173"
+
+export const sendVerificationEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: "Verify your Funko Memory Game email",
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${appUrl()}/verify-email?token=${token}\n\nThe link expires in 24 hours.`,
+  })
+}
+
+export const sendPasswordResetEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Funko Memory Game password",
+    text: `Hi ${user.username},\n\nReset your password by opening this link:\n${appUrl()}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you didn't ask for a reset, you can ignore this email.`,
+  })
+}
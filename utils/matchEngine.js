@@ -0,0 +1,226 @@
+import Match from "../models/Match.js"
+
+export const TURN_TIMEOUT_MS = 30 * 1000 // A player who doesn't flip in time (or dropped) loses the turn
+export const MATCH_TTL_MS = 2 * 60 * 60 * 1000 // Unfinished matches are removed after 2 hours
+
+// Live listeners per match id: Set of { userId, send } (one per open event stream)
+const listeners = new Map()
+const turnTimers = new Map()
+
+export const addListener = (matchId, listener) => {
+  const key = String(matchId)
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set())
+  }
+  listeners.get(key).add(listener)
+
+  return () => {
+    const set = listeners.get(key)
+    set.delete(listener)
+    if (set.size === 0) {
+      listeners.delete(key)
+    }
+  }
+}
+
+export const broadcast = (matchId, event, data) => {
+  for (const listener of listeners.get(String(matchId)) || []) {
+    listener.send(event, data)
+  }
+}
+
+// A player counts as connected while at least one of their event streams is open
+export const isUserConnected = (matchId, userId) => {
+  return [...(listeners.get(String(matchId)) || [])].some((listener) => listener.userId.equals(userId))
+}
+
+export const findPlayerIndex = (match, userId) => match.players.findIndex((player) => player.userId.equals(userId))
+
+// Shape a match for API responses and events. Only matched cards and the face-up card of the
+// current turn are revealed; the rest of the layout stays on the server.
+export const formatMatch = (match) => {
+  const current = match.status === "playing" ? match.players[match.turnIndex] : null
+  return {
+    id: match._id,
+    code: match.code,
+    status: match.status,
+    hostId: match.hostId,
+    category: match.category,
+    difficulty: match.difficulty,
+    maxPlayers: match.maxPlayers,
+    pairs: match.layout.length / 2,
+    cards: match.cards,
+    board: match.layout.map((cardId, index) =>
+      match.matched.includes(index) || index === match.pendingIndex ? cardId : null,
+    ),
+    players: match.players.map((player) => ({
+      userId: player.userId,
+      username: player.username,
+      pairs: player.pairs,
+      forfeited: player.forfeited,
+      connected: player.connected,
+    })),
+    currentTurn: current ? current.userId : null,
+    turnEndsAt: current ? new Date(match.turnStartedAt.getTime() + TURN_TIMEOUT_MS) : null,
+    moves: Math.floor(match.flips.length / 2),
+    winnerIds: match.winnerIds,
+    startedAt: match.startedAt,
+    finishedAt: match.finishedAt,
+  }
+}
+
+const activePlayerCount = (match) => match.players.filter((player) => !player.forfeited).length
+
+// Hand the turn to the next player who hasn't forfeited
+export const advanceTurn = (match) => {
+  const count = match.players.length
+  let next = match.turnIndex
+  for (let step = 1; step <= count; step++) {
+    const candidate = (match.turnIndex + step) % count
+    if (!match.players[candidate].forfeited) {
+      next = candidate
+      break
+    }
+  }
+  match.turnIndex = next
+  match.pendingIndex = null
+  match.turnStartedAt = new Date()
+}
+
+// End the match: most pairs wins (ties share the win); a lone remaining player wins by forfeit
+export const finishMatch = (match) => {
+  const remaining = match.players.filter((player) => !player.forfeited)
+  const bestPairs = Math.max(...remaining.map((player) => player.pairs))
+  const winners = remaining.length === 1 ? remaining : remaining.filter((player) => player.pairs === bestPairs)
+
+  match.status = "finished"
+  match.winnerIds = winners.map((player) => player.userId)
+  match.finishedAt = new Date()
+  match.pendingIndex = null
+  match.expiresAt = null
+}
+
+export const startMatch = (match) => {
+  match.status = "playing"
+  match.startedAt = new Date()
+  match.turnIndex = 0
+  match.turnStartedAt = new Date()
+}
+
+// Apply a flip by `userId`. Returns { error, status } when the flip isn't allowed, otherwise
+// { index, card, result } where result is "first", "match" or "miss".
+export const applyFlip = (match, userId, index) => {
+  if (match.status !== "playing") {
+    return { status: 409, error: `Match is ${match.status}` }
+  }
+  if (!match.players[match.turnIndex].userId.equals(userId)) {
+    return { status: 409, error: "It's not your turn" }
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= match.layout.length) {
+    return { status: 400, error: `Invalid card index. Must be between 0 and ${match.layout.length - 1}` }
+  }
+  if (match.matched.includes(index)) {
+    return { status: 400, error: "Card is already matched" }
+  }
+  if (match.pendingIndex === index) {
+    return { status: 400, error: "Card is already face up" }
+  }
+
+  match.flips.push({ userId, index, at: new Date() })
+  const card = match.layout[index]
+
+  if (match.pendingIndex === null) {
+    match.pendingIndex = index
+    return { index, card, result: "first" }
+  }
+
+  const firstIndex = match.pendingIndex
+  if (match.layout[firstIndex] === card) {
+    // Found a pair: the player scores and keeps the turn
+    match.matched.push(firstIndex, index)
+    match.players[match.turnIndex].pairs += 1
+    match.pendingIndex = null
+    match.turnStartedAt = new Date()
+    if (match.matched.length === match.layout.length) {
+      finishMatch(match)
+    }
+    return { index, card, firstIndex, result: "match" }
+  }
+
+  advanceTurn(match)
+  return { index, card, firstIndex, result: "miss" }
+}
+
+// A player leaves: removed from the lobby, or forfeits a running match
+export const removePlayer = (match, userId) => {
+  const playerIndex = findPlayerIndex(match, userId)
+  if (match.status === "lobby") {
+    match.players.splice(playerIndex, 1)
+    if (match.players.length === 0) {
+      match.status = "abandoned"
+    } else if (match.hostId.equals(userId)) {
+      match.hostId = match.players[0].userId // Hand the lobby to the next player
+    }
+    return
+  }
+
+  match.players[playerIndex].forfeited = true
+  if (activePlayerCount(match) <= 1) {
+    finishMatch(match)
+  } else if (match.turnIndex === playerIndex) {
+    advanceTurn(match)
+  }
+}
+
+// Take a player out of a lobby or running match, then save, notify and re-arm the timer.
+// Returns the formatted match.
+export const leaveMatch = async (match, userId) => {
+  removePlayer(match, userId)
+  await match.save()
+
+  const state = formatMatch(match)
+  broadcast(match._id, "player-left", { userId, match: state })
+  if (match.status === "finished") {
+    broadcast(match._id, "match-finished", { winnerIds: match.winnerIds, match: state })
+  }
+  scheduleTurnTimer(match)
+  return state
+}
+
+// Skip the current player once their turn runs out. Timers live in this process; after a restart
+// the next request on the match applies the timeout instead (see applyTurnTimeout).
+export const scheduleTurnTimer = (match) => {
+  const key = String(match._id)
+  clearTimeout(turnTimers.get(key))
+  turnTimers.delete(key)
+  if (match.status !== "playing") return
+
+  const turnStartedAt = match.turnStartedAt.getTime()
+  const timer = setTimeout(async () => {
+    turnTimers.delete(key)
+    try {
+      const current = await Match.findById(key)
+      if (current && current.status === "playing" && current.turnStartedAt.getTime() === turnStartedAt) {
+        await applyTurnTimeout(current)
+      }
+    } catch (error) {
+      console.error("Error applying turn timeout:", error)
+    }
+  }, TURN_TIMEOUT_MS)
+  timer.unref()
+  turnTimers.set(key, timer)
+}
+
+// Pass the turn on if it has run out, then save, notify and re-arm the timer
+export const applyTurnTimeout = async (match) => {
+  if (match.status !== "playing" || Date.now() - match.turnStartedAt.getTime() < TURN_TIMEOUT_MS) {
+    return false
+  }
+
+  const skipped = match.players[match.turnIndex].userId
+  advanceTurn(match)
+  await match.save()
+  broadcast(match._id, "turn", { reason: "timeout", skipped, match: formatMatch(match) })
+  scheduleTurnTimer(match)
+  return true
+}
@@ -0,0 +1,246 @@
+import { protect, protectPlayer, protectFriendsScope } from "../middleware/authMiddleware.js"
+import { routeDocs } from "../config/apiDocs.js"
+import { apiVersions } from "../config/apiVersions.js"
+
+// Builds the OpenAPI 3 document from the mounted routers: paths and methods come from the Express
+// route stacks, parameters and request bodies from their validate() schemas, security from the auth
+// middleware in front of them, and summaries from config/apiDocs.js.
+
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$"
+
+// The routes of a router, with the router-level middleware (router.use) that runs before each one
+const listRoutes = (router) => {
+  const routes = []
+  const shared = []
+  for (const layer of router.stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method,
+          path: layer.route.path,
+          handlers: [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)],
+        })
+      }
+    } else {
+      shared.push(layer.handle)
+    }
+  }
+  return routes
+}
+
+// "/games" + "/:id" -> "/games/:id", "/" + "/scores" -> "/scores"
+const joinPath = (base, path) => {
+  if (base === "/") return path
+  return path === "/" ? base : `${base}${path}`
+}
+
+// The key of a route in config/apiDocs.js, e.g. "GET /scores/:id"
+export const routeKey = (method, path) => `${method.toUpperCase()} ${path}`
+
+// Every mounted route as { method, path, handlers }
+export const listApiRoutes = (mounts) =>
+  mounts.flatMap(({ path: base, router, tag }) =>
+    listRoutes(router).map((route) => ({ ...route, path: joinPath(base, route.path), tag })),
+  )
+
+// Mounted routes without an entry in config/apiDocs.js
+export const findUndocumentedRoutes = (mounts) =>
+  listApiRoutes(mounts)
+    .map(({ method, path }) => routeKey(method, path))
+    .filter((key) => !routeDocs[key])
+
+// A validate() field rule as a JSON schema
+const fieldSchema = (rule) => {
+  const type = rule.type || "string"
+  const schema = {
+    string: { type: "string" },
+    email: { type: "string", format: "email" },
+    integer: { type: "integer" },
+    number: { type: "number" },
+    boolean: { type: "boolean" },
+    objectId: { type: "string", pattern: OBJECT_ID_PATTERN },
+    object: { type: "object" },
+    array: { type: "array", items: {} },
+    date: { type: "string", format: "date-time" },
+  }[type]
+
+  if (rule.enum) schema.enum = rule.enum
+  if (rule.default !== undefined) schema.default = rule.default
+  if (rule.min !== undefined) schema.minimum = rule.min
+  if (rule.max !== undefined && !rule.clamp) schema.maximum = rule.max
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength
+  if (rule.pattern) schema.pattern = rule.pattern.source
+  if (rule.clamp) schema.description = `Values above ${rule.max} are lowered to ${rule.max}`
+  if (typeof rule.required === "function") schema.description = "Required depending on the other fields"
+  return schema
+}
+
+const buildParameters = (path, schema = {}) => {
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: schema.params?.[name] ? fieldSchema(schema.params[name]) : { type: "string" },
+  }))
+  const queryParams = Object.entries(schema.query || {}).map(([name, rule]) => ({
+    name,
+    in: "query",
+    required: rule.required === true,
+    schema: fieldSchema(rule),
+  }))
+  return [...pathParams, ...queryParams]
+}
+
+const buildRequestBody = (body) => {
+  const properties = Object.fromEntries(Object.entries(body).map(([name, rule]) => [name, fieldSchema(rule)]))
+  const required = Object.entries(body)
+    .filter(([, rule]) => rule.required === true)
+    .map(([name]) => name)
+  return {
+    required: required.length > 0,
+    content: {
+      "application/json": { schema: { type: "object", properties, ...(required.length > 0 && { required }) } },
+    },
+  }
+}
+
+// CSV and NDJSON files of the export and import routes
+const fileContent = {
+  "text/csv": { schema: { type: "string" } },
+  "application/x-ndjson": { schema: { type: "string" } },
+}
+
+const jsonResponse = (description, schema = "Error") => ({
+  description,
+  content: { "application/json": { schema: { $ref: `#/components/schemas/${schema}` } } },
+})
+
+const buildOperation = ({ method, path, handlers, tag }, versionConfig) => {
+  const doc = routeDocs[routeKey(method, path)] || {}
+  const { summary, description, stream, download, upload } = typeof doc === "string" ? { summary: doc } : doc
+  const schema = handlers.find((handler) => handler.schema)?.schema
+  const roles = handlers.find((handler) => handler.roles)?.roles
+  const rateLimited = handlers.some((handler) => handler.rateLimitGroup)
+  const authenticated = handlers.includes(protect) || handlers.includes(protectPlayer)
+
+  const operation = {
+    tags: [tag],
+    summary,
+    ...(versionConfig.deprecatedAt && { deprecated: true }),
+    ...(description && { description }),
+    operationId: `${method}${path.replace(/[^a-zA-Z0-9]+(\w)?/g, (_, char = "") => char.toUpperCase())}`,
+    parameters: buildParameters(path, schema),
+    responses: {
+      200: stream
+        ? { description: "Server-Sent Events stream", content: { "text/event-stream": { schema: { type: "string" } } } }
+        : download
+          ? { description: "File download", content: fileContent }
+          : jsonResponse("Success", "Success"),
+    },
+  }
+
+  if (schema?.body) operation.requestBody = buildRequestBody(schema.body)
+  if (upload) operation.requestBody = { required: true, content: fileContent }
+  if (schema) operation.responses[400] = jsonResponse("Invalid request", "ValidationError")
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }]
+    operation.responses[401] = jsonResponse("Missing or invalid token")
+  } else if (handlers.includes(protectFriendsScope)) {
+    operation.security = [{}, { bearerAuth: [] }] // Only ?scope=friends needs a token
+  }
+  if (roles) {
+    operation.description = [operation.description, `Requires the role: ${roles.join(" or ")}.`]
+      .filter(Boolean)
+      .join("\n\n")
+    operation.responses[403] = jsonResponse("Not authorized for this action")
+  }
+  if (rateLimited) operation.responses[429] = jsonResponse("Too many requests", "RateLimited")
+  operation.responses[500] = jsonResponse("Server error")
+  return operation
+}
+
+// The document of one API version; its paths are relative to the server URL /api/<version>
+export const buildOpenApiSpec = (mounts, version) => {
+  const versionConfig = apiVersions[version]
+  const paths = {}
+  for (const route of listApiRoutes(mounts)) {
+    const path = route.path.replace(/:(\w+)/g, "{$1}")
+    paths[path] = { ...paths[path], [route.method]: buildOperation(route, versionConfig) }
+  }
+
+  const notes = [
+    "Scores, leaderboards, daily challenges and multiplayer matches of the Funko Memory Game.",
+    versionConfig.compactEnvelope
+      ? "Every response is JSON with a `success` flag; failures carry an `error` message."
+      : "Every response is JSON with a `success` flag and a `message`; failures carry an `error` message.",
+    versionConfig.deprecatedAt &&
+      `This version is deprecated and will be removed on ${versionConfig.sunsetAt}; use /api/${versionConfig.successor}.`,
+  ]
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Funko Memory Game API",
+      version,
+      description: notes.filter(Boolean).join(" "),
+    },
+    servers: [{ url: `/api/${version}` }],
+    tags: mounts.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Access token from /auth/login or /auth/register, or a guest token where allowed",
+        },
+      },
+      schemas: {
+        Success: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", enum: [true] },
+            data: {},
+            ...(!versionConfig.compactEnvelope && { message: { type: "string" } }),
+          },
+        },
+        Error: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string" },
+            details: { type: "string", description: "Only in development" },
+          },
+        },
+        ValidationError: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string", description: "All messages, joined by '; '" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  location: { type: "string", enum: ["params", "query", "body"] },
+                  field: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        RateLimited: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string" },
+            retryAfter: { type: "integer", description: "Seconds until the limit resets" },
+          },
+        },
+      },
+    },
+  }
+}
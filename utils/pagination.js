@@ -0,0 +1,77 @@
+import mongoose from "mongoose"
+
+// Keyset ("cursor") pagination. A cursor holds the sort key of the item a page ends (or starts) at,
+// encoded as opaque base64url JSON, so pages don't shift when documents are inserted mid-browse and
+// no documents have to be skipped. The sort must end with a unique field (_id) to be a total order.
+
+const invertSort = (sort) => Object.fromEntries(Object.entries(sort).map(([field, order]) => [field, -order]))
+
+const encodeCursor = (item, sort, direction) =>
+  Buffer.from(JSON.stringify({ d: direction, k: Object.keys(sort).map((field) => item[field]) })).toString("base64url")
+
+// Whether a decoded cursor value fits its sort field. Sort fields are numbers (time, moves, ...) apart
+// from _id, which must be a hex ObjectId: anything else (objects like { $gt: ... }, strings) is rejected
+// before it reaches a query.
+const isCursorValue = (field, value) =>
+  field === "_id" ? typeof value === "string" && /^[0-9a-f]{24}$/i.test(value) : Number.isFinite(value)
+
+// { direction: "next" | "prev", values } of a cursor made for `sort`, or null when it's malformed
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const { d: direction, k: values } = JSON.parse(Buffer.from(cursor, "base64url").toString())
+    const fields = Object.keys(sort)
+    if (!["next", "prev"].includes(direction) || !Array.isArray(values) || values.length !== fields.length) {
+      return null
+    }
+    if (!fields.every((field, i) => isCursorValue(field, values[i]))) {
+      return null
+    }
+    return {
+      direction,
+      values: values.map((value, i) => (fields[i] === "_id" ? new mongoose.Types.ObjectId(value) : value)),
+    }
+  } catch {
+    return null
+  }
+}
+
+// Items strictly after (or before) the given sort key: a > x OR (a = x AND b > y) OR ...
+const keysetFilter = (sort, values, direction) => {
+  const fields = Object.keys(sort)
+  return {
+    $or: fields.map((field, i) => {
+      const forward = (sort[field] === 1) === (direction === "next")
+      return {
+        ...Object.fromEntries(fields.slice(0, i).map((equalField, j) => [equalField, values[j]])),
+        [field]: { [forward ? "$gt" : "$lt"]: values[i] },
+      }
+    }),
+  }
+}
+
+// One page of `Model.find(filter)` in `sort` order, starting after `cursor` (or at the top without one).
+// Returns { items, nextCursor, prevCursor }; a cursor is null when there's nothing in that direction.
+export const findPage = async (Model, filter, { sort, limit, cursor, select }) => {
+  const position = cursor ? decodeCursor(cursor, sort) : null
+  const direction = position?.direction || "next"
+
+  const items = await Model.find(position ? { $and: [filter, keysetFilter(sort, position.values, direction)] } : filter)
+    .sort(direction === "next" ? sort : invertSort(sort))
+    .limit(limit + 1) // One extra tells whether there's more in this direction
+    .select(select)
+    .lean()
+
+  const hasMore = items.length > limit
+  const page = items.slice(0, limit)
+  if (direction === "prev") {
+    page.reverse()
+  }
+
+  const first = page[0]
+  const last = page[page.length - 1]
+  return {
+    items: page,
+    nextCursor: last && (direction === "prev" || hasMore) ? encodeCursor(last, sort, "next") : null,
+    prevCursor: first && position && (direction === "next" || hasMore) ? encodeCursor(first, sort, "prev") : null,
+  }
+}
@@ -0,0 +1,151 @@
+import Score from "../models/Score.js"
+import { playDaysPipeline, computeStreaks } from "./streaks.js"
+
+export const statsBuckets = ["day", "week"]
+
+// How far back the time series goes for each bucket size
+const SERIES_RANGE_DAYS = { day: 90, week: 364 }
+
+// Number of recent games compared with the games before them for the improvement trend
+const TREND_WINDOW = 10
+
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Number(value.toFixed(digits)))
+
+// Walk scores in play order and keep every game that beat the player's previous best in its mode
+const personalBestHistory = (games) => {
+  const bestByMode = {}
+  const history = []
+  for (const game of games) {
+    const mode = `${game.category}:${game.difficulty}`
+    if (bestByMode[mode] === undefined || game.score > bestByMode[mode]) {
+      history.push({ ...game, previousBest: bestByMode[mode] ?? null })
+      bestByMode[mode] = game.score
+    }
+  }
+  return history
+}
+
+// Compare the average score of the latest games with the games just before them
+const improvementTrend = (games) => {
+  const recent = games.slice(-TREND_WINDOW)
+  const previous = games.slice(-2 * TREND_WINDOW, -TREND_WINDOW)
+  if (recent.length === 0 || previous.length === 0) {
+    return { direction: "not-enough-data", recentAverage: null, previousAverage: null, changePercent: null }
+  }
+
+  const average = (list) => list.reduce((sum, game) => sum + game.score, 0) / list.length
+  const recentAverage = average(recent)
+  const previousAverage = average(previous)
+  const changePercent = previousAverage === 0 ? null : ((recentAverage - previousAverage) / previousAverage) * 100
+  const direction =
+    changePercent === null || Math.abs(changePercent) < 5 ? "steady" : changePercent > 0 ? "improving" : "declining"
+
+  return {
+    direction,
+    recentAverage: round(recentAverage),
+    previousAverage: round(previousAverage),
+    changePercent: round(changePercent),
+  }
+}
+
+// Build a player's statistics from their scores. `filter` narrows the scores (e.g. public only)
+// and `bucket` ("day" or "week") sets the time-series granularity.
+export const buildPlayerStats = async (userId, { filter = {}, bucket = "day" } = {}) => {
+  const match = { ...filter, userId }
+  const seriesStart = new Date(Date.now() - SERIES_RANGE_DAYS[bucket] * 24 * 60 * 60 * 1000)
+
+  const [[facets], playDays] = await Promise.all([
+    Score.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                gamesPlayed: { $sum: 1 },
+                firstPlayed: { $min: "$createdAt" },
+                lastPlayed: { $max: "$createdAt" },
+              },
+            },
+          ],
+          byMode: [
+            {
+              $group: {
+                _id: { category: "$category", difficulty: "$difficulty" },
+                gamesPlayed: { $sum: 1 },
+                bestTime: { $min: "$time" },
+                averageTime: { $avg: "$time" },
+                bestMoves: { $min: "$moves" },
+                averageMoves: { $avg: "$moves" },
+                bestScore: { $max: "$score" },
+              },
+            },
+            { $sort: { "_id.category": 1, "_id.difficulty": 1 } },
+          ],
+          favouriteCategory: [
+            { $group: { _id: "$category", gamesPlayed: { $sum: 1 } } },
+            { $sort: { gamesPlayed: -1, _id: 1 } },
+            { $limit: 1 },
+          ],
+          series: [
+            { $match: { createdAt: { $gte: seriesStart } } },
+            {
+              $group: {
+                _id: {
+                  $dateTrunc: { date: "$createdAt", unit: bucket, ...(bucket === "week" && { startOfWeek: "monday" }) },
+                },
+                gamesPlayed: { $sum: 1 },
+                bestScore: { $max: "$score" },
+                averageScore: { $avg: "$score" },
+                averageTime: { $avg: "$time" },
+                averageMoves: { $avg: "$moves" },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          games: [
+            { $sort: { createdAt: 1 } },
+            { $project: { _id: 0, id: "$_id", category: 1, difficulty: 1, time: 1, moves: 1, score: 1, createdAt: 1 } },
+          ],
+        },
+      },
+    ]),
+    Score.aggregate(playDaysPipeline(match)),
+  ])
+
+  const totals = facets.totals[0] || { gamesPlayed: 0, firstPlayed: null, lastPlayed: null }
+
+  return {
+    gamesPlayed: totals.gamesPlayed,
+    firstPlayed: totals.firstPlayed,
+    lastPlayed: totals.lastPlayed,
+    favouriteCategory: facets.favouriteCategory[0]
+      ? { category: facets.favouriteCategory[0]._id, gamesPlayed: facets.favouriteCategory[0].gamesPlayed }
+      : null,
+    streaks: computeStreaks(playDays.map((day) => day._id)),
+    byMode: facets.byMode.map((mode) => ({
+      category: mode._id.category,
+      difficulty: mode._id.difficulty,
+      gamesPlayed: mode.gamesPlayed,
+      bestTime: mode.bestTime,
+      averageTime: round(mode.averageTime),
+      bestMoves: mode.bestMoves,
+      averageMoves: round(mode.averageMoves),
+      bestScore: mode.bestScore,
+    })),
+    personalBests: personalBestHistory(facets.games),
+    trend: improvementTrend(facets.games),
+    series: {
+      bucket,
+      points: facets.series.map((point) => ({
+        start: point._id,
+        gamesPlayed: point.gamesPlayed,
+        bestScore: point.bestScore,
+        averageScore: round(point.averageScore),
+        averageTime: round(point.averageTime),
+        averageMoves: round(point.averageMoves),
+      })),
+    },
+  }
+}
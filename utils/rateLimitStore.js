@@ -0,0 +1,49 @@
+// A rate limit store is any object with an async increment(key, windowMs) method that counts a hit
+// and returns { count, resetAt } for the key's current fixed window, plus an async reset(key).
+// The in-memory store only counts requests seen by this process; with several server instances,
+// plug in a shared store (e.g. Redis INCR + PEXPIRE) with setRateLimitStore().
+
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+export const createMemoryStore = () => {
+  const windows = new Map()
+
+  // Drop finished windows so the map doesn't grow with every IP ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now()
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key)
+    }
+  }, SWEEP_INTERVAL_MS)
+  sweep.unref()
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now()
+      let window = windows.get(key)
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs }
+        windows.set(key, window)
+      }
+      window.count += 1
+      return { count: window.count, resetAt: window.resetAt }
+    },
+    reset: async (key) => {
+      windows.delete(key)
+    },
+  }
+}
+
+let store = null
+
+export const setRateLimitStore = (customStore) => {
+  store = customStore
+}
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = createMemoryStore()
+  }
+  return store
+}
@@ -0,0 +1,28 @@
+// Server-Sent Events helpers. Everything stays in this process, so no Redis or broker is needed;
+// with several server instances each one only pushes the events it saw itself.
+
+const HEARTBEAT_MS = 25 * 1000 // Keeps proxies (Render, nginx) from closing idle streams
+
+// Switch the response into an event stream. Returns send(event, data) and registers
+// onClose to run once when the client disconnects.
+export const openEventStream = (req, res, onClose) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering
+  })
+  res.flushHeaders()
+  res.write("retry: 5000\n\n") // Reconnect delay for the browser's EventSource
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS)
+
+  req.on("close", () => {
+    clearInterval(heartbeat)
+    onClose?.()
+  })
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+}
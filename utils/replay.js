@@ -0,0 +1,101 @@
+import { generateLayout, isTooFast } from "./gameBoard.js"
+import { TIME_TOLERANCE_SECONDS, MAX_REPLAY_FLIPS, MIN_FLIP_INTERVAL_MS } from "../config/game.js"
+
+// A replay is the ordered list of flips of a run, each with its time `t` in milliseconds since the
+// first flip, plus the seed that dealt the board. The verifier plays it back under the game rules on
+// that board, so the same replay always yields the same time and moves.
+
+// Check the shape of an uploaded replay ({ seed, flips: [{ index, t }] }); returns an error message or null
+export const replayError = (replay) => {
+  if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xffffffff) {
+    return "replay.seed must be an unsigned 32-bit integer"
+  }
+  if (!Array.isArray(replay.flips) || replay.flips.length === 0) {
+    return "replay.flips must be a non-empty list"
+  }
+  if (replay.flips.length > MAX_REPLAY_FLIPS) {
+    return `replay.flips must have at most ${MAX_REPLAY_FLIPS} flips`
+  }
+  const malformed = replay.flips.findIndex(
+    (flip) => !flip || !Number.isInteger(flip.index) || !Number.isFinite(flip.t) || flip.t < 0,
+  )
+  if (malformed !== -1) {
+    return `replay.flips[${malformed}] must be { index, t } with a card index and a time in milliseconds`
+  }
+  return null
+}
+
+// Deal the board of an uploaded replay from the catalog (same dealing as POST /api/games)
+export const dealReplayBoard = (replay, { category, difficulty }) => {
+  const { layout, cards } = generateLayout({ deck: category.cards, pairs: difficulty.pairs, seed: replay.seed })
+  return { seed: replay.seed, layout, cards, flips: replay.flips.map(({ index, t }) => ({ index, t })) }
+}
+
+// The replay of a game session, from the flips the server recorded
+export const replayFromSession = (session) => {
+  const start = session.flips.length > 0 ? new Date(session.flips[0].at).getTime() : 0
+  return {
+    seed: session.seed,
+    layout: session.layout,
+    cards: session.cards,
+    flips: session.flips.map((flip) => ({ index: flip.index, t: new Date(flip.at).getTime() - start })),
+  }
+}
+
+// Play a replay back flip by flip. Returns { time, moves } of the finished board, or { error }.
+export const playReplay = ({ layout, flips }) => {
+  const matched = new Set()
+  let pending = null
+  let moves = 0
+
+  for (const [i, flip] of flips.entries()) {
+    if (flip.index < 0 || flip.index >= layout.length) {
+      return { error: `Flip ${i + 1} is off the board` }
+    }
+    if (i > 0 && flip.t < flips[i - 1].t) {
+      return { error: `Flip ${i + 1} happens before the previous one` }
+    }
+    if (matched.has(flip.index)) {
+      return { error: `Flip ${i + 1} turns a card that is already matched` }
+    }
+    if (pending === flip.index) {
+      return { error: `Flip ${i + 1} turns a card that is already face up` }
+    }
+
+    if (pending === null) {
+      pending = flip.index
+      continue
+    }
+    moves++
+    if (layout[pending] === layout[flip.index]) {
+      matched.add(pending)
+      matched.add(flip.index)
+    }
+    pending = null
+  }
+
+  if (matched.size !== layout.length) {
+    return { error: "The replay doesn't finish the board" }
+  }
+  if (isTooFast(flips.map((flip) => flip.t))) {
+    return { error: `The replay flips faster than one card every ${MIN_FLIP_INTERVAL_MS}ms` }
+  }
+  // Same measure as computeElapsedSeconds: first to last flip, in whole seconds
+  const time = Math.max(Math.round((flips[flips.length - 1].t - flips[0].t) / 1000), 1)
+  return { time, moves }
+}
+
+// Confirm the claimed time and moves of a score with its replay; returns { valid, error }
+export const verifyReplay = (replay, claims) => {
+  const result = playReplay(replay)
+  if (result.error) {
+    return { valid: false, error: result.error }
+  }
+  if (result.moves !== claims.moves) {
+    return { valid: false, error: `The replay takes ${result.moves} moves, not ${claims.moves}` }
+  }
+  if (Math.abs(result.time - claims.time) > TIME_TOLERANCE_SECONDS) {
+    return { valid: false, error: `The replay takes ${result.time}s, not ${claims.time}s` }
+  }
+  return { valid: true, error: null }
+}
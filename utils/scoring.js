@@ -0,0 +1,49 @@
+// Bump this whenever a new formula is added, then run the recompute job
+// (npm run recompute-scores, or POST /api/admin/scores/recompute)
+export const CURRENT_SCORING_VERSION = 2
+
+// Par time (seconds) and maximum points per difficulty. A "category:difficulty" key can
+// override the difficulty defaults for a single deck, e.g. { "movies:hard": { parTime: 100 } }
+const scoringProfiles = {
+  easy: { parTime: 30, maxScore: 1000 },
+  medium: { parTime: 50, maxScore: 1500 },
+  hard: { parTime: 90, maxScore: 2500 },
+}
+
+// Difficulties added through the admin API without a profile get one derived from their size
+const defaultProfile = (pairs) => ({ parTime: pairs * 6, maxScore: pairs * 200 })
+
+// Merge the difficulty profile with any category override and the board's pair count
+export const getScoringProfile = (category, difficulty, pairs) => ({
+  pairs,
+  ...defaultProfile(pairs),
+  ...scoringProfiles[difficulty],
+  ...scoringProfiles[`${category}:${difficulty}`],
+})
+
+// Formula implementations by version. Old versions stay here so existing scores can be explained.
+const formulas = {
+  // v1: original flat formula, same for every category and difficulty
+  1: ({ time, moves }) => Math.max(1000 - (time * 5 + moves * 2), 0),
+
+  // v2: half the points for memory (pairs / moves, 1 = no wasted flips), half for speed
+  // against the difficulty's par time (capped at twice as fast as par)
+  2: ({ time, moves, category, difficulty, pairs }) => {
+    const profile = getScoringProfile(category, difficulty, pairs)
+    const moveEfficiency = Math.min(profile.pairs / moves, 1)
+    const timeEfficiency = Math.min(profile.parTime / time, 2) / 2
+    return Math.round(profile.maxScore * (0.5 * moveEfficiency + 0.5 * timeEfficiency))
+  },
+}
+
+export const scoringVersions = Object.keys(formulas).map(Number)
+
+// Calculate the score for a finished game with the given formula version.
+// `pairs` is the board size of the difficulty the game was played on.
+export const calculateScore = ({ time, moves, category, difficulty, pairs }, version = CURRENT_SCORING_VERSION) => {
+  const formula = formulas[version]
+  if (!formula) {
+    throw new Error(`Unknown scoring version: ${version}`)
+  }
+  return formula({ time, moves, category, difficulty, pairs })
+}
@@ -0,0 +1,124 @@
+import Season from "../models/Season.js"
+import SeasonStanding from "../models/SeasonStanding.js"
+import Score, { publicScoreFilter } from "../models/Score.js"
+import { bestPerPlayerPipeline, formatLeaderboardEntry } from "./leaderboard.js"
+import { SEASON_STANDINGS_SIZE } from "../config/game.js"
+
+// Seasons are calendar quarters (UTC), created the first time they're needed. Ended seasons are
+// closed lazily: their standings are archived on the next request that lists seasons or starts a new one.
+
+// Slug, name and bounds of the season a date falls in
+export const getSeasonBounds = (date = new Date()) => {
+  const year = date.getUTCFullYear()
+  const quarter = Math.floor(date.getUTCMonth() / 3) + 1
+  return {
+    slug: `${year}-q${quarter}`,
+    name: `Season ${year} Q${quarter}`,
+    startsAt: new Date(Date.UTC(year, (quarter - 1) * 3, 1)),
+    endsAt: new Date(Date.UTC(year, quarter * 3, 1)),
+  }
+}
+
+// The running season rarely changes, so it's kept in memory until it ends
+let current = null
+
+// Get the running season, creating it (and closing the one before) the first time it's requested
+export const getCurrentSeason = async (now = new Date()) => {
+  if (current && current.startsAt <= now && current.endsAt > now) {
+    return current
+  }
+
+  const { slug, ...bounds } = getSeasonBounds(now)
+  try {
+    // Upsert so concurrent first requests of the season end up with the same document
+    current = await Season.findOneAndUpdate({ slug }, { $setOnInsert: bounds }, { upsert: true, new: true }).lean()
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    current = await Season.findOne({ slug }).lean()
+  }
+
+  closeEndedSeasons().catch((error) => console.error("Error closing ended seasons:", error))
+  return current
+}
+
+// Archive the top standings of one category x difficulty board of an ended season. A board left
+// without public scores has nothing to archive.
+export const archiveBoard = async (season, { category, difficulty }) => {
+  const [result] = await Score.aggregate([
+    ...bestPerPlayerPipeline({ ...publicScoreFilter(), seasonId: season._id, category, difficulty }, "score"),
+    { $facet: { top: [{ $limit: SEASON_STANDINGS_SIZE }], total: [{ $count: "count" }] } },
+  ])
+
+  const players = result.total[0]?.count || 0
+  if (players === 0) {
+    return SeasonStanding.deleteOne({ seasonId: season._id, category, difficulty })
+  }
+  const entries = result.top.map((entry) => {
+    const { id, category, difficulty, date, ...ranked } = formatLeaderboardEntry(entry)
+    return { ...ranked, scoreId: id }
+  })
+  return SeasonStanding.updateOne(
+    { seasonId: season._id, category, difficulty },
+    { $set: { entries, players } },
+    { upsert: true },
+  )
+}
+
+// Archive the top standings of every board of an ended season. Safe to run twice: boards are upserted.
+// Scores still held for review are left out; approving one later re-archives its board (archiveScoreBoards).
+export const closeSeason = async (season) => {
+  const boards = await Score.aggregate([
+    { $match: { ...publicScoreFilter(), seasonId: season._id } },
+    { $group: { _id: { category: "$category", difficulty: "$difficulty" } } },
+  ])
+
+  for (const { _id: board } of boards) {
+    await archiveBoard(season, board)
+  }
+
+  return Season.findByIdAndUpdate(season._id, { closedAt: new Date() }, { new: true }).lean()
+}
+
+// Re-archive the closed-season boards of the given scores ({ seasonId, category, difficulty }) after
+// moderation changed whether they're public: a score approved after its season closed, a deleted score,
+// a banned or unbanned player. Boards of seasons that are still open need nothing.
+export const archiveScoreBoards = async (scores) => {
+  const boards = new Map()
+  for (const { seasonId, category, difficulty } of scores) {
+    if (seasonId) boards.set(`${seasonId}:${category}:${difficulty}`, { seasonId, category, difficulty })
+  }
+  if (boards.size === 0) return
+
+  const seasonIds = [...new Set([...boards.values()].map((board) => board.seasonId.toString()))]
+  const closed = await Season.find({ _id: { $in: seasonIds }, closedAt: { $ne: null } }).lean()
+  for (const { seasonId, ...board } of boards.values()) {
+    const season = closed.find((candidate) => candidate._id.equals(seasonId))
+    if (season) {
+      await archiveBoard(season, board)
+    }
+  }
+}
+
+// The season boards a player has scores on, for archiveScoreBoards
+export const findPlayerBoards = (userId) =>
+  Score.aggregate([
+    { $match: { userId, seasonId: { $ne: null } } },
+    { $group: { _id: { seasonId: "$seasonId", category: "$category", difficulty: "$difficulty" } } },
+    { $replaceRoot: { newRoot: "$_id" } },
+  ])
+
+// Close every season that ended but wasn't archived yet
+export const closeEndedSeasons = async () => {
+  const ended = await Season.find({ endsAt: { $lte: new Date() }, closedAt: null }).lean()
+  return Promise.all(ended.map(closeSeason))
+}
+
+// Shape a season for API responses
+export const formatSeason = (season, now = new Date()) => ({
+  id: season.slug,
+  name: season.name,
+  startsAt: season.startsAt,
+  endsAt: season.endsAt,
+  current: season.startsAt <= now && season.endsAt > now,
+  closedAt: season.closedAt,
+})
@@ -0,0 +1,27 @@
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Distinct UTC days ("YYYY-MM-DD") with at least one matching score (e.g. { userId }), oldest first
+export const playDaysPipeline = (match) => [
+  { $match: match },
+  { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } } } },
+  { $sort: { _id: 1 } },
+]
+
+// Current and longest run of consecutive play days. The current streak is still alive
+// if the last play day is today or yesterday (today's game may not have been played yet).
+export const computeStreaks = (dayKeys, today = new Date()) => {
+  const days = [...new Set(dayKeys)].sort().map((key) => Date.parse(`${key}T00:00:00.000Z`))
+  let longest = 0
+  let run = 0
+
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && days[i] - days[i - 1] === DAY_MS ? run + 1 : 1
+    longest = Math.max(longest, run)
+  }
+
+  const todayStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate())
+  const lastDay = days[days.length - 1]
+  const current = lastDay !== undefined && todayStart - lastDay <= DAY_MS ? run : 0
+
+  return { current, longest }
+}
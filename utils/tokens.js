@@ -0,0 +1,70 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import RefreshToken from "../models/RefreshToken.js"
+import UserToken from "../models/UserToken.js"
+
+// Lifetimes can be tuned per environment; access tokens stay short because refresh is cheap
+const accessTokenExpiresIn = () => process.env.ACCESS_TOKEN_EXPIRES_IN || "15m"
+const refreshTokenTtlDays = () => Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+// Hash a token before storing or looking it up
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Sign a short-lived access token bound to the refresh token (session) it was issued with
+export const generateAccessToken = (userId, refreshTokenId) => {
+  return jwt.sign({ id: userId, rid: refreshTokenId }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenExpiresIn(),
+  })
+}
+
+// Create a refresh token (new family on login, same family on rotation) and a matching access token
+export const issueTokens = async (userId, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url")
+
+  const stored = await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip,
+  })
+
+  return {
+    token: generateAccessToken(userId, stored._id),
+    refreshToken,
+    refreshTokenExpiresAt: stored.expiresAt,
+    refreshTokenId: stored._id,
+  }
+}
+
+// Revoke every active token in a family (logout of one device, or reuse of a rotated token)
+export const revokeFamily = (family) => {
+  return RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() })
+}
+
+// Revoke all of a user's active tokens (log out all devices)
+export const revokeAllForUser = (userId) => {
+  return RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() })
+}
+
+// Create a single-use email token, replacing any unused token of the same type
+export const createUserToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("base64url")
+  await UserToken.deleteMany({ userId, type, usedAt: null })
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  })
+  return token
+}
+
+// Atomically mark an email token as used; returns null if it is unknown, used or expired
+export const consumeUserToken = (token, type) => {
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+  )
+}
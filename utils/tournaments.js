@@ -0,0 +1,259 @@
+import Tournament from "../models/Tournament.js"
+import Score, { publicScoreFilter } from "../models/Score.js"
+import { getCategories, getDifficulties } from "./catalog.js"
+import { createSeed, createRandom, shuffle, generateLayout } from "./gameBoard.js"
+import { bestPerPlayerPipeline, formatLeaderboardEntry } from "./leaderboard.js"
+
+// Tournaments are resolved lazily, like daily challenges: whenever one is read or played, whatever is
+// due is computed first (syncTournament). A timed tournament gets its results once the window is over;
+// a knockout one draws its bracket when it starts, then resolves each round as its part of the window ends.
+
+// Rounds of a knockout field: 2 players -> 1, 3-4 -> 2, 5-8 -> 3, ...
+export const countKnockoutRounds = (players) => Math.max(Math.ceil(Math.log2(players)), 1)
+
+// "upcoming", "running" or "finished"
+export const getTournamentStatus = (tournament, now = new Date()) => {
+  if (tournament.finishedAt || tournament.endsAt <= now) return "finished"
+  return tournament.startsAt <= now ? "running" : "upcoming"
+}
+
+const playerNames = (tournament) =>
+  new Map(tournament.players.map((player) => [player.userId.toString(), player.username]))
+
+// Best score of every registered player on the tournament's board within its window (live standings
+// while it runs, the results once it's over)
+export const rankTimedTournament = async (tournament) => {
+  const names = playerNames(tournament)
+  const entries = await Score.aggregate(
+    bestPerPlayerPipeline(
+      {
+        ...publicScoreFilter(),
+        userId: { $in: tournament.players.map((player) => player.userId) },
+        category: tournament.category,
+        difficulty: tournament.difficulty,
+        createdAt: { $gte: tournament.startsAt, $lt: tournament.endsAt },
+      },
+      "score",
+    ),
+  )
+
+  return entries.map((entry) => {
+    const { id, category, difficulty, date, guest, ...ranked } = formatLeaderboardEntry(entry)
+    return { ...ranked, playerName: names.get(ranked.userId.toString()) || ranked.playerName, scoreId: id }
+  })
+}
+
+// The deck and board size knockout boards are dealt from; retired categories still finish their events
+const loadBoardOptions = async (tournament) => {
+  const [categories, difficulties] = await Promise.all([
+    getCategories({ includeInactive: true }),
+    getDifficulties({ includeInactive: true }),
+  ])
+  const category = categories.find((candidate) => candidate.slug === tournament.category)
+  const difficulty = difficulties.find((candidate) => candidate.slug === tournament.difficulty)
+  if (!category || !difficulty || category.cards.length < difficulty.pairs) {
+    throw new Error(`Can't deal a ${tournament.difficulty} board from the ${tournament.category} deck`)
+  }
+  return { deck: category.cards, pairs: difficulty.pairs }
+}
+
+// Knockout rounds split the tournament window evenly
+const roundWindow = (tournament, number, roundCount) => {
+  const start = tournament.startsAt.getTime()
+  const length = (tournament.endsAt.getTime() - start) / roundCount
+  return {
+    startsAt: new Date(start + (number - 1) * length),
+    endsAt: number === roundCount ? tournament.endsAt : new Date(start + number * length),
+  }
+}
+
+// Seed the field in random order and pair the top seeds with the bottom ones. A field short of a
+// power of two leaves the top seeds without an opponent: they get a bye into the next round.
+const firstRoundPairs = (playerIds, roundCount) => {
+  const seeded = shuffle(playerIds, createRandom(createSeed()))
+  const size = 2 ** roundCount
+  return Array.from({ length: size / 2 }, (_, i) => [seeded[i], seeded[size - 1 - i]].filter(Boolean))
+}
+
+// Winners of neighbouring pairings meet in the next round
+const nextRoundPairs = (round) => {
+  const winners = round.pairings.map((pairing) => pairing.winnerId)
+  return Array.from({ length: winners.length / 2 }, (_, i) => [winners[2 * i], winners[2 * i + 1]])
+}
+
+// Both players of a pairing play the same board, dealt from its own seed
+const drawRound = (tournament, number, roundCount, pairs, boardOptions) => ({
+  number,
+  ...roundWindow(tournament, number, roundCount),
+  pairings: pairs.map((players) => {
+    if (players.length < 2) {
+      return { players }
+    }
+    const seed = createSeed()
+    return { players, seed, ...generateLayout({ ...boardOptions, seed }) }
+  }),
+})
+
+// Better result first: higher score, then faster, then fewer moves (as on the leaderboards)
+const compareResults = (a, b) => b.score - a.score || a.time - b.time || a.moves - b.moves
+
+// Decide every pairing of an ended round from the public scores submitted in time. The better score
+// advances; on a tie, or when neither player finished a game, the higher seed does. Scores still held
+// for review when the round ends don't count.
+const resolveRound = async (tournament, round) => {
+  const scores = await Score.find({
+    ...publicScoreFilter(),
+    tournamentId: tournament._id,
+    tournamentRound: round.number,
+    createdAt: { $lt: round.endsAt },
+  })
+    .select("userId score time moves")
+    .lean()
+  const scoresByUser = new Map(scores.map((score) => [score.userId?.toString(), score]))
+
+  for (const pairing of round.pairings) {
+    pairing.results = pairing.players
+      .map((userId) => scoresByUser.get(userId.toString()))
+      .filter(Boolean)
+      .map(({ _id, userId, score, time, moves }) => ({ userId, scoreId: _id, score, time, moves }))
+    const [best] = [...pairing.results].sort(compareResults)
+    pairing.winnerId = pairing.players.length === 2 && best ? best.userId : pairing.players[0]
+  }
+}
+
+// Final placings of a knockout: the champion, the runner-up, then the losers of each earlier round
+// sharing a rank (two 3rds, four 5ths, ...)
+const rankKnockout = (tournament, rounds) => {
+  const names = playerNames(tournament)
+  const final = rounds[rounds.length - 1]
+  const entries = [{ rank: 1, userId: final.pairings[0].winnerId, eliminatedInRound: null }]
+
+  for (const round of [...rounds].reverse()) {
+    for (const pairing of round.pairings) {
+      const loser = pairing.players.find((userId) => !userId.equals(pairing.winnerId))
+      if (loser) {
+        entries.push({ rank: 2 ** (rounds.length - round.number) + 1, userId: loser, eliminatedInRound: round.number })
+      }
+    }
+  }
+
+  return entries.map((entry) => ({ ...entry, playerName: names.get(entry.userId.toString()) || null }))
+}
+
+// The update that brings a started knockout tournament up to date, or null when nothing is due
+const advanceKnockout = async (tournament, now) => {
+  if (tournament.rounds.length === 0 && tournament.players.length < 2) {
+    return { finishedAt: now, results: [] } // Not enough players to play
+  }
+
+  const rounds = tournament.rounds.map((round) => ({
+    ...round,
+    pairings: round.pairings.map((pairing) => ({ ...pairing })),
+  }))
+  let boardOptions = null
+  let changed = false
+
+  if (rounds.length === 0) {
+    boardOptions = await loadBoardOptions(tournament)
+    const roundCount = countKnockoutRounds(tournament.players.length)
+    const playerIds = tournament.players.map((player) => player.userId)
+    rounds.push(drawRound(tournament, 1, roundCount, firstRoundPairs(playerIds, roundCount), boardOptions))
+    changed = true
+  }
+
+  const roundCount = countKnockoutRounds(rounds[0].pairings.length * 2)
+  // Several rounds may have ended since the tournament was last read
+  while (rounds[rounds.length - 1].endsAt <= now) {
+    const round = rounds[rounds.length - 1]
+    await resolveRound(tournament, round)
+    changed = true
+
+    if (round.number === roundCount) {
+      return { rounds, results: rankKnockout(tournament, rounds), finishedAt: now }
+    }
+    boardOptions = boardOptions || (await loadBoardOptions(tournament))
+    rounds.push(drawRound(tournament, round.number + 1, roundCount, nextRoundPairs(round), boardOptions))
+  }
+
+  return changed ? { rounds } : null
+}
+
+// Compute whatever is due for a tournament (no-op before it starts or once it's finished)
+export const syncTournament = async (tournament, now = new Date()) => {
+  if (tournament.finishedAt || tournament.startsAt > now) {
+    return tournament
+  }
+
+  let update = null
+  if (tournament.format === "knockout") {
+    update = await advanceKnockout(tournament, now)
+  } else if (tournament.endsAt <= now) {
+    update = { results: await rankTimedTournament(tournament), finishedAt: now }
+  }
+  if (!update) {
+    return tournament
+  }
+
+  // Concurrent requests may compute the same step: only the first write applies, the others reload it
+  const saved = await Tournament.findOneAndUpdate({ _id: tournament._id, updatedAt: tournament.updatedAt }, update, {
+    new: true,
+  }).lean()
+  return saved || Tournament.findById(tournament._id).lean()
+}
+
+// The running knockout round and the user's pairing in it, when they have a game to play
+export const findCurrentPairing = (tournament, userId, now = new Date()) => {
+  const round = tournament.rounds.find((candidate) => candidate.startsAt <= now && candidate.endsAt > now)
+  const pairing = round?.pairings.find(
+    (candidate) => candidate.players.length === 2 && candidate.players.some((id) => id.equals(userId)),
+  )
+  return pairing ? { round, pairing } : null
+}
+
+// Shape a tournament for API responses. Boards are never included: a player only sees theirs when
+// they start their game (POST /api/games { tournamentId }).
+export const formatTournament = (tournament, { detail = false, now = new Date() } = {}) => {
+  const names = playerNames(tournament)
+  const formatPairing = (pairing) => ({
+    players: pairing.players.map((userId) => {
+      const result = pairing.results?.find((candidate) => candidate.userId.equals(userId))
+      return {
+        userId,
+        username: names.get(userId.toString()) || null,
+        score: result ? result.score : null,
+        time: result ? result.time : null,
+        moves: result ? result.moves : null,
+      }
+    }),
+    bye: pairing.players.length < 2,
+    winnerId: pairing.winnerId || null,
+  })
+
+  return {
+    id: tournament._id,
+    name: tournament.name,
+    description: tournament.description,
+    format: tournament.format,
+    category: tournament.category,
+    difficulty: tournament.difficulty,
+    startsAt: tournament.startsAt,
+    endsAt: tournament.endsAt,
+    status: getTournamentStatus(tournament, now),
+    maxPlayers: tournament.maxPlayers,
+    playerCount: tournament.players.length,
+    createdBy: tournament.createdBy,
+    finishedAt: tournament.finishedAt,
+    ...(detail && {
+      players: tournament.players.map(({ userId, username, registeredAt }) => ({ userId, username, registeredAt })),
+      ...(tournament.format === "knockout" && {
+        rounds: tournament.rounds.map((round) => ({
+          number: round.number,
+          startsAt: round.startsAt,
+          endsAt: round.endsAt,
+          pairings: round.pairings.map(formatPairing),
+        })),
+      }),
+      results: tournament.results,
+    }),
+  }
+}
@@ -0,0 +1,112 @@
+import { categoryError, difficultyError } from "./catalog.js"
+import { leaderboardScopes } from "./friends.js"
+
+// Field rules shared by the route schemas (see middleware/validate.js)
+
+// ?limit & ?page; limits above the maximum are lowered to it rather than rejected
+export const paginationQuery = ({ defaultLimit = 50, maxLimit = 100 } = {}) => ({
+  limit: { type: "integer", min: 1, max: maxLimit, default: defaultLimit, clamp: true },
+  page: { type: "integer", min: 1, default: 1 },
+})
+
+// Category/difficulty of a new game: must be active
+export const categoryField = (options = {}) => ({
+  type: "string",
+  trim: true,
+  ...options,
+  check: (value) => categoryError(value),
+})
+
+export const difficultyField = (options = {}) => ({
+  type: "string",
+  trim: true,
+  ...options,
+  check: (value) => difficultyError(value),
+})
+
+// Category/difficulty filters of score views: "all" or any id, including retired ones with old scores
+export const categoryFilter = {
+  type: "string",
+  trim: true,
+  check: (value) => (value === "all" ? null : categoryError(value, { includeInactive: true })),
+}
+
+export const difficultyFilter = {
+  type: "string",
+  trim: true,
+  check: (value) => (value === "all" ? null : difficultyError(value, { includeInactive: true })),
+}
+
+export const scopeQuery = { type: "string", enum: leaderboardScopes, default: "global" }
+
+export const objectIdParam = { type: "objectId", required: true }
+
+export const dateKeyField = {
+  type: "string",
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: "Invalid date. Use the YYYY-MM-DD format",
+  // The pattern alone lets through days that don't exist (2026-02-31, 2026-13-01)
+  check: (value) => {
+    const date = new Date(`${value}T00:00:00.000Z`)
+    return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? `Invalid date ${value}` : null
+  },
+}
+
+// ?from & ?to of score lists, see applyScoreFilters
+export const dateRangeQuery = { from: dateKeyField, to: dateKeyField }
+
+export const passwordField = { type: "string", required: true, minLength: 6 }
+
+export const usernameField = { type: "string", trim: true, minLength: 3, maxLength: 30 }
+
+// Catalog entries (admin). Ids are the slugs stored on scores.
+export const catalogIdField = {
+  type: "string",
+  trim: true,
+  lowercase: true,
+  maxLength: 50,
+  pattern: /^[a-z0-9-]+$/,
+  patternMessage: "id may only contain lowercase letters, numbers and dashes",
+}
+
+// Error message for a deck that isn't a list of { cardId, name, imageUrl?, franchise? }, or null
+const cardsError = (cards) => {
+  for (const [i, card] of cards.entries()) {
+    if (!card || typeof card !== "object" || Array.isArray(card)) {
+      return `cards[${i}] must be an object`
+    }
+    for (const [field, maxLength, required] of [
+      ["cardId", 50, true],
+      ["name", 100, true],
+      ["imageUrl", 2000, false],
+      ["franchise", 100, false],
+    ]) {
+      const value = card[field]
+      if (value === undefined || value === null) {
+        if (required) return `cards[${i}].${field} is required`
+      } else if (typeof value !== "string" || value.length > maxLength) {
+        return `cards[${i}].${field} must be a string of at most ${maxLength} characters`
+      }
+    }
+  }
+  return null
+}
+
+// Body of a new category (create: true) or of an update, which may change any subset of the fields
+export const categoryBody = ({ create = false } = {}) => ({
+  ...(create && { id: { ...catalogIdField, required: true } }),
+  name: { type: "string", trim: true, minLength: 1, maxLength: 50, required: create },
+  description: { type: "string", trim: true, maxLength: 200 },
+  active: { type: "boolean" },
+  cards: { type: "array", check: cardsError },
+})
+
+export const difficultyBody = ({ create = false } = {}) => ({
+  ...(create && { id: { ...catalogIdField, required: true } }),
+  name: { type: "string", trim: true, minLength: 1, maxLength: 50, required: create },
+  description: { type: "string", trim: true, maxLength: 200 },
+  active: { type: "boolean" },
+  rows: { type: "integer", min: 1, max: 10, required: create },
+  columns: { type: "integer", min: 1, max: 10, required: create },
+  pairs: { type: "integer", min: 2, required: create },
+})